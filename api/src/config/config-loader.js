@@ -1,15 +1,31 @@
 const fs = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
 const yaml = require('js-yaml');
+const { SCHEMAS, validate } = require('./schema');
+const { ConfigurationError } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+
+// How often watched config files are checked for changes
+const WATCH_INTERVAL_MS = 2000;
 
 /**
  * Configuration loader for external application configuration
- * Loads and parses YAML configuration files with caching support
+ * Loads, validates and caches YAML configuration files, and watches them so
+ * edits are picked up without a restart. A reload only replaces the cached
+ * config once the new file parses and validates; otherwise the last good
+ * config stays active.
+ *
+ * Emits 'change' (fileName, config) after a successful reload and
+ * 'invalid' (fileName, error) when a changed file is rejected.
  */
-class ConfigLoader {
+class ConfigLoader extends EventEmitter {
   constructor() {
+    super();
     this.cache = new Map();
-    this.configDir = path.join(__dirname);
+    this.watched = new Set();
+    this.configDir = process.env.CONFIG_DIR || path.join(__dirname);
+    this.logger = createLogger('ConfigLoader');
   }
 
   /**
@@ -25,69 +41,115 @@ class ConfigLoader {
       return this.cache.get(configFileName);
     }
 
-    const configPath = path.join(this.configDir, configFileName);
+    const config = this.readConfig(configFileName);
 
-    try {
-      // Check if file exists
-      if (!fs.existsSync(configPath)) {
-        throw new Error(`Configuration file not found: ${configPath}`);
-      }
+    // Cache the configuration and pick up later edits
+    this.cache.set(configFileName, config);
+    this.watch(configFileName);
 
-      // Read and parse YAML file
-      const fileContents = fs.readFileSync(configPath, 'utf8');
-      const config = yaml.load(fileContents);
+    return config;
+  }
+
+  /**
+   * Read, parse and validate a config file from disk without touching the cache
+   * @param {string} configFileName - Name of the config file
+   * @returns {Object} Parsed configuration object
+   * @throws {Error} If the file is missing, unparsable or invalid
+   */
+  readConfig(configFileName) {
+    const configPath = path.join(this.configDir, configFileName);
 
-      // Validate configuration structure
-      this.validateConfig(config, configFileName);
+    // Check if file exists
+    if (!fs.existsSync(configPath)) {
+      throw new Error(`Configuration file not found: ${configPath}`);
+    }
 
-      // Cache the configuration
-      this.cache.set(configFileName, config);
+    const { config, errors } = this.parseConfig(fs.readFileSync(configPath, 'utf8'), configFileName);
+    if (errors.length > 0) {
+      throw new ConfigurationError(
+        `Invalid ${configFileName}: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`,
+        { file: configFileName, errors }
+      );
+    }
+    return config;
+  }
 
-      return config;
+  /**
+   * Parse and validate YAML content without loading it
+   * @param {string} contents - YAML document
+   * @param {string} configFileName - Config file the content is meant for
+   * @returns {{config: Object|null, errors: Array<{path: string, message: string, line?: number}>}}
+   */
+  parseConfig(contents, configFileName) {
+    let config;
+    try {
+      config = yaml.load(contents);
     } catch (error) {
       if (error.name === 'YAMLException') {
-        throw new Error(`Invalid YAML syntax in ${configFileName}: ${error.message}`);
+        return {
+          config: null,
+          errors: [{
+            path: '(root)',
+            message: `Invalid YAML syntax: ${error.reason}`,
+            line: error.mark ? error.mark.line + 1 : undefined
+          }]
+        };
       }
       throw error;
     }
+
+    return { config, errors: this.validateConfig(config, configFileName) };
   }
 
   /**
-   * Validate configuration structure
+   * Validate configuration against its schema
    * @param {Object} config - Configuration object to validate
-   * @param {string} fileName - Name of the config file for error messages
-   * @throws {Error} If configuration is invalid
+   * @param {string} fileName - Name of the config file
+   * @returns {Array<{path: string, message: string}>} Validation errors (empty if valid)
    */
   validateConfig(config, fileName) {
-    if (!config || typeof config !== 'object') {
-      throw new Error(`Invalid configuration format in ${fileName}: expected object`);
+    const schema = SCHEMAS[fileName];
+    if (!schema) {
+      return config && typeof config === 'object'
+        ? []
+        : [{ path: '(root)', message: 'expected an object' }];
     }
+    return validate(schema, config);
+  }
 
-    // Add specific validation based on config type
-    // This can be extended for different config files
-    if (fileName === 'applications.yaml') {
-      if (!Array.isArray(config.applications)) {
-        throw new Error(`Invalid applications configuration: 'applications' must be an array`);
+  /**
+   * Watch a config file and reload it when it changes
+   * Polls file stats so ConfigMap symlink swaps are detected too
+   * @param {string} configFileName - Name of the config file
+   */
+  watch(configFileName) {
+    if (this.watched.has(configFileName)) return;
+    this.watched.add(configFileName);
+
+    const configPath = path.join(this.configDir, configFileName);
+    fs.watchFile(configPath, { interval: WATCH_INTERVAL_MS, persistent: false }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+
+      try {
+        this.reloadConfig(configFileName);
+        this.logger.info('Configuration reloaded', { file: configFileName });
+      } catch (error) {
+        this.logger.error('Configuration change rejected, keeping last good config', error, {
+          file: configFileName
+        });
+        this.emit('invalid', configFileName, error);
       }
+    });
+  }
 
-      config.applications.forEach((app, index) => {
-        // Required fields for all apps (ArgoCD-managed)
-        const requiredFields = ['id', 'name', 'description', 'namespace', 'argocdApp', 'github'];
-        const missingFields = requiredFields.filter(field => !app[field]);
-
-        if (missingFields.length > 0) {
-          throw new Error(
-            `Invalid application at index ${index}: missing required fields: ${missingFields.join(', ')}`
-          );
-        }
-
-        if (!app.github.owner || !app.github.repo) {
-          throw new Error(
-            `Invalid application '${app.id}': github.owner and github.repo are required`
-          );
-        }
-      });
+  /**
+   * Stop watching config files
+   */
+  unwatchAll() {
+    for (const configFileName of this.watched) {
+      fs.unwatchFile(path.join(this.configDir, configFileName));
     }
+    this.watched.clear();
   }
 
   /**
@@ -104,14 +166,20 @@ class ConfigLoader {
 
   /**
    * Reload configuration from disk (bypasses cache)
+   * The cached config is only replaced if the new one is valid
    * @param {string} configFileName - Name of the config file
    * @returns {Object} Parsed configuration object
+   * @throws {Error} If the file on disk is invalid (the previous config stays cached)
    */
   reloadConfig(configFileName) {
-    this.clearCache(configFileName);
-    return this.loadConfig(configFileName, false);
+    const config = this.readConfig(configFileName);
+    this.cache.set(configFileName, config);
+    this.watch(configFileName);
+    this.emit('change', configFileName, config);
+    return config;
   }
 }
 
 // Export singleton instance
 module.exports = new ConfigLoader();
+module.exports.ConfigLoader = ConfigLoader;
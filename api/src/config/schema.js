@@ -0,0 +1,253 @@
+/**
+ * Declarative schemas for the YAML configuration files
+ *
+ * Schema nodes support:
+ *   type        - 'object' | 'array' | 'string' | 'number' | 'boolean'
+ *   required    - required property names (objects)
+ *   properties  - property schemas (objects); unknown properties are rejected
+ *   items       - item schema (arrays)
+ *   unique      - property names whose values must be unique across items (arrays)
+ *   format      - named string format from FORMATS
+ *   pattern     - RegExp a string must match
+ *   enum        - allowed values
+ *   minLength / maxLength, minimum / maximum
+ *   check       - function (value, path) returning extra errors, for rules that
+ *                 span several properties
+ */
+
+const { PARAM_TYPES, placeholders, checkParam } = require('../utils/promql');
+
+// Kubernetes object names (RFC 1123 DNS labels)
+const K8S_NAME = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/;
+
+const FORMATS = {
+  'k8s-name': {
+    test: value => value.length <= 63 && K8S_NAME.test(value),
+    message: 'must be a valid Kubernetes name (lowercase alphanumerics and "-", at most 63 characters)'
+  },
+  'github-owner': {
+    test: value => /^[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,38})$/.test(value),
+    message: 'must be a valid GitHub user or organization name'
+  },
+  'github-repo': {
+    test: value => /^[a-zA-Z0-9._-]{1,100}$/.test(value),
+    message: 'must be a valid GitHub repository name'
+  },
+  'env-var': {
+    test: value => /^[A-Z_][A-Z0-9_]*$/.test(value),
+    message: 'must be an environment variable name (uppercase letters, digits and "_")'
+  }
+};
+
+const githubRepository = {
+  type: 'object',
+  required: ['owner', 'repo'],
+  properties: {
+    owner: { type: 'string', format: 'github-owner' },
+    repo: { type: 'string', format: 'github-repo' },
+    displayName: { type: 'string', minLength: 1 },
+    tokenEnv: { type: 'string', format: 'env-var' }
+  }
+};
+
+/**
+ * A catalog query may only reference declared parameters, and defaults must
+ * match their parameter's type
+ */
+function checkCatalogQuery(query, path) {
+  const errors = [];
+  const params = Array.isArray(query.params) ? query.params : [];
+  const declared = new Set(params.map(param => param.name));
+
+  if (typeof query.query === 'string') {
+    for (const name of new Set(placeholders(query.query))) {
+      if (!declared.has(name)) {
+        errors.push({ path: `${path}.query`, message: `uses undeclared parameter '${name}'` });
+      }
+    }
+  }
+
+  params.forEach((param, index) => {
+    if (!PARAM_TYPES[param.type]) return;
+    if (param.type === 'enum' && !Array.isArray(param.values)) {
+      errors.push({ path: `${path}.params[${index}].values`, message: 'is required for enum parameters' });
+    } else if (param.default !== undefined) {
+      const error = checkParam(param, String(param.default));
+      if (error) {
+        errors.push({ path: `${path}.params[${index}].default`, message: error });
+      }
+    }
+  });
+
+  return errors;
+}
+
+const SCHEMAS = {
+  'applications.yaml': {
+    type: 'object',
+    required: ['applications'],
+    properties: {
+      applications: {
+        type: 'array',
+        unique: ['id', 'argocdApp'],
+        items: {
+          type: 'object',
+          required: ['id', 'name', 'description', 'namespace', 'argocdApp', 'github'],
+          properties: {
+            id: { type: 'string', format: 'k8s-name' },
+            name: { type: 'string', minLength: 1 },
+            description: { type: 'string', minLength: 1 },
+            namespace: { type: 'string', format: 'k8s-name' },
+            argocdApp: { type: 'string', format: 'k8s-name' },
+            helmRelease: { type: 'string', format: 'k8s-name' },
+            github: githubRepository
+          }
+        }
+      },
+      repositories: {
+        type: 'array',
+        items: githubRepository
+      }
+    }
+  },
+
+  'promql-queries.yaml': {
+    type: 'object',
+    required: ['queries'],
+    properties: {
+      queries: {
+        type: 'array',
+        unique: ['name'],
+        items: {
+          type: 'object',
+          required: ['name', 'description', 'query'],
+          check: checkCatalogQuery,
+          properties: {
+            name: { type: 'string', format: 'k8s-name' },
+            description: { type: 'string', minLength: 1 },
+            unit: { type: 'string', minLength: 1 },
+            query: { type: 'string', minLength: 1 },
+            params: {
+              type: 'array',
+              unique: ['name'],
+              items: {
+                type: 'object',
+                required: ['name', 'type'],
+                properties: {
+                  name: { type: 'string', pattern: /^[a-zA-Z][a-zA-Z0-9_]*$/ },
+                  type: { type: 'string', enum: Object.keys(PARAM_TYPES) },
+                  description: { type: 'string', minLength: 1 },
+                  required: { type: 'boolean' },
+                  default: {},
+                  values: { type: 'array', items: { type: 'string' } }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema node
+ * @param {Object} schema - Schema node
+ * @param {*} value - Value to validate
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<{path: string, message: string}>} Validation errors (empty if valid)
+ */
+function validate(schema, value, path = '') {
+  const at = path || '(root)';
+  const actualType = typeOf(value);
+
+  if (schema.type && actualType !== schema.type) {
+    return [{ path: at, message: `must be ${schema.type === 'array' ? 'an' : 'a'} ${schema.type}, got ${actualType}` }];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (actualType === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      errors.push({ path: at, message: `must match ${schema.pattern}` });
+    }
+    if (schema.format && !FORMATS[schema.format].test(value)) {
+      errors.push({ path: at, message: FORMATS[schema.format].message });
+    }
+  }
+
+  if (actualType === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (actualType === 'object' && schema.properties) {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined || value[field] === null) {
+        errors.push({ path: path ? `${path}.${field}` : field, message: 'is required' });
+      }
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      const fieldPath = path ? `${path}.${field}` : field;
+      if (!schema.properties[field]) {
+        errors.push({ path: fieldPath, message: 'is not a known property' });
+      } else if (fieldValue !== undefined && fieldValue !== null) {
+        errors.push(...validate(schema.properties[field], fieldValue, fieldPath));
+      }
+    }
+  }
+
+  if (schema.check) {
+    errors.push(...schema.check(value, path));
+  }
+
+  if (actualType === 'array') {
+    value.forEach((item, index) => {
+      errors.push(...validate(schema.items || {}, item, `${path}[${index}]`));
+    });
+
+    for (const field of schema.unique || []) {
+      const seen = new Map();
+      value.forEach((item, index) => {
+        const key = item?.[field];
+        if (key === undefined) return;
+        if (seen.has(key)) {
+          errors.push({
+            path: `${path}[${index}].${field}`,
+            message: `duplicate value '${key}' (also used at ${path}[${seen.get(key)}])`
+          });
+        } else {
+          seen.set(key, index);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  SCHEMAS,
+  FORMATS,
+  validate
+};
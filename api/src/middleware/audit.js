@@ -0,0 +1,110 @@
+const auditLog = require('../services/audit-log');
+const configLoader = require('../config/config-loader');
+
+/**
+ * Audit middleware for mutating endpoints
+ * Records who did what, on which target, and how it ended once the response is sent
+ */
+
+/**
+ * Map an HTTP status code to an audit outcome
+ */
+function getOutcome(statusCode) {
+  if (statusCode === 401 || statusCode === 403) return 'denied';
+  if (statusCode >= 400) return 'failure';
+  return 'success';
+}
+
+/**
+ * Middleware factory that audits a request
+ * @param {string} action - Action name (e.g. 'helm.rollback')
+ * @param {Function} describe - (req, responseBody) => { target, revision, params }
+ * @returns {Function} Express middleware
+ */
+function auditAction(action, describe) {
+  return (req, res, next) => {
+    const start = Date.now();
+    let responseBody;
+
+    // Capture the response body to record results and error messages
+    const originalJson = res.json.bind(res);
+    res.json = function(data) {
+      responseBody = data;
+      return originalJson(data);
+    };
+
+    res.on('finish', () => {
+      const outcome = getOutcome(res.statusCode);
+      let description = {};
+      try {
+        description = describe(req, responseBody) || {};
+      } catch {
+        // Never let a describe failure hide the audit entry itself
+      }
+
+      auditLog.record({
+        action,
+        actor: req.user
+          ? { sub: req.user.sub, name: req.user.name }
+          : { sub: null, name: 'unauthenticated' },
+        target: description.target || {},
+        revision: description.revision ?? null,
+        params: description.params || {},
+        outcome,
+        statusCode: res.statusCode,
+        error: outcome === 'success'
+          ? null
+          : responseBody?.message || responseBody?.error || null,
+        durationMs: Date.now() - start,
+        ip: req.ip
+      });
+    });
+
+    next();
+  };
+}
+
+function getConfiguredApplications() {
+  return configLoader.loadConfig('applications.yaml').applications;
+}
+
+/**
+ * Audit targets resolved to applications.yaml ids, so entries can be filtered by app
+ * Unknown targets keep their own name as the app
+ */
+const auditTarget = {
+  argocdApp(argocdApp) {
+    const app = getConfiguredApplications().find(a => a.argocdApp === argocdApp);
+    return {
+      app: app?.id || argocdApp,
+      argocdApp,
+      namespace: app?.namespace || null
+    };
+  },
+
+  helmRelease(namespace, release) {
+    const app = getConfiguredApplications()
+      .find(a => a.namespace === namespace && (a.helmRelease || a.argocdApp) === release);
+    return {
+      app: app?.id || release,
+      release,
+      namespace
+    };
+  },
+
+  // A repository can build several applications; all of them are listed in `apps`
+  githubRepo(repo, workflow) {
+    const apps = getConfiguredApplications().filter(a => a.github?.repo === repo);
+    return {
+      app: apps.length === 1 ? apps[0].id : repo,
+      apps: apps.map(a => a.id),
+      repo,
+      workflow
+    };
+  }
+};
+
+module.exports = {
+  auditAction,
+  auditTarget
+};
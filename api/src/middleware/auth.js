@@ -0,0 +1,342 @@
+const fs = require('fs');
+const axios = require('axios');
+const { jwtVerify, createRemoteJWKSet, createLocalJWKSet } = require('jose');
+const configLoader = require('../config/config-loader');
+const argocd = require('../services/argocd-client');
+const { AuthError, ConfigurationError } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+
+/**
+ * Authentication and role-based authorization middleware
+ * Validates bearer tokens (OIDC or local keys) and enforces per-namespace roles
+ */
+
+const logger = createLogger('Auth');
+
+// Roles are hierarchical: a higher level implies every lower one
+const ROLE_LEVELS = {
+  viewer: 1,
+  deployer: 2,
+  admin: 3
+};
+
+const AUTH_OIDC_ISSUER = process.env.AUTH_OIDC_ISSUER;
+const AUTH_OIDC_JWKS_URI = process.env.AUTH_OIDC_JWKS_URI;
+const AUTH_AUDIENCE = process.env.AUTH_AUDIENCE;
+const AUTH_LOCAL_JWKS = process.env.AUTH_LOCAL_JWKS;
+const AUTH_LOCAL_SECRET = process.env.AUTH_LOCAL_SECRET;
+const AUTH_ROLES_CLAIM = process.env.AUTH_ROLES_CLAIM || 'roles';
+
+/**
+ * Determine the authentication mode from the environment
+ * @returns {string} 'oidc', 'local', 'none' or 'unconfigured'
+ */
+function getAuthMode() {
+  if (process.env.AUTH_MODE) {
+    return process.env.AUTH_MODE.toLowerCase();
+  }
+  if (AUTH_OIDC_ISSUER) return 'oidc';
+  if (AUTH_LOCAL_JWKS || AUTH_LOCAL_SECRET) return 'local';
+
+  // Fail closed in production when nothing has been configured
+  return process.env.NODE_ENV === 'production' ? 'unconfigured' : 'none';
+}
+
+const AUTH_MODE = getAuthMode();
+
+if (AUTH_MODE === 'none') {
+  logger.warn('Authentication is disabled; all requests are treated as admin', { mode: AUTH_MODE });
+} else if (AUTH_MODE === 'unconfigured') {
+  logger.error('Authentication is not configured; API requests will be rejected');
+}
+
+let keyResolverPromise = null;
+
+/**
+ * Build the key (or key set) used to verify token signatures
+ * @returns {Promise<Function|Uint8Array>} jose key resolver or shared secret
+ */
+async function buildKeyResolver() {
+  if (AUTH_MODE === 'oidc') {
+    if (!AUTH_OIDC_ISSUER) {
+      throw new ConfigurationError('AUTH_OIDC_ISSUER is required when AUTH_MODE is oidc');
+    }
+
+    let jwksUri = AUTH_OIDC_JWKS_URI;
+    if (!jwksUri) {
+      const discoveryUrl = `${AUTH_OIDC_ISSUER.replace(/\/$/, '')}/.well-known/openid-configuration`;
+      const response = await axios.get(discoveryUrl, { timeout: 5000 });
+      jwksUri = response.data.jwks_uri;
+      if (!jwksUri) {
+        throw new ConfigurationError(`OIDC discovery document has no jwks_uri: ${discoveryUrl}`);
+      }
+    }
+
+    return createRemoteJWKSet(new URL(jwksUri));
+  }
+
+  if (AUTH_MODE === 'local') {
+    if (AUTH_LOCAL_JWKS) {
+      // Accept either inline JSON or a path to a JWKS file
+      const raw = AUTH_LOCAL_JWKS.trim().startsWith('{')
+        ? AUTH_LOCAL_JWKS
+        : fs.readFileSync(AUTH_LOCAL_JWKS, 'utf8');
+      return createLocalJWKSet(JSON.parse(raw));
+    }
+    if (AUTH_LOCAL_SECRET) {
+      return new TextEncoder().encode(AUTH_LOCAL_SECRET);
+    }
+    throw new ConfigurationError('AUTH_LOCAL_JWKS or AUTH_LOCAL_SECRET is required when AUTH_MODE is local');
+  }
+
+  throw new ConfigurationError(`Unsupported AUTH_MODE: ${AUTH_MODE}`);
+}
+
+/**
+ * Get the cached key resolver, retrying discovery on the next call if it failed
+ */
+function getKeyResolver() {
+  if (!keyResolverPromise) {
+    keyResolverPromise = buildKeyResolver().catch((error) => {
+      keyResolverPromise = null;
+      throw error;
+    });
+  }
+  return keyResolverPromise;
+}
+
+/**
+ * Read a (possibly dotted) claim path from a token payload
+ * e.g. 'realm_access.roles'
+ */
+function readClaim(payload, claimPath) {
+  return claimPath.split('.').reduce(
+    (value, key) => (value && typeof value === 'object' ? value[key] : undefined),
+    payload
+  );
+}
+
+/**
+ * Parse role grants from a token payload
+ * Grants are either global ('deployer') or scoped to a namespace ('deployer:vertex-platform')
+ * @param {Object} payload - Verified token payload
+ * @returns {Array<{role: string, namespace: string|null}>} Role grants
+ */
+function extractRoles(payload) {
+  let claim = readClaim(payload, AUTH_ROLES_CLAIM);
+
+  if (typeof claim === 'string') {
+    claim = claim.split(/[\s,]+/);
+  }
+  if (!Array.isArray(claim)) {
+    return [];
+  }
+
+  return claim
+    .filter(entry => typeof entry === 'string' && entry.length > 0)
+    .map((entry) => {
+      const [role, namespace] = entry.split(':');
+      return { role: role.toLowerCase(), namespace: namespace || null };
+    })
+    .filter(grant => ROLE_LEVELS[grant.role]);
+}
+
+/**
+ * Verify a bearer token and build the request principal
+ * @param {string} token - Encoded JWT
+ * @returns {Promise<Object>} Principal with subject, name and role grants
+ * @throws {AuthError} If the token is invalid
+ */
+async function verifyToken(token) {
+  const key = await getKeyResolver();
+
+  const options = {};
+  if (AUTH_MODE === 'oidc') options.issuer = AUTH_OIDC_ISSUER;
+  if (AUTH_AUDIENCE) options.audience = AUTH_AUDIENCE;
+
+  try {
+    const { payload } = await jwtVerify(token, key, options);
+    return {
+      sub: payload.sub,
+      name: payload.preferred_username || payload.email || payload.name || payload.sub,
+      roles: extractRoles(payload),
+      anonymous: false,
+      // Long-lived connections such as the event stream end when the token does
+      expiresAt: payload.exp ? payload.exp * 1000 : null
+    };
+  } catch (error) {
+    throw new AuthError('Invalid or expired token', { reason: error.code || error.message });
+  }
+}
+
+/**
+ * Extract the bearer token from the Authorization header
+ * EventSource cannot set headers, so event stream requests may pass ?access_token= instead
+ */
+function getBearerToken(req) {
+  const header = req.get('authorization');
+  if (!header) {
+    const isEventStream = req.method === 'GET' && (req.get('accept') || '').includes('text/event-stream');
+    return isEventStream && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+  }
+
+  const [scheme, token] = header.split(' ');
+  if (!/^bearer$/i.test(scheme) || !token) return null;
+  return token;
+}
+
+/**
+ * Express middleware that authenticates the request and sets req.user
+ */
+async function authenticate(req, res, next) {
+  try {
+    if (AUTH_MODE === 'none') {
+      req.user = {
+        sub: 'anonymous',
+        name: 'anonymous',
+        roles: [{ role: 'admin', namespace: null }],
+        anonymous: true
+      };
+      return next();
+    }
+
+    if (AUTH_MODE === 'unconfigured') {
+      throw new AuthError('Authentication is not configured on this server');
+    }
+
+    const token = getBearerToken(req);
+    if (!token) {
+      throw new AuthError('Missing bearer token');
+    }
+
+    req.user = await verifyToken(token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Check whether a principal holds a role, optionally within specific namespaces
+ * @param {Object} user - Request principal
+ * @param {string} role - Required role (viewer, deployer, admin)
+ * @param {Array<string>|null} namespaces - Namespaces the action touches;
+ *   null accepts a grant in any namespace, an empty array requires a global grant
+ * @returns {boolean} True if authorized
+ */
+function hasRole(user, role, namespaces = null) {
+  const required = ROLE_LEVELS[role];
+  const grants = (user?.roles || []).filter(grant => ROLE_LEVELS[grant.role] >= required);
+
+  if (namespaces === null) {
+    return grants.length > 0;
+  }
+
+  if (namespaces.length === 0) {
+    return grants.some(grant => grant.namespace === null);
+  }
+
+  return namespaces.every(namespace =>
+    grants.some(grant => grant.namespace === null || grant.namespace === namespace)
+  );
+}
+
+/**
+ * Keep the items a principal holds a role for, by the namespaces each item belongs to
+ * Items without a namespace are only kept for global grants
+ * @param {Object} user - Request principal
+ * @param {Array} items - Items to filter
+ * @param {Function} getNamespaces - (item) => namespace, array of namespaces or null
+ * @param {string} role - Required role, viewer by default
+ * @returns {Array} Visible items
+ */
+function filterByNamespace(user, items, getNamespaces, role = 'viewer') {
+  return items.filter(item => hasRole(user, role, [].concat(getNamespaces(item) || [])));
+}
+
+/**
+ * Middleware factory that enforces a minimum role
+ * @param {string} role - Required role (viewer, deployer, admin)
+ * @param {Function} resolveNamespaces - Optional (req) => namespaces the request touches
+ * @returns {Function} Express middleware
+ */
+function requireRole(role, resolveNamespaces = null) {
+  if (!ROLE_LEVELS[role]) {
+    throw new ConfigurationError(`Unknown role: ${role}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        throw new AuthError('Authentication required');
+      }
+
+      const namespaces = resolveNamespaces ? await resolveNamespaces(req) : null;
+
+      if (!hasRole(req.user, role, namespaces)) {
+        throw new AuthError(`Role '${role}' required`, {
+          required: role,
+          namespaces: namespaces || []
+        }, 403);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Load applications from the shared configuration
+ */
+function getConfiguredApplications() {
+  return configLoader.loadConfig('applications.yaml').applications;
+}
+
+/**
+ * Namespace resolvers for requireRole
+ */
+const namespaceFrom = {
+  // Namespace given directly as a route parameter
+  param: (paramName = 'namespace') => (req) => [req.params[paramName]],
+
+  // Namespace of the configured application managed by an ArgoCD app,
+  // else the destination namespace of the ArgoCD app itself
+  argocdApp: (paramName = 'name') => async (req) => {
+    const app = getConfiguredApplications().find(a => a.argocdApp === req.params[paramName]);
+    if (app) return [app.namespace];
+
+    const application = await argocd.getApplication(req.params[paramName]);
+    const namespace = application.spec?.destination?.namespace;
+    return namespace ? [namespace] : [];
+  },
+
+  // Namespace of a configured application by id
+  application: (paramName = 'id') => (req) => {
+    const app = getConfiguredApplications().find(a => a.id === req.params[paramName]);
+    return app ? [app.namespace] : [];
+  },
+
+  // No namespace: only a global grant covers cluster-wide surfaces
+  cluster: () => () => [],
+
+  // Namespaces of every configured application built from a GitHub repo
+  githubRepo: (field = 'repo') => (req) => {
+    const repo = req.body?.[field] || req.query?.[field];
+    const namespaces = getConfiguredApplications()
+      .filter(a => a.github?.repo === repo)
+      .map(a => a.namespace);
+    return [...new Set(namespaces)];
+  }
+};
+
+module.exports = {
+  authenticate,
+  requireRole,
+  hasRole,
+  filterByNamespace,
+  namespaceFrom,
+  ROLE_LEVELS,
+  AUTH_MODE
+};
@@ -1,4 +1,4 @@
-const { validationResult, param, query, body } = require('express-validator');
+const { validationResult, matchedData, param, query, body } = require('express-validator');
 
 /**
  * Validation middleware for API endpoints
@@ -24,6 +24,26 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Get validated and sanitized query parameters
+ * Express 5 re-parses req.query on every access, so sanitizers such as toInt()
+ * are only visible through express-validator's matched data
+ */
+const validatedQuery = (req) => matchedData(req, { locations: ['query'] });
+
+// ArgoCD sync options (Key=value) that may be passed to a sync
+const SYNC_OPTION = new RegExp('^(' + [
+  'Validate=(true|false)',
+  'CreateNamespace=(true|false)',
+  'PruneLast=(true|false)',
+  'ApplyOutOfSyncOnly=(true|false)',
+  'PrunePropagationPolicy=(foreground|background|orphan)',
+  'Replace=(true|false)',
+  'ServerSideApply=(true|false)',
+  'RespectIgnoreDifferences=(true|false)',
+  'FailOnSharedResource=(true|false)'
+].join('|') + ')$');
+
 /**
  * Common validation rules
  */
@@ -160,12 +180,43 @@ const validations = {
       .toInt();
   },
 
+  // Helm revision query parameter (selects a stored revision)
+  helmRevisionQuery: () => {
+    return query('revision')
+      .optional()
+      .isInt({ min: 1, max: 999999 }).withMessage('revision must be a positive integer')
+      .toInt();
+  },
+
   // Pagination limit validation
   paginationLimit: () => {
     return query('per_page')
       .optional()
       .isInt({ min: 1, max: 100 }).withMessage('per_page must be between 1 and 100')
       .toInt();
+  },
+
+  // Analytics window length in days
+  analyticsDays: () => {
+    return query('days')
+      .optional()
+      .isInt({ min: 1, max: 365 }).withMessage('days must be an integer between 1 and 365')
+      .toInt();
+  },
+
+  // Monitored repository filter ('name' or 'owner/name')
+  repositoryQuery: () => {
+    return query('repo')
+      .optional()
+      .trim()
+      .matches(/^([a-zA-Z0-9-]+\/)?[a-zA-Z0-9._-]+$/).withMessage('repo must be a repository name or owner/name');
+  },
+
+  // Time-series bucket size
+  analyticsBucket: () => {
+    return query('bucket')
+      .optional()
+      .isIn(['day', 'week']).withMessage('bucket must be day or week');
   }
 };
 
@@ -176,8 +227,68 @@ const validators = {
   // ArgoCD validators
   argocd: {
     getApplication: [validations.argocdAppName(), handleValidationErrors],
-    syncApplication: [validations.argocdAppName(), handleValidationErrors],
-    getApplicationHistory: [validations.argocdAppName(), handleValidationErrors]
+    syncApplication: [
+      validations.argocdAppName(),
+      body(['prune', 'dryRun', 'force'])
+        .optional()
+        .isBoolean({ strict: true }).withMessage('prune, dryRun and force must be booleans'),
+      body('revision')
+        .optional()
+        .isString().withMessage('revision must be a string')
+        .trim()
+        .isLength({ min: 1, max: 255 }).withMessage('revision must be between 1 and 255 characters')
+        .matches(/^[a-zA-Z0-9/_.-]+$/).withMessage('revision contains invalid characters'),
+      body('syncOptions')
+        .optional()
+        .isArray({ max: 20 }).withMessage('syncOptions must be an array of at most 20 options'),
+      body('syncOptions.*')
+        .matches(SYNC_OPTION).withMessage('syncOptions entries must be known ArgoCD sync options such as CreateNamespace=true'),
+      body('resources')
+        .optional()
+        .isArray({ min: 1, max: 200 }).withMessage('resources must be an array of 1 to 200 resources'),
+      body('resources.*.kind')
+        .matches(/^[A-Za-z][A-Za-z0-9]*$/).withMessage('resource kind must be a Kubernetes kind'),
+      body('resources.*.name')
+        .matches(/^[a-z0-9]([-a-z0-9.]*[a-z0-9])?$/).withMessage('resource name must be a Kubernetes name'),
+      body('resources.*.group')
+        .optional()
+        .matches(/^[a-z0-9.-]*$/).withMessage('resource group must be an API group'),
+      body('resources.*.namespace')
+        .optional({ values: 'null' })
+        .matches(/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/).withMessage('resource namespace must be a Kubernetes namespace'),
+      handleValidationErrors
+    ],
+    getApplicationHistory: [validations.argocdAppName(), handleValidationErrors],
+    rollbackApplication: [
+      validations.argocdAppName(),
+      body('id')
+        .notEmpty().withMessage('id is required')
+        .isInt({ min: 0 }).withMessage('id must be a history entry id')
+        .toInt(),
+      body(['prune', 'pauseAutoSync'])
+        .optional()
+        .isBoolean({ strict: true }).withMessage('prune and pauseAutoSync must be booleans'),
+      handleValidationErrors
+    ],
+    resumeAutoSync: [validations.argocdAppName(), handleValidationErrors],
+    getOperation: [validations.argocdAppName(), handleValidationErrors],
+    terminateOperation: [validations.argocdAppName(), handleValidationErrors],
+    getResourceTree: [validations.argocdAppName(), handleValidationErrors],
+    getDiff: [validations.argocdAppName(), handleValidationErrors],
+    getManagedResources: [
+      validations.argocdAppName(),
+      query('kind')
+        .optional()
+        .matches(/^[A-Za-z][A-Za-z0-9]*$/).withMessage('kind must be a Kubernetes kind'),
+      query('group')
+        .optional()
+        .matches(/^[a-z0-9.-]*$/).withMessage('group must be an API group'),
+      query(['namespace', 'name'])
+        .optional()
+        .isLength({ max: 253 })
+        .matches(/^[a-z0-9]([-a-z0-9.]*[a-z0-9])?$/).withMessage('namespace and name must be Kubernetes names'),
+      handleValidationErrors
+    ]
   },
 
   // Prometheus validators
@@ -197,6 +308,79 @@ const validators = {
         .matches(/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/)
         .withMessage('deployment must be a valid Kubernetes resource name')
         .customSanitizer(value => value.toLowerCase().trim()),
+      query('range')
+        .optional()
+        .isIn(['1h', '24h', '7d']).withMessage('range must be 1h, 24h or 7d'),
+      handleValidationErrors
+    ],
+    catalogQuery: [
+      param('name')
+        .trim()
+        .matches(/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/).withMessage('name must be a catalog query name'),
+      query('app')
+        .optional()
+        .trim()
+        .matches(/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/).withMessage('app must be an application id'),
+      validations.prometheusTime(),
+      handleValidationErrors
+    ],
+    clusterOverview: [
+      query('range')
+        .optional()
+        .isIn(['1h', '24h', '7d']).withMessage('range must be 1h, 24h or 7d'),
+      handleValidationErrors
+    ],
+    alerts: [
+      query('state')
+        .optional()
+        .isIn(['firing', 'pending']).withMessage('state must be firing or pending'),
+      query('app')
+        .optional()
+        .trim()
+        .matches(/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/).withMessage('app must be an application id'),
+      handleValidationErrors
+    ]
+  },
+
+  // Alertmanager validators
+  alertmanager: {
+    listSilences: [
+      query('state')
+        .optional()
+        .isIn(['active', 'pending', 'expired']).withMessage('state must be active, pending or expired'),
+      handleValidationErrors
+    ],
+    createSilence: [
+      body('matchers')
+        .isArray({ min: 1, max: 20 }).withMessage('matchers must be an array of 1 to 20 matchers'),
+      body('matchers.*.name')
+        .isString()
+        .matches(/^[a-zA-Z_][a-zA-Z0-9_]*$/).withMessage('matcher name must be a valid label name'),
+      body('matchers.*.value')
+        .isString().withMessage('matcher value must be a string')
+        .isLength({ max: 1024 }).withMessage('matcher value is too long (max 1024 characters)'),
+      body(['matchers.*.isRegex', 'matchers.*.isEqual'])
+        .optional()
+        .isBoolean({ strict: true }).withMessage('isRegex and isEqual must be booleans'),
+      body('matchers')
+        .custom(matchers => matchers.some(m => m.value !== '' && !m.isRegex && m.isEqual !== false))
+        .withMessage('at least one matcher must be an equality matcher with a non-empty value'),
+      body('duration')
+        .optional()
+        .matches(/^[1-9][0-9]*[mhd]$/).withMessage('duration must look like 30m, 2h or 1d'),
+      body('endsAt')
+        .optional()
+        .isISO8601().withMessage('endsAt must be an ISO 8601 date')
+        .custom(value => new Date(value) > new Date()).withMessage('endsAt must be in the future'),
+      body('comment')
+        .isString().withMessage('comment is required')
+        .trim()
+        .isLength({ min: 1, max: 500 }).withMessage('comment must be between 1 and 500 characters'),
+      handleValidationErrors
+    ],
+    expireSilence: [
+      param('id')
+        .isUUID().withMessage('id must be a silence id'),
       handleValidationErrors
     ]
   },
@@ -204,6 +388,14 @@ const validators = {
   // GitHub validators
   github: {
     getWorkflowRuns: [validations.workflowId(), handleValidationErrors],
+    recentRuns: [
+      validations.repositoryQuery(),
+      query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50')
+        .toInt(),
+      handleValidationErrors
+    ],
     triggerWorkflow: [
       validations.workflowId(),
       validations.githubRef(),
@@ -217,6 +409,7 @@ const validators = {
     getRelease: [
       validations.namespace(),
       validations.applicationName(),
+      validations.helmRevisionQuery(),
       handleValidationErrors
     ],
     getReleaseHistory: [
@@ -233,6 +426,105 @@ const validators = {
     getReleaseValues: [
       validations.namespace(),
       validations.applicationName(),
+      validations.helmRevisionQuery(),
+      query('all')
+        .optional()
+        .isBoolean().withMessage('all must be true or false')
+        .toBoolean(),
+      handleValidationErrors
+    ],
+    getReleaseManifest: [
+      validations.namespace(),
+      validations.applicationName(),
+      validations.helmRevisionQuery(),
+      handleValidationErrors
+    ],
+    diffReleaseRevisions: [
+      validations.namespace(),
+      validations.applicationName(),
+      query('from')
+        .notEmpty().withMessage('from is required')
+        .isInt({ min: 1, max: 999999 }).withMessage('from must be a positive integer')
+        .toInt(),
+      query('to')
+        .optional()
+        .isInt({ min: 1, max: 999999 }).withMessage('to must be a positive integer')
+        .toInt(),
+      handleValidationErrors
+    ]
+  },
+
+  // Analytics validators
+  analytics: {
+    metrics: [
+      validations.analyticsDays(),
+      query(['from', 'to'])
+        .optional()
+        .isISO8601().withMessage('from and to must be ISO 8601 dates')
+        .toDate(),
+      query('from')
+        .if(query('to').exists())
+        .exists().withMessage('from is required when to is given'),
+      query('from')
+        .if(query('days').exists())
+        .not().exists().withMessage('use either days or from/to, not both'),
+      query('to')
+        .optional()
+        .custom((to, { req }) => !req.query.from || new Date(req.query.from) < new Date(to))
+        .withMessage('to must be after from'),
+      validations.repositoryQuery(),
+      query('app')
+        .optional()
+        .trim()
+        .matches(/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/).withMessage('app must be an application id'),
+      validations.analyticsBucket(),
+      query('includeRuns')
+        .optional()
+        .isBoolean().withMessage('includeRuns must be true or false')
+        .toBoolean(),
+      handleValidationErrors
+    ],
+    workflowMetrics: [
+      param('workflow_name')
+        .trim()
+        .notEmpty().withMessage('workflow_name is required')
+        .isLength({ max: 255 }).withMessage('workflow_name must be at most 255 characters'),
+      validations.analyticsDays(),
+      validations.repositoryQuery(),
+      validations.analyticsBucket(),
+      handleValidationErrors
+    ]
+  },
+
+  config: {
+    validate: [
+      query('file')
+        .optional()
+        .isIn(['applications.yaml', 'promql-queries.yaml']).withMessage('file must be applications.yaml or promql-queries.yaml'),
+      handleValidationErrors
+    ]
+  },
+
+  // Audit log validators
+  audit: {
+    list: [
+      query('action')
+        .optional()
+        .matches(/^[a-z]+\.[a-z_]+$/).withMessage('action must look like service.operation (e.g., helm.rollback)'),
+      query('outcome')
+        .optional()
+        .isIn(['success', 'failure', 'denied']).withMessage('outcome must be success, failure or denied'),
+      query(['app', 'namespace', 'actor'])
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 253 }).withMessage('filter values must be between 1 and 253 characters'),
+      query(['since', 'until'])
+        .optional()
+        .isISO8601().withMessage('since and until must be ISO 8601 dates'),
+      query('limit')
+        .optional()
+        .isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000')
+        .toInt(),
       handleValidationErrors
     ]
   },
@@ -254,5 +546,6 @@ const validators = {
 module.exports = {
   validators,
   validations,
-  handleValidationErrors
+  handleValidationErrors,
+  validatedQuery
 };
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const alertmanager = require('../services/alertmanager');
+const { validators, validatedQuery } = require('../middleware/validation');
+const { requireRole, filterByNamespace } = require('../middleware/auth');
+const { auditAction } = require('../middleware/audit');
+
+const DEFAULT_SILENCE_DURATION = '2h';
+const DURATION_UNITS_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Namespaces a silence is scoped to, from its exact namespace matchers
+ * A silence without one can cover any namespace, so it needs a global grant
+ */
+function silenceNamespaces(matchers = []) {
+  const namespaces = matchers
+    .filter(m => m.name === 'namespace' && !m.isRegex && m.isEqual !== false)
+    .map(m => m.value);
+  return [...new Set(namespaces)];
+}
+
+/**
+ * Silence end time from an explicit endsAt or a duration such as 2h
+ */
+function silenceEnd({ endsAt, duration }, startsAt) {
+  if (endsAt) {
+    return new Date(endsAt);
+  }
+  const [, amount, unit] = (duration || DEFAULT_SILENCE_DURATION).match(/^(\d+)([mhd])$/);
+  return new Date(startsAt.getTime() + Number(amount) * DURATION_UNITS_MS[unit]);
+}
+
+// List silences, optionally only those in one state
+router.get('/silences', validators.alertmanager.listSilences, async (req, res, next) => {
+  try {
+    const silences = await alertmanager.listSilences(validatedQuery(req).state);
+    res.json({ silences: filterByNamespace(req.user, silences, silence => silenceNamespaces(silence.matchers)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a silence starting now
+router.post(
+  '/silences',
+  validators.alertmanager.createSilence,
+  auditAction('alertmanager.silence_create', (req, responseBody) => ({
+    target: { namespace: silenceNamespaces(req.body.matchers)[0] || null, silence: responseBody?.silenceID || null },
+    params: req.body
+  })),
+  requireRole('deployer', req => silenceNamespaces(req.body.matchers)),
+  async (req, res, next) => {
+    try {
+      const { matchers, comment } = req.body;
+      const startsAt = new Date();
+      const endsAt = silenceEnd(req.body, startsAt);
+
+      const result = await alertmanager.createSilence({
+        matchers: matchers.map(m => ({
+          name: m.name,
+          value: m.value,
+          isRegex: m.isRegex === true,
+          isEqual: m.isEqual !== false
+        })),
+        startsAt: startsAt.toISOString(),
+        endsAt: endsAt.toISOString(),
+        createdBy: req.user.name,
+        comment
+      });
+
+      res.status(201).json({
+        silenceID: result.silenceID,
+        startsAt: startsAt.toISOString(),
+        endsAt: endsAt.toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Expire a silence; scoped by the namespaces the silence itself matches
+router.delete(
+  '/silences/:id',
+  validators.alertmanager.expireSilence,
+  auditAction('alertmanager.silence_expire', (req) => ({
+    target: { silence: req.params.id }
+  })),
+  requireRole('deployer', async (req) => {
+    const silence = await alertmanager.getSilence(req.params.id);
+    return silenceNamespaces(silence.matchers);
+  }),
+  async (req, res, next) => {
+    try {
+      await alertmanager.expireSilence(req.params.id);
+      res.json({ success: true, message: `Silence ${req.params.id} expired` });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
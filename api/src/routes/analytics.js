@@ -1,71 +1,201 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
+const configLoader = require('../config/config-loader');
+const repositoryRegistry = require('../services/repository-registry');
+const { fetchRunsSince } = require('../services/github-runs');
+const { computeLeadTime } = require('../services/lead-time');
+const { validators, validatedQuery } = require('../middleware/validation');
+const { NotFoundError } = require('../utils/errors');
+const { mean, median, percentile, round } = require('../utils/stats');
 
-const GITHUB_API = 'https://api.github.com';
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-const GITHUB_OWNER = process.env.GITHUB_OWNER || 'maxjeffwell';
-
-// Multiple repos to monitor
-const REPOS = [
-  { name: 'devops-portfolio-manager', displayName: 'PodRick' },
-  { name: 'portfolio-orchestration-platform', displayName: 'POP' },
-  { name: 'k8s-multi-tenant-platform', displayName: 'TenantFlow' },
-  { name: 'microservices-platform', displayName: 'Vertex Platform' },
-  { name: 'portfolio-gatsby', displayName: 'Portfolio Gatsby' }
-];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW_DAYS = 30;
 
 // Helper function to calculate time difference in hours
 function getHoursDiff(start, end) {
   return (new Date(end) - new Date(start)) / (1000 * 60 * 60);
 }
 
-// Helper function to calculate median
-function median(arr) {
-  if (arr.length === 0) return 0;
-  const sorted = arr.slice().sort((a, b) => a - b);
-  const mid = Math.floor(sorted.length / 2);
-  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+const isDeployment = run => Boolean(run.name) && /deploy|release/i.test(run.name);
+
+const runDuration = run => (run.run_started_at && run.updated_at
+  ? getHoursDiff(run.run_started_at, run.updated_at)
+  : null);
+
+/**
+ * Resolve the metrics window from ?days or ?from/?to
+ * @returns {{from: Date, to: Date, days: number}}
+ */
+function resolveWindow({ days, from, to }) {
+  const end = to ? new Date(to) : new Date();
+  const start = from
+    ? new Date(from)
+    : new Date(end.getTime() - (days || DEFAULT_WINDOW_DAYS) * DAY_MS);
+  return { from: start, to: end, days: (end - start) / DAY_MS };
 }
 
-// Get comprehensive DevOps metrics
-router.get('/metrics', async (req, res) => {
-  try {
-    // Fetch workflow runs from the last 30 days from all repos
-    const since = new Date();
-    since.setDate(since.getDate() - 30);
-
-    const allRuns = [];
-
-    // Fetch runs from all repos
-    for (const repo of REPOS) {
-      try {
-        const response = await axios.get(
-          `${GITHUB_API}/repos/${GITHUB_OWNER}/${repo.name}/actions/runs`,
-          {
-            headers: GITHUB_TOKEN ? { 'Authorization': `token ${GITHUB_TOKEN}` } : {},
-            params: {
-              per_page: 100,
-              created: `>=${since.toISOString()}`
-            }
-          }
-        );
-
-        // Add repo context to each run
-        const runsWithRepo = response.data.workflow_runs.map(run => ({
-          ...run,
-          repo: repo.name,
-          repo_display_name: repo.displayName
-        }));
-
-        allRuns.push(...runsWithRepo);
-      } catch (error) {
-        console.error(`Error fetching runs for ${repo.name}:`, error.message);
-        // Continue with other repos even if one fails
+/**
+ * Resolve ?repo and ?app to the repositories and applications to include
+ * @throws {NotFoundError} If the repository or application is not monitored
+ * @returns {{repos: Array<Object>, applications: Array<Object>}}
+ */
+function resolveScope({ repo, app }) {
+  let applications = configLoader.loadConfig('applications.yaml').applications;
+  let repos = repositoryRegistry.list();
+
+  if (app) {
+    const application = applications.find(a => a.id === app);
+    if (!application) {
+      throw new NotFoundError('Application', app);
+    }
+    applications = [application];
+    repos = repos.filter(r => r.applications.includes(app));
+  }
+  if (repo) {
+    const { fullName } = repositoryRegistry.get(repo);
+    repos = repos.filter(r => r.fullName === fullName);
+    applications = applications.filter(a => `${a.github.owner}/${a.github.repo}` === fullName);
+  }
+
+  return { repos, applications };
+}
+
+/**
+ * Success, deployment and duration figures for a set of runs
+ */
+function summarizeRuns(runs) {
+  const successful = runs.filter(r => r.conclusion === 'success').length;
+  const failed = runs.filter(r => r.conclusion === 'failure').length;
+  const deployments = runs.filter(isDeployment);
+  const durations = runs.map(runDuration).filter(d => d !== null);
+
+  return {
+    totalRuns: runs.length,
+    successfulRuns: successful,
+    failedRuns: failed,
+    successRate: runs.length > 0 ? round(successful / runs.length * 100) : 0,
+    deployments: deployments.length,
+    failures: deployments.filter(r => r.conclusion === 'failure').length,
+    avgDuration: round(mean(durations))
+  };
+}
+
+/**
+ * Start of the UTC day or ISO week (starting Monday) containing a date
+ */
+function bucketStart(date, bucket) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (bucket === 'week') {
+    start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+  }
+  return start;
+}
+
+/**
+ * Time to recovery of every failed run: hours from the failure until the next
+ * successful run of the same workflow
+ * @returns {Map<number, number>} Run id to recovery hours, for failures that were recovered
+ */
+function recoveryTimes(runs) {
+  const sortedRuns = runs.slice().sort((a, b) =>
+    new Date(a.created_at) - new Date(b.created_at)
+  );
+
+  const recoveries = new Map();
+  for (let i = 0; i < sortedRuns.length - 1; i++) {
+    if (sortedRuns[i].conclusion === 'failure') {
+      // Find next successful run of same workflow
+      for (let j = i + 1; j < sortedRuns.length; j++) {
+        if (sortedRuns[j].workflow_id === sortedRuns[i].workflow_id &&
+            sortedRuns[j].conclusion === 'success') {
+          recoveries.set(
+            sortedRuns[i].id,
+            getHoursDiff(sortedRuns[i].updated_at, sortedRuns[j].updated_at)
+          );
+          break;
+        }
       }
     }
+  }
+  return recoveries;
+}
 
-    const runs = allRuns;
+/**
+ * Split runs into consecutive day or week buckets covering the window
+ * Empty buckets are included so charts have a continuous time axis
+ * @param {Object} [options] - { recoveries: result of recoveryTimes() to add MTTR, includeRuns: list each bucket's runs }
+ * @returns {Array<Object>} { start, end, runs, deployments, failures, successRate, avgDuration,
+ *   deploymentFrequency, changeFailureRate, [mttr], [items] }
+ */
+function buildSeries(runs, from, to, bucket, { recoveries = null, includeRuns = false } = {}) {
+  const step = bucket === 'week' ? 7 * DAY_MS : DAY_MS;
+  const series = [];
+  const index = new Map();
+
+  for (let start = bucketStart(from, bucket); start < to; start = new Date(start.getTime() + step)) {
+    index.set(start.getTime(), series.length);
+    series.push({ start, runs: [] });
+  }
+  for (const run of runs) {
+    const position = index.get(bucketStart(new Date(run.created_at), bucket).getTime());
+    if (position !== undefined) series[position].runs.push(run);
+  }
+
+  return series.map(({ start, runs: bucketRuns }) => {
+    const summary = summarizeRuns(bucketRuns);
+    const point = {
+      start: start.toISOString(),
+      end: new Date(start.getTime() + step).toISOString(),
+      runs: summary.totalRuns,
+      deployments: summary.deployments,
+      failures: summary.failures,
+      successRate: summary.successRate,
+      avgDuration: summary.avgDuration,
+      deploymentFrequency: round(summary.deployments / (step / DAY_MS)),
+      changeFailureRate: summary.deployments > 0 ? round(summary.failures / summary.deployments * 100) : 0
+    };
+
+    if (recoveries) {
+      point.mttr = round(mean(bucketRuns.filter(r => recoveries.has(r.id)).map(r => recoveries.get(r.id))));
+    }
+    if (includeRuns) {
+      point.items = bucketRuns.map(run => ({
+        id: run.id,
+        name: run.name,
+        repo: `${run.owner}/${run.repo}`,
+        conclusion: run.conclusion,
+        deployment: isDeployment(run),
+        createdAt: run.created_at,
+        url: run.html_url,
+        duration: runDuration(run) === null ? null : round(runDuration(run)),
+        recovery: recoveries?.has(run.id) ? round(recoveries.get(run.id)) : null
+      }));
+    }
+    return point;
+  });
+}
+
+// Get comprehensive DevOps metrics
+// Window: ?days (default 30) or ?from/?to; scope: ?repo, ?app
+// ?bucket=day|week adds a time series, ?includeRuns=true lists the runs behind each point
+router.get('/metrics', validators.analytics.metrics, async (req, res, next) => {
+  try {
+    const query = validatedQuery(req);
+    const { from, to, days } = resolveWindow(query);
+    const { repos, applications } = resolveScope(query);
+
+    const [fetchedRuns, leadTime] = await Promise.all([
+      fetchRunsSince(from, repos),
+      computeLeadTime(from, to, applications.map(app => app.id))
+    ]);
+    const runs = fetchedRuns.filter(r => new Date(r.created_at) <= to);
+
+    const window = {
+      period: `${round(days)} days`,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      filters: { repo: query.repo || null, app: query.app || null }
+    };
 
     if (runs.length === 0) {
       return res.json({
@@ -77,84 +207,32 @@ router.get('/metrics', async (req, res) => {
         maxDuration: 0,
         medianDuration: 0,
         deploymentFrequency: 0,
-        leadTimeForChanges: 0,
+        leadTimeForChanges: leadTime.aggregate.median,
+        leadTime,
         changeFailureRate: 0,
         mttr: 0,
-        period: '30 days',
-        message: 'No workflow runs found in the last 30 days'
+        ...(query.bucket ? { series: buildSeries(runs, from, to, query.bucket, { recoveries: new Map() }) } : {}),
+        ...window,
+        message: `No workflow runs found in the selected ${window.period}`
       });
     }
 
-    // Calculate Pipeline Success Rate
-    const successful = runs.filter(r => r.conclusion === 'success').length;
-    const failed = runs.filter(r => r.conclusion === 'failure').length;
-    const pipelineSuccessRate = (successful / runs.length * 100).toFixed(2);
+    const summary = summarizeRuns(runs);
 
     // Calculate Pipeline Duration metrics
-    const durations = runs
-      .filter(r => r.run_started_at && r.updated_at)
-      .map(r => getHoursDiff(r.run_started_at, r.updated_at));
+    const durations = runs.map(runDuration).filter(d => d !== null);
 
-    const avgDuration = durations.length > 0
-      ? (durations.reduce((a, b) => a + b, 0) / durations.length).toFixed(2)
-      : 0;
-    const maxDuration = durations.length > 0
-      ? Math.max(...durations).toFixed(2)
-      : 0;
-    const medianDuration = durations.length > 0
-      ? median(durations).toFixed(2)
-      : 0;
-
-    // Calculate Deployment Frequency (deployments per day)
-    const deploymentRuns = runs.filter(r =>
-      r.name && (
-        r.name.toLowerCase().includes('deploy') ||
-        r.name.toLowerCase().includes('release')
-      )
-    );
-    const deploymentFrequency = (deploymentRuns.length / 30).toFixed(2);
-
-    // Calculate Lead Time for Changes (average time from commit to deployment)
+    // Calculate Deployment Frequency (deployments per day of the window)
+    const deploymentRuns = runs.filter(isDeployment);
     const deploymentSuccessful = deploymentRuns.filter(r => r.conclusion === 'success');
-    const leadTimes = deploymentSuccessful
-      .filter(r => r.run_started_at && r.updated_at)
-      .map(r => getHoursDiff(r.run_started_at, r.updated_at));
-
-    const leadTimeForChanges = leadTimes.length > 0
-      ? (leadTimes.reduce((a, b) => a + b, 0) / leadTimes.length).toFixed(2)
-      : 0;
 
     // Calculate Change Failure Rate
-    const deploymentFailed = deploymentRuns.filter(r => r.conclusion === 'failure').length;
     const changeFailureRate = deploymentRuns.length > 0
-      ? (deploymentFailed / deploymentRuns.length * 100).toFixed(2)
+      ? summary.failures / deploymentRuns.length * 100
       : 0;
 
     // Calculate Mean Time to Recovery (MTTR)
-    // Find failed runs and their subsequent successful runs
-    const sortedRuns = runs.sort((a, b) =>
-      new Date(a.created_at) - new Date(b.created_at)
-    );
-
-    const recoveryTimes = [];
-    for (let i = 0; i < sortedRuns.length - 1; i++) {
-      if (sortedRuns[i].conclusion === 'failure') {
-        // Find next successful run of same workflow
-        for (let j = i + 1; j < sortedRuns.length; j++) {
-          if (sortedRuns[j].workflow_id === sortedRuns[i].workflow_id &&
-              sortedRuns[j].conclusion === 'success') {
-            recoveryTimes.push(
-              getHoursDiff(sortedRuns[i].updated_at, sortedRuns[j].updated_at)
-            );
-            break;
-          }
-        }
-      }
-    }
-
-    const mttr = recoveryTimes.length > 0
-      ? (recoveryTimes.reduce((a, b) => a + b, 0) / recoveryTimes.length).toFixed(2)
-      : 0;
+    const recoveries = recoveryTimes(runs);
 
     // Workflows breakdown
     const workflowStats = {};
@@ -172,109 +250,165 @@ router.get('/metrics', async (req, res) => {
       if (run.conclusion === 'failure') workflowStats[name].failed++;
     });
 
+    // Applications breakdown, by the repository each application is built from
+    const applicationStats = applications.map(app => {
+      const appRuns = runs.filter(r => r.owner === app.github.owner && r.repo === app.github.repo);
+      const appLeadTime = leadTime.applications.find(a => a.id === app.id);
+      return {
+        id: app.id,
+        name: app.name,
+        ...summarizeRuns(appRuns),
+        deploymentFrequency: round(appRuns.filter(isDeployment).length / days),
+        leadTimeForChanges: appLeadTime ? appLeadTime.median : 0
+      };
+    });
+
     res.json({
       // Core DORA metrics
-      pipelineSuccessRate: parseFloat(pipelineSuccessRate),
-      totalRuns: runs.length,
-      successfulRuns: successful,
-      failedRuns: failed,
+      pipelineSuccessRate: summary.successRate,
+      totalRuns: summary.totalRuns,
+      successfulRuns: summary.successfulRuns,
+      failedRuns: summary.failedRuns,
 
       // Duration metrics
-      avgDuration: parseFloat(avgDuration),
-      maxDuration: parseFloat(maxDuration),
-      medianDuration: parseFloat(medianDuration),
+      avgDuration: summary.avgDuration,
+      maxDuration: durations.length > 0 ? round(Math.max(...durations)) : 0,
+      medianDuration: round(median(durations)),
 
       // Deployment metrics
-      deploymentFrequency: parseFloat(deploymentFrequency),
+      deploymentFrequency: round(deploymentRuns.length / days),
       totalDeployments: deploymentRuns.length,
       successfulDeployments: deploymentSuccessful.length,
 
       // Quality metrics
-      leadTimeForChanges: parseFloat(leadTimeForChanges),
-      changeFailureRate: parseFloat(changeFailureRate),
-      mttr: parseFloat(mttr),
+      // Lead time: median hours from commit to ArgoCD deployment, per application in leadTime
+      leadTimeForChanges: leadTime.aggregate.median,
+      leadTime,
+      changeFailureRate: round(changeFailureRate),
+      mttr: round(mean([...recoveries.values()])),
 
       // Breakdown
       workflowStats,
+      applicationStats,
+      ...(query.bucket
+        ? { series: buildSeries(runs, from, to, query.bucket, { recoveries, includeRuns: query.includeRuns }) }
+        : {}),
 
-      period: '30 days',
+      ...window,
       lastUpdated: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Error fetching analytics:', error);
-    res.status(500).json({
-      error: error.message,
-      message: 'Failed to fetch analytics data'
-    });
+    next(error);
   }
 });
 
-// Get workflow-specific metrics
-router.get('/workflows/:workflow_name/metrics', async (req, res) => {
+const MINUTE_MS = 60 * 1000;
+const SLOWEST_RUNS = 10;
+
+/**
+ * Percentile summary of durations in minutes
+ */
+function summarizeMinutes(values) {
+  return {
+    p50: round(percentile(values, 50)),
+    p90: round(percentile(values, 90)),
+    p95: round(percentile(values, 95)),
+    avg: round(mean(values)),
+    max: values.length > 0 ? round(Math.max(...values)) : 0
+  };
+}
+
+/**
+ * Run time and queue time (created until the runner picked it up) of a run in minutes
+ */
+function runTimings(run) {
+  const created = new Date(run.created_at);
+  const started = run.run_started_at ? new Date(run.run_started_at) : null;
+  const finished = run.status === 'completed' && run.updated_at ? new Date(run.updated_at) : null;
+  return {
+    durationMinutes: started && finished ? round((finished - started) / MINUTE_MS) : null,
+    queueMinutes: started ? round(Math.max(0, started - created) / MINUTE_MS) : null
+  };
+}
+
+function toRunSummary(run) {
+  return {
+    id: run.id,
+    repo: `${run.owner}/${run.repo}`,
+    runNumber: run.run_number,
+    status: run.status,
+    conclusion: run.conclusion,
+    branch: run.head_branch,
+    event: run.event,
+    createdAt: run.created_at,
+    url: run.html_url,
+    ...runTimings(run)
+  };
+}
+
+// Get workflow-specific metrics across all monitored repos, or one ?repo
+router.get('/workflows/:workflow_name/metrics', validators.analytics.workflowMetrics, async (req, res, next) => {
   try {
     const { workflow_name } = req.params;
+    const { days = DEFAULT_WINDOW_DAYS, repo, bucket = 'day' } = validatedQuery(req);
+    const { from, to } = resolveWindow({ days });
+    const repos = repo ? [repositoryRegistry.get(repo)] : repositoryRegistry.list();
 
-    const since = new Date();
-    since.setDate(since.getDate() - 30);
+    const runs = (await fetchRunsSince(from, repos))
+      .filter(r => r.name === workflow_name)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
 
-    const response = await axios.get(
-      `${GITHUB_API}/repos/${GITHUB_OWNER}/${GITHUB_REPO}/actions/runs`,
-      {
-        headers: GITHUB_TOKEN ? { 'Authorization': `token ${GITHUB_TOKEN}` } : {},
-        params: {
-          per_page: 100,
-          created: `>=${since.toISOString()}`
-        }
-      }
-    );
-
-    const runs = response.data.workflow_runs.filter(r =>
-      r.name === workflow_name
-    );
+    const window = {
+      period: `${days} days`,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      filters: { repo: repo || null }
+    };
 
     if (runs.length === 0) {
       return res.json({
         workflow: workflow_name,
         totalRuns: 0,
-        message: 'No runs found for this workflow in the last 30 days'
+        repositories: [],
+        ...window,
+        message: `No runs found for this workflow in the last ${days} days`
       });
     }
 
-    const successful = runs.filter(r => r.conclusion === 'success').length;
-    const failed = runs.filter(r => r.conclusion === 'failure').length;
-
-    const durations = runs
-      .filter(r => r.run_started_at && r.updated_at)
-      .map(r => getHoursDiff(r.run_started_at, r.updated_at));
+    const summary = summarizeRuns(runs);
+    const summaries = runs.map(toRunSummary);
+    const durations = summaries.map(r => r.durationMinutes).filter(d => d !== null);
+    const queueTimes = summaries.map(r => r.queueMinutes).filter(q => q !== null);
 
     res.json({
       workflow: workflow_name,
-      totalRuns: runs.length,
-      successfulRuns: successful,
-      failedRuns: failed,
-      successRate: (successful / runs.length * 100).toFixed(2),
-      avgDuration: durations.length > 0
-        ? (durations.reduce((a, b) => a + b, 0) / durations.length).toFixed(2)
-        : 0,
-      medianDuration: durations.length > 0
-        ? median(durations).toFixed(2)
-        : 0,
-      recentRuns: runs.slice(0, 10).map(r => ({
-        id: r.id,
-        conclusion: r.conclusion,
-        createdAt: r.created_at,
-        duration: r.run_started_at && r.updated_at
-          ? getHoursDiff(r.run_started_at, r.updated_at).toFixed(2)
-          : null
-      }))
+      repositories: [...new Set(summaries.map(r => r.repo))],
+      totalRuns: summary.totalRuns,
+      successfulRuns: summary.successfulRuns,
+      failedRuns: summary.failedRuns,
+      successRate: summary.successRate,
+
+      // Minutes; runs still in progress are excluded from durations
+      duration: summarizeMinutes(durations),
+      queueTime: summarizeMinutes(queueTimes),
+
+      series: buildSeries(runs, from, to, bucket).map(({ avgDuration, ...point }) => ({
+        ...point,
+        avgDurationMinutes: round(avgDuration * 60)
+      })),
+      slowestRuns: summaries
+        .filter(r => r.durationMinutes !== null)
+        .sort((a, b) => b.durationMinutes - a.durationMinutes)
+        .slice(0, SLOWEST_RUNS),
+      recentRuns: summaries.slice(0, SLOWEST_RUNS),
+
+      ...window,
+      lastUpdated: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Error fetching workflow metrics:', error);
-    res.status(500).json({
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const configLoader = require('../config/config-loader');
+const applicationStatus = require('../services/application-status');
 const { validators } = require('../middleware/validation');
+const { requireRole, namespaceFrom, filterByNamespace } = require('../middleware/auth');
+const { NotFoundError } = require('../utils/errors');
 
 /**
  * Load applications configuration from external YAML file
@@ -20,15 +23,42 @@ const getApplications = () => {
 // Get all applications
 router.get('/', (req, res, next) => {
   try {
-    const applications = getApplications();
-    res.json(applications);
+    res.json(filterByNamespace(req.user, getApplications(), app => app.namespace));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get aggregated status (ArgoCD, Helm, metrics, latest run) for all applications
+router.get('/status', async (req, res, next) => {
+  try {
+    const status = await applicationStatus.getAll();
+    res.json({
+      ...status,
+      applications: filterByNamespace(req.user, status.applications, app => app.namespace)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get aggregated status for a specific application
+router.get('/:id/status', validators.applications.getApplication, requireRole('viewer', namespaceFrom.application()), async (req, res, next) => {
+  try {
+    const status = await applicationStatus.getOne(req.params.id);
+
+    if (!status) {
+      throw new NotFoundError('Application', req.params.id);
+    }
+
+    res.json(status);
   } catch (error) {
     next(error);
   }
 });
 
 // Get specific application
-router.get('/:id', validators.applications.getApplication, (req, res, next) => {
+router.get('/:id', validators.applications.getApplication, requireRole('viewer', namespaceFrom.application()), (req, res, next) => {
   try {
     const applications = getApplications();
     const app = applications.find(a => a.id === req.params.id);
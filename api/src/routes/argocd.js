@@ -1,85 +1,170 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
-const { validators } = require('../middleware/validation');
+const argocd = require('../services/argocd-client');
+const argocdResources = require('../services/argocd-resources');
+const argocdSync = require('../services/argocd-sync');
+const deploymentHistory = require('../services/deployment-history');
+const { validators, validatedQuery } = require('../middleware/validation');
+const { requireRole, namespaceFrom, filterByNamespace } = require('../middleware/auth');
+const { auditAction, auditTarget } = require('../middleware/audit');
 
-const ARGOCD_API = `https://${process.env.ARGOCD_SERVER || 'localhost:30443'}/api/v1`;
+// Describe an ArgoCD sync for the audit log
+function describeSync(req, responseBody) {
+  return {
+    target: auditTarget.argocdApp(req.params.name),
+    revision: req.body?.revision || responseBody?.operation?.sync?.revision || null,
+    params: req.body || {}
+  };
+}
 
-// Get ArgoCD auth token
-async function getArgoCDToken() {
-  try {
-    const response = await axios.post(
-      `https://${process.env.ARGOCD_SERVER || 'localhost:30443'}/api/v1/session`,
-      {
-        username: process.env.ARGOCD_USERNAME,
-        password: process.env.ARGOCD_PASSWORD
-      },
-      { httpsAgent: new (require('https')).Agent({ rejectUnauthorized: false }) }
-    );
-    return response.data.token;
-  } catch (error) {
-    console.error('ArgoCD auth error:', error.message);
-    throw error;
-  }
+// Describe an ArgoCD rollback for the audit log
+function describeRollback(req, responseBody) {
+  return {
+    target: auditTarget.argocdApp(req.params.name),
+    revision: responseBody?.rolledBackTo?.revision || null,
+    params: req.body || {}
+  };
 }
 
 // Get all applications
-router.get('/applications', async (req, res) => {
+router.get('/applications', async (req, res, next) => {
   try {
-    const token = await getArgoCDToken();
-    const response = await axios.get(`${ARGOCD_API}/applications`, {
-      headers: { 'Authorization': `Bearer ${token}` },
-      httpsAgent: new (require('https')).Agent({ rejectUnauthorized: false })
+    const list = await argocd.listApplications();
+    res.json({
+      ...list,
+      items: filterByNamespace(req.user, list.items || [], item => item.spec?.destination?.namespace)
     });
-    res.json(response.data);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Get specific application
-router.get('/applications/:name', validators.argocd.getApplication, async (req, res) => {
+router.get('/applications/:name', validators.argocd.getApplication, requireRole('viewer', namespaceFrom.argocdApp()), async (req, res, next) => {
   try {
-    const token = await getArgoCDToken();
-    const response = await axios.get(`${ARGOCD_API}/applications/${req.params.name}`, {
-      headers: { 'Authorization': `Bearer ${token}` },
-      httpsAgent: new (require('https')).Agent({ rejectUnauthorized: false })
-    });
-    res.json(response.data);
+    res.json(await argocd.getApplication(req.params.name));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Sync application
-router.post('/applications/:name/sync', validators.argocd.syncApplication, async (req, res) => {
+// Body: { prune, dryRun, revision, force, syncOptions, resources }; a dry run answers with its result
+router.post(
+  '/applications/:name/sync',
+  validators.argocd.syncApplication,
+  auditAction('argocd.sync', describeSync),
+  requireRole('deployer', namespaceFrom.argocdApp()),
+  async (req, res, next) => {
+    try {
+      const { prune, dryRun, revision, force, syncOptions, resources } = req.body || {};
+      res.json(await argocdSync.syncApplication(req.params.name, {
+        prune, dryRun, revision, force, syncOptions, resources
+      }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get the current or last operation with per-resource progress
+router.get('/applications/:name/operation', validators.argocd.getOperation, requireRole('viewer', namespaceFrom.argocdApp()), async (req, res, next) => {
   try {
-    const token = await getArgoCDToken();
-    const response = await axios.post(
-      `${ARGOCD_API}/applications/${req.params.name}/sync`,
-      { prune: false, dryRun: false },
-      {
-        headers: { 'Authorization': `Bearer ${token}` },
-        httpsAgent: new (require('https')).Agent({ rejectUnauthorized: false })
-      }
-    );
-    res.json(response.data);
+    res.json(await argocdSync.getOperation(req.params.name));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
+// Terminate the running operation
+router.delete(
+  '/applications/:name/operation',
+  validators.argocd.terminateOperation,
+  auditAction('argocd.terminate', (req, responseBody) => ({
+    target: auditTarget.argocdApp(req.params.name),
+    revision: responseBody?.revision || null
+  })),
+  requireRole('deployer', namespaceFrom.argocdApp()),
+  async (req, res, next) => {
+    try {
+      res.json(await argocdSync.terminateOperation(req.params.name));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // Get application history
-router.get('/applications/:name/history', validators.argocd.getApplicationHistory, async (req, res) => {
+router.get('/applications/:name/history', validators.argocd.getApplicationHistory, requireRole('viewer', namespaceFrom.argocdApp()), async (req, res, next) => {
   try {
-    const token = await getArgoCDToken();
-    const response = await axios.get(`${ARGOCD_API}/applications/${req.params.name}`, {
-      headers: { 'Authorization': `Bearer ${token}` },
-      httpsAgent: new (require('https')).Agent({ rejectUnauthorized: false })
-    });
-    res.json(response.data.status.history || []);
+    const application = await argocd.getApplication(req.params.name);
+    // ArgoCD keeps only the last few entries; older ones come from the local history
+    res.json(deploymentHistory.getArgoHistory(req.params.name, application.status?.history || []));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Roll back to a history entry
+// Body: { id, prune, pauseAutoSync }; refused with 409 while automated sync is on unless pauseAutoSync is set
+router.post(
+  '/applications/:name/rollback',
+  validators.argocd.rollbackApplication,
+  auditAction('argocd.rollback', describeRollback),
+  requireRole('deployer', namespaceFrom.argocdApp()),
+  async (req, res, next) => {
+    try {
+      const { id, prune, pauseAutoSync } = req.body;
+      res.json(await argocdSync.rollbackApplication(req.params.name, { id, prune, pauseAutoSync }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Restore the automated sync policy a rollback paused
+// Answers 409 when auto-sync was not paused by a rollback
+router.post(
+  '/applications/:name/resume-auto-sync',
+  validators.argocd.resumeAutoSync,
+  auditAction('argocd.resume-auto-sync', (req, responseBody) => ({
+    target: auditTarget.argocdApp(req.params.name),
+    params: { automated: responseBody?.automated || null }
+  })),
+  requireRole('deployer', namespaceFrom.argocdApp()),
+  async (req, res, next) => {
+    try {
+      res.json(await argocdSync.resumeAutoSync(req.params.name));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get the resource tree with the health and sync state of every resource
+router.get('/applications/:name/resource-tree', validators.argocd.getResourceTree, requireRole('viewer', namespaceFrom.argocdApp()), async (req, res, next) => {
+  try {
+    res.json(await argocdResources.getResourceTree(req.params.name));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare live and target manifests of every managed resource, honoring ignoreDifferences
+router.get('/applications/:name/diff', validators.argocd.getDiff, requireRole('viewer', namespaceFrom.argocdApp()), async (req, res, next) => {
+  try {
+    res.json(await argocdResources.getDiff(req.params.name));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the live and target state of managed resources, optionally filtered by group, kind, namespace or name
+router.get('/applications/:name/managed-resources', validators.argocd.getManagedResources, requireRole('viewer', namespaceFrom.argocdApp()), async (req, res, next) => {
+  try {
+    res.json(await argocd.getManagedResources(req.params.name, validatedQuery(req)));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
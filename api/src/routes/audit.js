@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const auditLog = require('../services/audit-log');
+const { validators, validatedQuery } = require('../middleware/validation');
+const { requireRole, namespaceFrom } = require('../middleware/auth');
+
+// Entries span every namespace
+router.use(requireRole('admin', namespaceFrom.cluster()));
+
+// Query audit entries, newest first
+router.get('/', validators.audit.list, async (req, res, next) => {
+  try {
+    const { action, outcome, app, namespace, actor, since, until, limit } = validatedQuery(req);
+    const entries = await auditLog.query(
+      { action, outcome, app, namespace, actor, since, until },
+      limit || 100
+    );
+    res.json({ entries, total_count: entries.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
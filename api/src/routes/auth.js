@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { AUTH_MODE } = require('../middleware/auth');
+
+// Get the authenticated principal and its role grants
+router.get('/me', (req, res) => {
+  res.json({
+    sub: req.user.sub,
+    name: req.user.name,
+    roles: req.user.roles,
+    anonymous: req.user.anonymous,
+    mode: AUTH_MODE
+  });
+});
+
+module.exports = router;
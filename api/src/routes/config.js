@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const configLoader = require('../config/config-loader');
+const { validators } = require('../middleware/validation');
+const { requireRole, namespaceFrom } = require('../middleware/auth');
+const { ValidationError } = require('../utils/errors');
+
+// Accept the proposed file as a raw YAML body (or JSON { content })
+const yamlBody = express.text({
+  type: ['text/*', 'application/yaml', 'application/x-yaml'],
+  limit: '1mb'
+});
+
+// Counts reported for a valid file
+const SUMMARIES = {
+  'applications.yaml': config => ({
+    applications: config.applications.length,
+    repositories: (config.repositories || []).length
+  }),
+  'promql-queries.yaml': config => ({
+    queries: config.queries.length
+  })
+};
+
+// Lint a proposed config file (default applications.yaml) without loading it
+router.post('/validate', requireRole('admin', namespaceFrom.cluster()), yamlBody, validators.config.validate, (req, res, next) => {
+  try {
+    const file = req.query.file || 'applications.yaml';
+    const contents = typeof req.body === 'string' ? req.body : req.body?.content;
+
+    if (typeof contents !== 'string' || contents.trim() === '') {
+      throw new ValidationError('content', 'send the YAML as the request body or as { "content": "..." }');
+    }
+
+    const { config, errors } = configLoader.parseConfig(contents, file);
+    res.json({
+      file,
+      valid: errors.length === 0,
+      errors,
+      summary: errors.length === 0 ? SUMMARIES[file](config) : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
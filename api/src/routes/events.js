@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const eventStream = require('../services/event-stream');
+
+// Subscribe to live ArgoCD, Helm and GitHub status events (Server-Sent Events)
+router.get('/', (req, res) => {
+  eventStream.addClient(req, res);
+});
+
+module.exports = router;
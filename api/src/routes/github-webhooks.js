@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const githubWebhooks = require('../services/github-webhooks');
+const eventStream = require('../services/event-stream');
+const { withRepoContext } = require('../services/github-runs');
+const repositoryRegistry = require('../services/repository-registry');
+const { AuthError, ConfigurationError, ValidationError } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('GitHubWebhooks');
+
+// Receive GitHub webhook deliveries (workflow_run, workflow_job, push, deployment_status)
+router.post('/', async (req, res, next) => {
+  try {
+    const secret = process.env.GITHUB_WEBHOOK_SECRET;
+    if (!secret) {
+      throw new ConfigurationError('GITHUB_WEBHOOK_SECRET is not set; refusing unsigned webhooks');
+    }
+
+    if (!githubWebhooks.verifySignature(req.rawBody, req.get('X-Hub-Signature-256'), secret)) {
+      throw new AuthError('Invalid webhook signature');
+    }
+
+    const event = req.get('X-GitHub-Event');
+    const deliveryId = req.get('X-GitHub-Delivery');
+    if (!event) {
+      throw new ValidationError('X-GitHub-Event', 'header is required');
+    }
+
+    if (event === 'ping') {
+      return res.json({ status: 'pong', zen: req.body.zen });
+    }
+
+    const { status, record } = githubWebhooks.ingest(event, deliveryId, req.body);
+
+    // Live updates are only pushed for monitored repositories
+    const repo = record?.repo && repositoryRegistry.find(`${record.owner}/${record.repo}`);
+    if (status === 'ingested' && event === 'workflow_run' && repo) {
+      eventStream.recordRun(withRepoContext(record, repo));
+    }
+
+    logger.info('Webhook received', { event, deliveryId, status });
+    res.status(status === 'ignored' ? 202 : 200).json({ status, event, deliveryId });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
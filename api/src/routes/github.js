@@ -1,23 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
-const { validators } = require('../middleware/validation');
-
-const GITHUB_API = 'https://api.github.com';
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-const GITHUB_OWNER = process.env.GITHUB_OWNER || 'maxjeffwell';
-
-// Multiple repos to monitor
-const REPOS = [
-  { name: 'devops-portfolio-manager', displayName: 'PodRick' },
-  { name: 'portfolio-orchestration-platform', displayName: 'POP' },
-  { name: 'k8s-multi-tenant-platform', displayName: 'TenantFlow' },
-  { name: 'microservices-platform', displayName: 'Vertex Platform' },
-  { name: 'portfolio-gatsby', displayName: 'Portfolio Gatsby' }
-];
+const { validators, validatedQuery } = require('../middleware/validation');
+const { requireRole, namespaceFrom } = require('../middleware/auth');
+const { auditAction, auditTarget } = require('../middleware/audit');
+const { fetchRecentRuns } = require('../services/github-runs');
+const repositoryRegistry = require('../services/repository-registry');
+const githubClient = require('../services/github-client');
 
 // Get workflow runs for a specific workflow
-router.get('/workflows/:workflow_id/runs', validators.github.getWorkflowRuns, async (req, res) => {
+router.get('/workflows/:workflow_id/runs', validators.github.getWorkflowRuns, async (req, res, next) => {
   try {
     const { workflow_id } = req.params;
     const { repo } = req.query; // repo param to specify which repo
@@ -26,15 +17,13 @@ router.get('/workflows/:workflow_id/runs', validators.github.getWorkflowRuns, as
       return res.status(400).json({ error: 'repo query parameter required' });
     }
 
-    const response = await axios.get(
-      `${GITHUB_API}/repos/${GITHUB_OWNER}/${repo}/actions/workflows/${workflow_id}/runs`,
-      {
-        headers: GITHUB_TOKEN ? { 'Authorization': `token ${GITHUB_TOKEN}` } : {}
-      }
-    );
-    res.json(response.data);
+    const repository = repositoryRegistry.get(repo);
+    res.json(await githubClient.get(
+      `/repos/${repository.fullName}/actions/workflows/${encodeURIComponent(workflow_id)}/runs`,
+      { repo: repository }
+    ));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -43,18 +32,17 @@ router.get('/workflows', async (req, res) => {
   try {
     const allWorkflows = [];
     
-    for (const repo of REPOS) {
+    for (const repo of repositoryRegistry.list()) {
       try {
-        const response = await axios.get(
-          `${GITHUB_API}/repos/${GITHUB_OWNER}/${repo.name}/actions/workflows`,
-          {
-            headers: GITHUB_TOKEN ? { 'Authorization': `token ${GITHUB_TOKEN}` } : {}
-          }
-        );
+        const workflows = await githubClient.paginate(`/repos/${repo.fullName}/actions/workflows`, {
+          repo,
+          itemsKey: 'workflows'
+        });
         
         // Add repo context to each workflow
-        const workflowsWithRepo = response.data.workflows.map(workflow => ({
+        const workflowsWithRepo = workflows.map(workflow => ({
           ...workflow,
+          owner: repo.owner,
           repo: repo.name,
           repo_display_name: repo.displayName
         }));
@@ -73,68 +61,62 @@ router.get('/workflows', async (req, res) => {
 });
 
 // Trigger workflow
-router.post('/workflows/:workflow_id/dispatches', validators.github.triggerWorkflow, async (req, res) => {
-  try {
-    const { workflow_id } = req.params;
-    const { ref, inputs, repo } = req.body;
+router.post(
+  '/workflows/:workflow_id/dispatches',
+  validators.github.triggerWorkflow,
+  auditAction('github.workflow_dispatch', (req) => ({
+    target: auditTarget.githubRepo(req.body?.repo, req.params.workflow_id),
+    revision: req.body?.ref || 'main',
+    params: { ref: req.body?.ref, inputs: req.body?.inputs }
+  })),
+  requireRole('deployer', namespaceFrom.githubRepo()),
+  async (req, res, next) => {
+    try {
+      const { workflow_id } = req.params;
+      const { ref, inputs, repo } = req.body;
 
-    if (!repo) {
-      return res.status(400).json({ error: 'repo field required in request body' });
-    }
+      if (!repo) {
+        return res.status(400).json({ error: 'repo field required in request body' });
+      }
+
+      // Only monitored repositories can be dispatched
+      const repository = repositoryRegistry.get(repo);
+      if (!repositoryRegistry.getToken(repository)) {
+        return res.status(401).json({ error: 'GitHub token not configured' });
+      }
 
-    if (!GITHUB_TOKEN) {
-      return res.status(401).json({ error: 'GitHub token not configured' });
+      await githubClient.post(
+        `/repos/${repository.fullName}/actions/workflows/${encodeURIComponent(workflow_id)}/dispatches`,
+        { ref: ref || 'main', inputs },
+        { repo: repository }
+      );
+      // GitHub answers a dispatch with 204 No Content
+      res.json({ success: true, status: 204 });
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    const response = await axios.post(
-      `${GITHUB_API}/repos/${GITHUB_OWNER}/${repo}/actions/workflows/${workflow_id}/dispatches`,
-      { ref: ref || 'main', inputs },
-      {
-        headers: { 'Authorization': `token ${GITHUB_TOKEN}` }
-      }
-    );
-    res.json({ success: true, status: response.status });
+// Get recent workflow runs from all repos, or from one with ?repo=
+router.get('/runs/recent', validators.github.recentRuns, async (req, res, next) => {
+  try {
+    const { repo, limit = 10 } = validatedQuery(req);
+    const recentRuns = repo
+      ? await fetchRecentRuns(limit, limit, [repositoryRegistry.get(repo)])
+      : await fetchRecentRuns(5, limit);
+    res.json({ workflow_runs: recentRuns, total_count: recentRuns.length });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// Get recent workflow runs from all repos
-router.get('/runs/recent', async (req, res) => {
+// Get the remaining GitHub API quota of every configured token
+router.get('/rate-limit', async (req, res, next) => {
   try {
-    const allRuns = [];
-    
-    for (const repo of REPOS) {
-      try {
-        const response = await axios.get(
-          `${GITHUB_API}/repos/${GITHUB_OWNER}/${repo.name}/actions/runs`,
-          {
-            headers: GITHUB_TOKEN ? { 'Authorization': `token ${GITHUB_TOKEN}` } : {},
-            params: { per_page: 5 } // Get 5 most recent from each repo
-          }
-        );
-        
-        // Add repo context to each run
-        const runsWithRepo = response.data.workflow_runs.map(run => ({
-          ...run,
-          repo: repo.name,
-          repo_display_name: repo.displayName
-        }));
-        
-        allRuns.push(...runsWithRepo);
-      } catch (error) {
-        console.error(`Error fetching runs for ${repo.name}:`, error.message);
-        // Continue with other repos
-      }
-    }
-    
-    // Sort by created_at descending and take top 10
-    allRuns.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-    const recentRuns = allRuns.slice(0, 10);
-    
-    res.json({ workflow_runs: recentRuns, total_count: recentRuns.length });
+    res.json(await githubClient.getRateLimits());
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -1,64 +1,133 @@
 const express = require('express');
 const router = express.Router();
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const { promisify } = require('util');
-const { validators } = require('../middleware/validation');
+const helmReleases = require('../services/helm-releases');
+const helmDiff = require('../services/helm-diff');
+const deploymentHistory = require('../services/deployment-history');
+const { validators, validatedQuery } = require('../middleware/validation');
+const { requireRole, namespaceFrom, filterByNamespace } = require('../middleware/auth');
+const { auditAction, auditTarget } = require('../middleware/audit');
+const { InfrastructureError } = require('../utils/errors');
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+/**
+ * Strip chart templates and files from a release, like `helm get all`
+ */
+function toReleaseDetails(release) {
+  return {
+    name: release.name,
+    namespace: release.namespace,
+    version: release.version,
+    info: release.info,
+    chart: { metadata: release.chart?.metadata || {} },
+    config: release.config || {},
+    manifest: release.manifest || '',
+    hooks: release.hooks || []
+  };
+}
 
 // Get all Helm releases
-router.get('/releases', async (req, res) => {
+router.get('/releases', async (req, res, next) => {
   try {
-    const { stdout } = await execAsync('helm list -A -o json');
-    res.json(JSON.parse(stdout));
+    res.json(filterByNamespace(req.user, await helmReleases.listReleases(), release => release.namespace));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Get specific release
-router.get('/releases/:namespace/:name', validators.helm.getRelease, async (req, res) => {
+router.get('/releases/:namespace/:name', validators.helm.getRelease, requireRole('viewer', namespaceFrom.param()), async (req, res, next) => {
   try {
     const { namespace, name } = req.params;
-    const { stdout } = await execAsync(`helm get all ${name} -n ${namespace} -o json`);
-    res.json(JSON.parse(stdout));
+    const release = await helmReleases.getRelease(namespace, name, validatedQuery(req).revision);
+    res.json(toReleaseDetails(release));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Get release history
-router.get('/releases/:namespace/:name/history', validators.helm.getReleaseHistory, async (req, res) => {
+router.get('/releases/:namespace/:name/history', validators.helm.getReleaseHistory, requireRole('viewer', namespaceFrom.param()), async (req, res, next) => {
   try {
     const { namespace, name } = req.params;
-    const { stdout } = await execAsync(`helm history ${name} -n ${namespace} -o json`);
-    res.json(JSON.parse(stdout));
+    const live = await helmReleases.getHistory(namespace, name);
+    // Revisions pruned from the cluster (--history-max) are still in the local history
+    res.json(deploymentHistory.getHelmHistory(namespace, name, live));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Rollback release
-router.post('/releases/:namespace/:name/rollback', validators.helm.rollbackRelease, async (req, res) => {
+// Reads are served from release Secrets; the rollback itself still runs the helm binary,
+// because it re-applies the target revision with a three-way merge against live objects,
+// runs rollback hooks and writes the new revision Secret. It is invoked without a shell
+// so parameters cannot be interpreted as commands
+router.post(
+  '/releases/:namespace/:name/rollback',
+  validators.helm.rollbackRelease,
+  auditAction('helm.rollback', (req) => ({
+    target: auditTarget.helmRelease(req.params.namespace, req.params.name),
+    revision: req.body?.revision || null,
+    params: req.body || {}
+  })),
+  requireRole('deployer', namespaceFrom.param()),
+  async (req, res, next) => {
+    try {
+      const { namespace, name } = req.params;
+      const revision = req.body?.revision;
+
+      // Fail fast with a 404 for unknown releases or revisions
+      await helmReleases.getRelease(namespace, name, revision || null);
+
+      const args = ['rollback', name];
+      if (revision) args.push(String(revision));
+      args.push('--namespace', namespace);
+
+      const { stdout } = await execFileAsync('helm', args);
+      res.json({ success: true, message: stdout });
+    } catch (error) {
+      if (error.statusCode) {
+        return next(error);
+      }
+      next(new InfrastructureError('rollback', `helm release ${req.params.namespace}/${req.params.name}`,
+        (error.stderr || error.message).trim()));
+    }
+  }
+);
+
+// Get release values
+router.get('/releases/:namespace/:name/values', validators.helm.getReleaseValues, requireRole('viewer', namespaceFrom.param()), async (req, res, next) => {
   try {
     const { namespace, name } = req.params;
-    const { revision } = req.body;
-    const revisionArg = revision ? revision : '';
-    const { stdout } = await execAsync(`helm rollback ${name} ${revisionArg} -n ${namespace}`);
-    res.json({ success: true, message: stdout });
+    const { revision, all } = validatedQuery(req);
+    res.json(await helmReleases.getValues(namespace, name, revision, all === true));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// Get release values
-router.get('/releases/:namespace/:name/values', validators.helm.getReleaseValues, async (req, res) => {
+// Get release manifest
+router.get('/releases/:namespace/:name/manifest', validators.helm.getReleaseManifest, requireRole('viewer', namespaceFrom.param()), async (req, res, next) => {
+  try {
+    const { namespace, name } = req.params;
+    const manifest = await helmReleases.getManifest(namespace, name, validatedQuery(req).revision);
+    res.json({ name, namespace, manifest });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare values, computed values and manifests of two revisions (to defaults to the latest)
+router.get('/releases/:namespace/:name/diff', validators.helm.diffReleaseRevisions, requireRole('viewer', namespaceFrom.param()), async (req, res, next) => {
   try {
     const { namespace, name } = req.params;
-    const { stdout } = await execAsync(`helm get values ${name} -n ${namespace} -o json`);
-    res.json(JSON.parse(stdout));
+    const { from, to } = validatedQuery(req);
+    res.json(await helmDiff.diffRevisions(namespace, name, from, to));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
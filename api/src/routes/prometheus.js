@@ -1,12 +1,72 @@
 const express = require('express');
 const router = express.Router();
 const axios = require('axios');
-const { validators } = require('../middleware/validation');
+const promqlCatalog = require('../services/promql-catalog');
+const prometheus = require('../services/prometheus');
+const { getClusterOverview, RANGES } = require('../services/cluster-overview');
+const alerts = require('../services/alerts');
+const { validators, validatedQuery } = require('../middleware/validation');
+const { requireRole, namespaceFrom, filterByNamespace } = require('../middleware/auth');
+const { ValidationError } = require('../utils/errors');
 
 const PROMETHEUS_URL = process.env.PROMETHEUS_URL || 'http://localhost:30090';
+// Arbitrary PromQL can be turned off (e.g. in production) so only catalog queries run
+const RAW_QUERIES_ENABLED = process.env.PROMETHEUS_RAW_QUERIES !== 'false';
+// Query string keys that are not catalog parameters
+const CATALOG_OPTIONS = ['app', 'time'];
 
-// Query Prometheus
-router.get('/query', validators.prometheus.query, async (req, res) => {
+/**
+ * CPU and memory series per pod over one of the cluster overview ranges
+ */
+async function getPodSeries(namespace, deployment, range) {
+  const { seconds, step } = RANGES[range];
+  const end = Math.floor(Date.now() / 1000);
+
+  const [cpu, memory] = await Promise.all(['pod-cpu', 'pod-memory'].map(async (name) => {
+    const { query } = promqlCatalog.render(name, { namespace, deployment });
+    const matrix = await prometheus.rangeQuery(query, end - seconds, end, step);
+    return matrix.map(series => ({
+      pod: series.metric.pod,
+      values: series.values.map(([t, v]) => ({ t, v: Number(v) }))
+    }));
+  }));
+
+  return { cpu, memory };
+}
+
+const requireRawQueries = (req, res, next) => {
+  if (!RAW_QUERIES_ENABLED) {
+    return next(new ValidationError('query', 'raw queries are disabled; use /api/prometheus/catalog', {
+      reason: 'raw_queries_disabled'
+    }));
+  }
+  next();
+};
+
+// List the named query catalog
+router.get('/catalog', (req, res, next) => {
+  try {
+    res.json({ queries: promqlCatalog.list(), rawQueriesEnabled: RAW_QUERIES_ENABLED });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run a catalog query; parameters come from the query string, ?app= fills in application defaults
+router.get('/catalog/:name', validators.prometheus.catalogQuery, async (req, res, next) => {
+  try {
+    const { app, time } = validatedQuery(req);
+    const values = Object.fromEntries(
+      Object.entries(req.query).filter(([key]) => !CATALOG_OPTIONS.includes(key))
+    );
+    res.json(await promqlCatalog.run(req.params.name, values, app, time));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Query Prometheus; arbitrary PromQL reads every namespace, so it is admin only
+router.get('/query', requireRole('admin', namespaceFrom.cluster()), requireRawQueries, validators.prometheus.query, async (req, res) => {
   try {
     const { query, time } = req.query;
     const response = await axios.get(`${PROMETHEUS_URL}/api/v1/query`, {
@@ -19,7 +79,7 @@ router.get('/query', validators.prometheus.query, async (req, res) => {
 });
 
 // Query range
-router.get('/query_range', validators.prometheus.queryRange, async (req, res) => {
+router.get('/query_range', requireRole('admin', namespaceFrom.cluster()), requireRawQueries, validators.prometheus.queryRange, async (req, res) => {
   try {
     const { query, start, end, step } = req.query;
     const response = await axios.get(`${PROMETHEUS_URL}/api/v1/query_range`, {
@@ -32,52 +92,49 @@ router.get('/query_range', validators.prometheus.queryRange, async (req, res) =>
 });
 
 // Get application metrics
-router.get('/metrics/:namespace/:deployment', validators.prometheus.getMetrics, async (req, res) => {
+// ?range=1h|24h|7d adds per-pod series ([{ pod, values: [{ t, v }] }]) for graphs
+router.get('/metrics/:namespace/:deployment', validators.prometheus.getMetrics, requireRole('viewer', namespaceFrom.param()), async (req, res, next) => {
   try {
     const { namespace, deployment } = req.params;
+    const { range } = validatedQuery(req);
 
-    // CPU usage
-    const cpuQuery = `sum(rate(container_cpu_usage_seconds_total{namespace="${namespace}",pod=~"${deployment}.*"}[5m])) by (pod)`;
-    const cpuResponse = await axios.get(`${PROMETHEUS_URL}/api/v1/query`, {
-      params: { query: cpuQuery }
-    });
-
-    // Memory usage
-    const memQuery = `sum(container_memory_working_set_bytes{namespace="${namespace}",pod=~"${deployment}.*"}) by (pod)`;
-    const memResponse = await axios.get(`${PROMETHEUS_URL}/api/v1/query`, {
-      params: { query: memQuery }
-    });
+    // CPU and memory usage per pod, from the catalog so the names are escaped
+    const [cpu, memory, series] = await Promise.all([
+      promqlCatalog.run('pod-cpu', { namespace, deployment }),
+      promqlCatalog.run('pod-memory', { namespace, deployment }),
+      range ? getPodSeries(namespace, deployment, range) : null
+    ]);
 
     res.json({
-      cpu: cpuResponse.data.data.result,
-      memory: memResponse.data.data.result
+      cpu: cpu.result,
+      memory: memory.result,
+      ...(series ? { series, range, step: RANGES[range].step } : {})
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Get cluster overview metrics
-router.get('/cluster/overview', async (req, res) => {
+// ?range=1h|24h|7d adds a sparkline series to every signal
+router.get('/cluster/overview', validators.prometheus.clusterOverview, async (req, res, next) => {
   try {
-    const queries = {
-      totalNodes: 'count(kube_node_info)',
-      totalPods: 'count(kube_pod_info)',
-      cpuUsage: 'sum(rate(node_cpu_seconds_total{mode!="idle"}[5m]))',
-      memoryUsage: 'sum(node_memory_MemTotal_bytes - node_memory_MemAvailable_bytes)'
-    };
-
-    const results = {};
-    for (const [key, query] of Object.entries(queries)) {
-      const response = await axios.get(`${PROMETHEUS_URL}/api/v1/query`, {
-        params: { query }
-      });
-      results[key] = response.data.data.result[0]?.value[1] || '0';
-    }
+    res.json(await getClusterOverview(validatedQuery(req).range));
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.json(results);
+// Active alerts, each attributed to a configured application where its labels allow
+router.get('/alerts', validators.prometheus.alerts, async (req, res, next) => {
+  try {
+    const result = await alerts.getAlerts(validatedQuery(req));
+    res.json({
+      ...result,
+      alerts: filterByNamespace(req.user, result.alerts, alert => alert.application?.namespace || alert.labels.namespace)
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
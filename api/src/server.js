@@ -4,8 +4,11 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 require('dotenv').config();
 
-const { createLogger, requestLogger, errorLogger } = require('./utils/logger');
-const { ApplicationError } = require('./utils/errors');
+const { createLogger, requestLogger, errorLogger, redactUrl } = require('./utils/logger');
+const { ApplicationError, AuthError } = require('./utils/errors');
+const { authenticate, requireRole } = require('./middleware/auth');
+const deploymentHistory = require('./services/deployment-history');
+const dataStore = require('./services/data-store');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
@@ -54,11 +57,19 @@ app.use(cors(corsOptions));
 if (process.env.NODE_ENV === 'production') {
   app.use(requestLogger(logger));
 } else {
+  // Event stream URLs carry the bearer token
+  morgan.token('url', req => redactUrl(req.originalUrl || req.url));
   app.use(morgan('dev'));
 }
 
 // Request body size limits to prevent DoS attacks
-app.use(express.json({ limit: '1mb' })); // Limit JSON payloads to 1MB
+// The raw body is kept for webhook signature verification
+app.use(express.json({
+  limit: '1mb', // Limit JSON payloads to 1MB
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '1mb' })); // Limit URL-encoded payloads to 1MB
 
 // Health check
@@ -66,13 +77,24 @@ app.get('/health', (req, res) => {
   res.json({ status: 'healthy', timestamp: new Date().toISOString() });
 });
 
+// GitHub webhooks authenticate with their HMAC signature, not a bearer token
+app.use('/api/github/webhooks', require('./routes/github-webhooks'));
+
+// Authentication - every API route requires at least the viewer role
+app.use('/api', authenticate, requireRole('viewer'));
+
 // Routes
+app.use('/api/auth', require('./routes/auth'));
 app.use('/api/argocd', require('./routes/argocd'));
 app.use('/api/prometheus', require('./routes/prometheus'));
+app.use('/api/alertmanager', require('./routes/alertmanager'));
 app.use('/api/github', require('./routes/github'));
 app.use('/api/helm', require('./routes/helm'));
 app.use('/api/applications', require('./routes/applications'));
 app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/config', require('./routes/config'));
+app.use('/api/events', require('./routes/events'));
 
 // Error logging middleware
 app.use(errorLogger(logger));
@@ -100,6 +122,11 @@ app.use((err, req, res, next) => {
     });
   }
 
+  // Challenge unauthenticated requests
+  if (err instanceof AuthError && err.statusCode === 401) {
+    res.set('WWW-Authenticate', 'Bearer realm="devops-api"');
+  }
+
   // Handle application errors
   if (err instanceof ApplicationError) {
     return res.status(err.statusCode).json(err.toJSON());
@@ -125,4 +152,24 @@ app.listen(PORT, () => {
     env: process.env.NODE_ENV || 'development',
     logLevel: process.env.LOG_LEVEL || 'INFO'
   });
+
+  // Keep the local run, sync and revision history up to date
+  if (process.env.HISTORY_SYNC_ENABLED !== 'false') {
+    deploymentHistory.start();
+  }
 });
+
+// Write debounced store changes before the pod stops; open event streams would keep a
+// graceful close waiting, so the process exits right after
+function shutdown(signal) {
+  logger.info('Shutting down', { signal });
+  try {
+    dataStore.flush();
+  } catch (error) {
+    logger.error('Failed to flush data store', error);
+  }
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,107 @@
+const axios = require('axios');
+const { NotFoundError, ServiceError, parseServiceError } = require('../utils/errors');
+
+const ALERTMANAGER_URL = process.env.ALERTMANAGER_URL || 'http://localhost:30093';
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Make an Alertmanager v2 API request
+ * @param {Object} notFound - Resource and identifier to report for a 404
+ */
+async function request(method, path, { data, params, notFound } = {}) {
+  try {
+    const response = await axios.request({
+      method,
+      url: `${ALERTMANAGER_URL}/api/v2${path}`,
+      data,
+      params,
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 404 && notFound) {
+      throw new NotFoundError(notFound.resource, notFound.identifier);
+    }
+    if (error.response) {
+      throw parseServiceError('Alertmanager', error.response, 'Request failed');
+    }
+    throw new ServiceError('Alertmanager', error.message, { code: error.code });
+  }
+}
+
+/**
+ * Whether a set of labels satisfies a silence matcher
+ * Regex matchers are anchored, as in Alertmanager
+ */
+function matches(matcher, labels) {
+  const value = labels[matcher.name] || '';
+  const isEqual = matcher.isEqual !== false;
+  if (!matcher.isRegex) {
+    return (value === matcher.value) === isEqual;
+  }
+  try {
+    return new RegExp(`^(?:${matcher.value})$`).test(value) === isEqual;
+  } catch {
+    // Alertmanager uses RE2; a pattern JavaScript cannot parse is treated as no match
+    return false;
+  }
+}
+
+/**
+ * List silences, newest first
+ * @param {string} [state] - Only silences in this state (active, pending, expired)
+ * @returns {Promise<Array>} Silences { id, matchers, startsAt, endsAt, createdBy, comment, status }
+ */
+async function listSilences(state) {
+  const silences = await request('get', '/silences');
+  return silences
+    .filter(silence => !state || silence.status?.state === state)
+    .sort((a, b) => new Date(b.startsAt) - new Date(a.startsAt));
+}
+
+/**
+ * Get one silence
+ * @throws {NotFoundError} If the silence does not exist
+ */
+async function getSilence(id) {
+  return request('get', `/silence/${encodeURIComponent(id)}`, {
+    notFound: { resource: 'Silence', identifier: id }
+  });
+}
+
+/**
+ * Create a silence
+ * @param {Object} silence - { matchers, startsAt, endsAt, createdBy, comment }
+ * @returns {Promise<{silenceID: string}>}
+ */
+async function createSilence(silence) {
+  return request('post', '/silences', { data: silence });
+}
+
+/**
+ * Expire a silence immediately
+ * @throws {NotFoundError} If the silence does not exist
+ */
+async function expireSilence(id) {
+  await request('delete', `/silence/${encodeURIComponent(id)}`, {
+    notFound: { resource: 'Silence', identifier: id }
+  });
+}
+
+/**
+ * Ids of the given silences that cover a set of alert labels
+ */
+function silencedBy(silences, labels) {
+  return silences
+    .filter(silence => silence.matchers.every(matcher => matches(matcher, labels)))
+    .map(silence => silence.id);
+}
+
+module.exports = {
+  ALERTMANAGER_URL,
+  listSilences,
+  getSilence,
+  createSilence,
+  expireSilence,
+  silencedBy
+};
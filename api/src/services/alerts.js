@@ -0,0 +1,115 @@
+const configLoader = require('../config/config-loader');
+const prometheus = require('./prometheus');
+const alertmanager = require('./alertmanager');
+const { findAppForLabels } = require('../utils/application-match');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('Alerts');
+
+// Most severe first; unknown severities sort last
+const SEVERITY_ORDER = ['critical', 'error', 'warning', 'info'];
+
+const severityRank = severity => {
+  const rank = SEVERITY_ORDER.indexOf(severity);
+  return rank === -1 ? SEVERITY_ORDER.length : rank;
+};
+
+/**
+ * Normalize a Prometheus alert and attribute it to an application
+ */
+function toAlert(alert, applications, silences) {
+  const app = findAppForLabels(applications, alert.labels);
+  const silencedBy = silences ? alertmanager.silencedBy(silences, alert.labels) : [];
+
+  return {
+    name: alert.labels.alertname,
+    state: alert.state,
+    severity: alert.labels.severity || null,
+    summary: alert.annotations?.summary || alert.annotations?.message || null,
+    description: alert.annotations?.description || null,
+    labels: alert.labels,
+    annotations: alert.annotations || {},
+    activeAt: alert.activeAt,
+    value: alert.value === undefined ? null : Number(alert.value),
+    application: app ? { id: app.id, name: app.name, namespace: app.namespace } : null,
+    silenced: silencedBy.length > 0,
+    silencedBy
+  };
+}
+
+/**
+ * Active alerts mapped to configured applications
+ * Silences are looked up in Alertmanager when it is reachable
+ * @param {Object} [filters] - { state: 'firing'|'pending', app: application id }
+ * @returns {Promise<Object>} { alerts, silences: { available, error? }, generatedAt }
+ * @throws {ServiceError} If Prometheus is unreachable
+ */
+async function getAlerts({ state, app } = {}) {
+  const applications = configLoader.loadConfig('applications.yaml').applications;
+
+  const [alertsResult, silencesResult] = await Promise.allSettled([
+    prometheus.getAlerts(),
+    alertmanager.listSilences('active')
+  ]);
+
+  if (alertsResult.status === 'rejected') {
+    throw alertsResult.reason;
+  }
+  if (silencesResult.status === 'rejected') {
+    logger.warn('Failed to load silences', { error: silencesResult.reason.message });
+  }
+  const silences = silencesResult.status === 'fulfilled' ? silencesResult.value : null;
+
+  const mapped = alertsResult.value
+    .map(alert => toAlert(alert, applications, silences))
+    .filter(alert => (!state || alert.state === state) && (!app || alert.application?.id === app))
+    .sort((a, b) =>
+      (a.state === b.state ? 0 : a.state === 'firing' ? -1 : 1)
+      || severityRank(a.severity) - severityRank(b.severity)
+      || new Date(b.activeAt) - new Date(a.activeAt)
+    );
+
+  return {
+    alerts: mapped,
+    silences: silences
+      ? { available: true }
+      : { available: false, error: silencesResult.reason.message },
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Per-application alert summary for status views
+ * @param {Array<Object>} alerts - Alerts from getAlerts()
+ * @returns {Map<string, Object>} Application id to { firing, pending, silenced, items }
+ */
+function summarizeByApplication(alerts) {
+  const summaries = new Map();
+  for (const alert of alerts) {
+    if (!alert.application) continue;
+    const summary = summaries.get(alert.application.id) || { firing: 0, pending: 0, silenced: 0, items: [] };
+
+    if (alert.silenced) {
+      summary.silenced++;
+    } else if (alert.state === 'firing') {
+      summary.firing++;
+    } else {
+      summary.pending++;
+    }
+    summary.items.push({
+      name: alert.name,
+      state: alert.state,
+      severity: alert.severity,
+      summary: alert.summary,
+      silenced: alert.silenced,
+      activeAt: alert.activeAt
+    });
+    summaries.set(alert.application.id, summary);
+  }
+  return summaries;
+}
+
+module.exports = {
+  getAlerts,
+  summarizeByApplication
+};
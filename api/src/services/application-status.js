@@ -0,0 +1,217 @@
+const configLoader = require('../config/config-loader');
+const argocd = require('./argocd-client');
+const argocdSync = require('./argocd-sync');
+const helmReleases = require('./helm-releases');
+const prometheus = require('./prometheus');
+const alerts = require('./alerts');
+const { fetchLatestRun } = require('./github-runs');
+const { findAppForPod } = require('../utils/application-match');
+const { createLogger } = require('../utils/logger');
+
+// Aggregated statuses are shared between requests for this long
+const STATUS_CACHE_TTL_MS = 15 * 1000;
+
+const CPU_QUERY = 'sum by (namespace, pod) (rate(container_cpu_usage_seconds_total{container!=""}[5m]))';
+const MEMORY_QUERY = 'sum by (namespace, pod) (container_memory_working_set_bytes{container!=""})';
+
+const logger = createLogger('ApplicationStatus');
+
+/**
+ * Sum a per-pod Prometheus vector into per-application totals
+ * @returns {Map<string, number>} Application id to summed value
+ */
+function sumByApplication(applications, vector) {
+  const totals = new Map();
+  for (const sample of vector) {
+    const app = findAppForPod(applications, sample.metric.namespace, sample.metric.pod || '');
+    if (!app) continue;
+    totals.set(app.id, (totals.get(app.id) || 0) + parseFloat(sample.value[1]));
+  }
+  return totals;
+}
+
+/**
+ * Fetch CPU and memory per application with two cluster-wide queries
+ */
+async function fetchMetrics(applications) {
+  const [cpu, memory] = await Promise.all([
+    prometheus.instantQuery(CPU_QUERY),
+    prometheus.instantQuery(MEMORY_QUERY)
+  ]);
+  return {
+    cpu: sumByApplication(applications, cpu),
+    memory: sumByApplication(applications, memory)
+  };
+}
+
+/**
+ * Fetch the latest run of every distinct repository once
+ * @returns {Promise<Object>} { runs: Map of 'owner/repo' to latest run, failures: [{ repo, error }] }
+ * @throws {Error} If every repository failed (bad token, exhausted quota...)
+ */
+async function fetchLatestRuns(applications) {
+  const repos = [...new Set(applications.map(app => `${app.github.owner}/${app.github.repo}`))];
+  const runs = new Map();
+  const failures = [];
+
+  await Promise.all(repos.map(async (fullName) => {
+    const [owner, repo] = fullName.split('/');
+    try {
+      runs.set(fullName, await fetchLatestRun(owner, repo));
+    } catch (error) {
+      logger.warn('Failed to fetch latest run', { repo: fullName, error: error.message });
+      failures.push({ repo: fullName, error: error.message });
+    }
+  }));
+
+  if (repos.length > 0 && failures.length === repos.length) {
+    throw new Error(failures[0].error);
+  }
+  return { runs, failures };
+}
+
+/**
+ * Build the normalized status of one application from the fetched sources
+ */
+function buildStatus(app, sources) {
+  const argoApp = sources.argocd?.find(item => item.metadata?.name === app.argocdApp);
+  const releaseName = app.helmRelease || app.argocdApp;
+  const release = sources.helm?.find(r => r.name === releaseName && r.namespace === app.namespace);
+  const run = sources.runs?.get(`${app.github.owner}/${app.github.repo}`);
+
+  return {
+    id: app.id,
+    name: app.name,
+    description: app.description,
+    namespace: app.namespace,
+    argocdApp: app.argocdApp,
+    github: app.github,
+    argocd: argoApp ? {
+      health: argoApp.status?.health?.status || null,
+      sync: argoApp.status?.sync?.status || null,
+      revision: argoApp.status?.sync?.revision || null,
+      operationPhase: argoApp.status?.operationState?.phase || null,
+      autoSync: Boolean(argoApp.spec?.syncPolicy?.automated),
+      // Paused by a rollback and resumable from the dashboard
+      autoSyncPaused: !argoApp.spec?.syncPolicy?.automated && Boolean(argocdSync.pausedAutoSync(argoApp)),
+      reconciledAt: argoApp.status?.reconciledAt || null,
+      images: argoApp.status?.summary?.images || []
+    } : null,
+    helm: release ? {
+      release: release.name,
+      status: release.status,
+      revision: Number(release.revision),
+      chart: release.chart,
+      appVersion: release.app_version,
+      updated: release.updated
+    } : null,
+    metrics: sources.metrics ? {
+      cpuCores: sources.metrics.cpu.get(app.id) ?? null,
+      memoryBytes: sources.metrics.memory.get(app.id) ?? null
+    } : null,
+    alerts: sources.alerts
+      ? sources.alerts.get(app.id) || { firing: 0, pending: 0, silenced: 0, items: [] }
+      : null,
+    latestRun: run ? {
+      id: run.id,
+      name: run.name,
+      status: run.status,
+      conclusion: run.conclusion,
+      headBranch: run.head_branch,
+      headSha: run.head_sha,
+      htmlUrl: run.html_url,
+      createdAt: run.created_at,
+      updatedAt: run.updated_at
+    } : null,
+    lastUpdated: argoApp?.status?.reconciledAt || release?.updated || null
+  };
+}
+
+/**
+ * Aggregates configured applications with ArgoCD, Helm, Prometheus (metrics and alerts) and GitHub state
+ * Each source is optional: a failing source is reported in `sources` and its fields are null
+ */
+class ApplicationStatusService {
+  constructor() {
+    this.cache = null;
+    this.pending = null;
+  }
+
+  /**
+   * Fetch every source in parallel and build all statuses
+   */
+  async aggregate() {
+    const applications = configLoader.loadConfig('applications.yaml').applications;
+
+    const [argocdResult, helmResult, metricsResult, runsResult, alertsResult] = await Promise.allSettled([
+      argocd.listApplications().then(data => data.items || []),
+      helmReleases.listReleases(),
+      fetchMetrics(applications),
+      fetchLatestRuns(applications),
+      alerts.getAlerts().then(result => alerts.summarizeByApplication(result.alerts))
+    ]);
+
+    const describe = result => (result.status === 'fulfilled'
+      ? { available: true }
+      : { available: false, error: result.reason?.message });
+
+    const sources = {
+      argocd: argocdResult.value,
+      helm: helmResult.value,
+      metrics: metricsResult.value,
+      runs: runsResult.value?.runs,
+      alerts: alertsResult.value
+    };
+
+    return {
+      applications: applications.map(app => buildStatus(app, sources)),
+      sources: {
+        argocd: describe(argocdResult),
+        helm: describe(helmResult),
+        prometheus: describe(metricsResult),
+        // Some repositories may fail while others succeed
+        github: runsResult.value?.failures.length
+          ? { available: true, partial: true, errors: runsResult.value.failures }
+          : describe(runsResult),
+        alerts: describe(alertsResult)
+      },
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get statuses for all applications, served from a short-lived cache
+   * @returns {Promise<Object>} { applications, sources, generatedAt }
+   */
+  async getAll() {
+    if (this.cache && Date.now() < this.cache.expiresAt) {
+      return this.cache.value;
+    }
+
+    // Concurrent requests share one aggregation
+    if (!this.pending) {
+      this.pending = this.aggregate()
+        .then((value) => {
+          this.cache = { value, expiresAt: Date.now() + STATUS_CACHE_TTL_MS };
+          return value;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Get the status of a single application
+   * @returns {Promise<Object|null>} Status with source availability, or null if unknown
+   */
+  async getOne(id) {
+    const { applications, sources, generatedAt } = await this.getAll();
+    const status = applications.find(app => app.id === id);
+    return status ? { ...status, sources, generatedAt } : null;
+  }
+}
+
+// Export singleton instance
+module.exports = new ApplicationStatusService();
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const https = require('https');
+const axios = require('axios');
+const { decodeJwt } = require('jose');
+const { NotFoundError, ConfigurationError, parseServiceError, ServiceError } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+
+// Refresh session tokens this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+// Fallback lifetime when a session token carries no exp claim
+const DEFAULT_TOKEN_TTL_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * Shared ArgoCD API client
+ * Reuses one HTTPS agent, caches session tokens until they expire and
+ * re-authenticates once when the server answers 401
+ */
+class ArgoCDClient {
+  constructor(options = {}) {
+    this.server = options.server || process.env.ARGOCD_SERVER || 'localhost:30443';
+    this.username = options.username || process.env.ARGOCD_USERNAME;
+    this.password = options.password || process.env.ARGOCD_PASSWORD;
+    // Long-lived API token (argocd account generate-token) skips the session login entirely
+    this.apiToken = options.apiToken || process.env.ARGOCD_AUTH_TOKEN;
+    this.caFile = options.caFile || process.env.ARGOCD_CA_FILE;
+    this.insecure = options.insecure ?? process.env.ARGOCD_INSECURE === 'true';
+
+    this.baseURL = `https://${this.server}/api/v1`;
+    this.logger = createLogger('ArgoCD');
+    this.session = null;
+    this.loginPromise = null;
+    this.http = axios.create({
+      baseURL: this.baseURL,
+      timeout: REQUEST_TIMEOUT_MS,
+      httpsAgent: this.createAgent()
+    });
+  }
+
+  /**
+   * Build the HTTPS agent from the configured CA bundle or verification setting
+   */
+  createAgent() {
+    const agentOptions = { keepAlive: true };
+
+    if (this.caFile) {
+      try {
+        agentOptions.ca = fs.readFileSync(this.caFile);
+      } catch (error) {
+        throw new ConfigurationError(`Unable to read ARGOCD_CA_FILE ${this.caFile}: ${error.message}`);
+      }
+    }
+
+    if (this.insecure) {
+      this.logger.warn('TLS verification for ArgoCD is disabled (ARGOCD_INSECURE=true)');
+      agentOptions.rejectUnauthorized = false;
+    }
+
+    return new https.Agent(agentOptions);
+  }
+
+  /**
+   * Get a bearer token, logging in only when no valid session is cached
+   * @returns {Promise<string>} Bearer token
+   */
+  async getToken() {
+    if (this.apiToken) {
+      return this.apiToken;
+    }
+
+    if (this.session && Date.now() < this.session.expiresAt - TOKEN_EXPIRY_MARGIN_MS) {
+      return this.session.token;
+    }
+
+    // Share a single in-flight login between concurrent requests
+    if (!this.loginPromise) {
+      this.loginPromise = this.login().finally(() => {
+        this.loginPromise = null;
+      });
+    }
+    return this.loginPromise;
+  }
+
+  /**
+   * Create a session with username and password
+   * @returns {Promise<string>} Session token
+   */
+  async login() {
+    if (!this.username || !this.password) {
+      throw new ConfigurationError('ARGOCD_AUTH_TOKEN or ARGOCD_USERNAME and ARGOCD_PASSWORD must be set');
+    }
+
+    try {
+      const response = await this.http.post('/session', {
+        username: this.username,
+        password: this.password
+      });
+      const { token } = response.data;
+
+      let expiresAt = Date.now() + DEFAULT_TOKEN_TTL_MS;
+      try {
+        const { exp } = decodeJwt(token);
+        if (exp) expiresAt = exp * 1000;
+      } catch {
+        // Non-JWT tokens fall back to the default lifetime
+      }
+
+      this.session = { token, expiresAt };
+      this.logger.debug('ArgoCD session created', { expiresAt: new Date(expiresAt).toISOString() });
+      return token;
+    } catch (error) {
+      throw this.toServiceError(error, 'Authentication failed');
+    }
+  }
+
+  /**
+   * Drop the cached session so the next request logs in again
+   */
+  invalidateSession() {
+    this.session = null;
+  }
+
+  /**
+   * Convert an axios error into a ServiceError
+   */
+  toServiceError(error, fallbackMessage) {
+    if (error.response) {
+      return parseServiceError('ArgoCD', error.response, fallbackMessage);
+    }
+    return new ServiceError('ArgoCD', error.message, { code: error.code });
+  }
+
+  /**
+   * Make an authenticated request, retrying once with a fresh session on 401
+   * @param {string} method - HTTP method
+   * @param {string} path - Path relative to /api/v1
+   * @param {Object} options - { data, params }
+   * @returns {Promise<Object>} Response body
+   */
+  async request(method, path, options = {}, retried = false) {
+    const token = await this.getToken();
+
+    try {
+      const response = await this.http.request({
+        method,
+        url: path,
+        data: options.data,
+        params: options.params,
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+
+      if (status === 401 && !this.apiToken && !retried) {
+        this.logger.info('ArgoCD session rejected, re-authenticating');
+        this.invalidateSession();
+        return this.request(method, path, options, true);
+      }
+
+      if (status === 404 && options.notFound) {
+        throw new NotFoundError(options.notFound.resource, options.notFound.identifier);
+      }
+
+      throw this.toServiceError(error);
+    }
+  }
+
+  get(path, options) {
+    return this.request('get', path, options);
+  }
+
+  post(path, data, options = {}) {
+    return this.request('post', path, { ...options, data });
+  }
+
+  patch(path, data, options = {}) {
+    return this.request('patch', path, { ...options, data });
+  }
+
+  delete(path, options) {
+    return this.request('delete', path, options);
+  }
+
+  /**
+   * List all ArgoCD applications
+   */
+  listApplications() {
+    return this.get('/applications');
+  }
+
+  /**
+   * Get a single ArgoCD application
+   */
+  getApplication(name) {
+    return this.get(`/applications/${encodeURIComponent(name)}`, {
+      notFound: { resource: 'ArgoCD application', identifier: name }
+    });
+  }
+
+  /**
+   * Get the live resource tree of an application (managed resources and their children)
+   */
+  getResourceTree(name) {
+    return this.get(`/applications/${encodeURIComponent(name)}/resource-tree`, {
+      notFound: { resource: 'ArgoCD application', identifier: name }
+    });
+  }
+
+  /**
+   * Get the live and target state of the resources an application manages
+   * @param {Object} [filters] - { group, kind, namespace, name }
+   */
+  getManagedResources(name, filters = {}) {
+    return this.get(`/applications/${encodeURIComponent(name)}/managed-resources`, {
+      params: filters,
+      notFound: { resource: 'ArgoCD application', identifier: name }
+    });
+  }
+
+  /**
+   * Trigger a sync of an ArgoCD application
+   */
+  syncApplication(name, syncRequest = { prune: false, dryRun: false }) {
+    return this.post(`/applications/${encodeURIComponent(name)}/sync`, syncRequest, {
+      notFound: { resource: 'ArgoCD application', identifier: name }
+    });
+  }
+
+  /**
+   * Terminate the running operation of an application
+   */
+  terminateOperation(name) {
+    return this.delete(`/applications/${encodeURIComponent(name)}/operation`, {
+      notFound: { resource: 'ArgoCD application', identifier: name }
+    });
+  }
+
+  /**
+   * Roll an application back to a history entry
+   * @param {Object} rollbackRequest - { id, prune, dryRun }
+   */
+  rollbackApplication(name, rollbackRequest) {
+    return this.post(`/applications/${encodeURIComponent(name)}/rollback`, rollbackRequest, {
+      notFound: { resource: 'ArgoCD application', identifier: name }
+    });
+  }
+
+  /**
+   * Apply a JSON merge patch to an application
+   */
+  patchApplication(name, patch) {
+    return this.patch(`/applications/${encodeURIComponent(name)}`, {
+      name,
+      patch: JSON.stringify(patch),
+      patchType: 'merge'
+    }, {
+      notFound: { resource: 'ArgoCD application', identifier: name }
+    });
+  }
+}
+
+// Export singleton instance; the class is exported for use with other servers
+module.exports = new ArgoCDClient();
+module.exports.ArgoCDClient = ArgoCDClient;
@@ -0,0 +1,169 @@
+const yaml = require('js-yaml');
+const argocd = require('./argocd-client');
+const { normalizeManifest, diffValues } = require('../utils/manifest-diff');
+
+/**
+ * Key identifying a resource across the resource tree and application status
+ */
+function resourceKey(resource) {
+  return [resource.group || '', resource.kind, resource.namespace || '', resource.name].join('/');
+}
+
+/**
+ * Normalize a resource tree node, attaching the sync state ArgoCD reports for managed resources
+ * @param {Object} node - Node from the ArgoCD resource tree
+ * @param {Map} managed - Managed resource status by resourceKey
+ * @param {boolean} orphaned - Whether the node is not managed by the application
+ */
+function toTreeNode(node, managed, orphaned) {
+  const status = managed.get(resourceKey(node));
+  return {
+    uid: node.uid,
+    group: node.group || '',
+    version: node.version,
+    kind: node.kind,
+    namespace: node.namespace || null,
+    name: node.name,
+    parents: (node.parentRefs || []).map(ref => ref.uid).filter(Boolean),
+    health: node.health || status?.health || null,
+    sync: status?.status || null,
+    managed: Boolean(status),
+    requiresPruning: status?.requiresPruning || false,
+    orphaned,
+    images: node.images || [],
+    info: node.info || [],
+    createdAt: node.createdAt || null
+  };
+}
+
+/**
+ * Resource tree of an application with per-resource health and sync state
+ * Only resources the application manages directly have a sync state; generated
+ * children (ReplicaSets, Pods, Endpoints...) inherit theirs from their owners
+ * @param {string} name - ArgoCD application name
+ * @returns {Promise<Object>} { application: { health, sync }, nodes }
+ * @throws {NotFoundError} If the application does not exist
+ */
+async function getResourceTree(name) {
+  const [application, tree] = await Promise.all([
+    argocd.getApplication(name),
+    argocd.getResourceTree(name)
+  ]);
+
+  const managed = new Map(
+    (application.status?.resources || []).map(resource => [resourceKey(resource), resource])
+  );
+
+  return {
+    application: {
+      health: application.status?.health?.status || null,
+      sync: application.status?.sync?.status || null
+    },
+    nodes: [
+      ...(tree.nodes || []).map(node => toTreeNode(node, managed, false)),
+      ...(tree.orphanedNodes || []).map(node => toTreeNode(node, managed, true))
+    ]
+  };
+}
+
+/**
+ * Parse a manifest from a managed resources response ("null" for missing resources)
+ */
+function parseState(state) {
+  return state ? JSON.parse(state) : null;
+}
+
+/**
+ * Whether an ignoreDifferences rule applies to a resource
+ * Unset rule fields match anything; the core API group is ''
+ */
+function ruleMatches(rule, resource) {
+  return (rule.group || '') === (resource.group || '')
+    && rule.kind === resource.kind
+    && (!rule.name || rule.name === resource.name)
+    && (!rule.namespace || rule.namespace === resource.namespace);
+}
+
+/**
+ * Compare one managed resource's live state with its target state
+ * ArgoCD's normalized live and predicted states are preferred, as in its own diff view
+ * @param {Object} item - Managed resource from ArgoCD
+ * @param {Array<Object>} rules - The application's ignoreDifferences
+ */
+function diffResource(item, rules) {
+  const matching = rules.filter(rule => ruleMatches(rule, item));
+  const ignoredPointers = matching.flatMap(rule => rule.jsonPointers || []);
+
+  const live = normalizeManifest(parseState(item.normalizedLiveState || item.liveState), ignoredPointers);
+  const target = normalizeManifest(parseState(item.predictedLiveState || item.targetState), ignoredPointers);
+
+  let status = 'modified';
+  let changes = [];
+  if (!live && target) {
+    status = 'added';
+  } else if (live && !target) {
+    status = 'removed';
+  } else {
+    changes = diffValues(live, target);
+    if (changes.length === 0) status = 'unchanged';
+  }
+
+  return {
+    group: item.group || '',
+    kind: item.kind,
+    namespace: item.namespace || null,
+    name: item.name,
+    status,
+    changes,
+    ignoredPointers,
+    // jq expressions cannot be evaluated here, so those rules are reported instead of applied
+    unsupportedRules: matching.filter(rule => rule.jqPathExpressions?.length).length,
+    ...(status === 'unchanged' ? {} : {
+      live: live ? yaml.dump(live, { sortKeys: true, lineWidth: -1 }) : '',
+      target: target ? yaml.dump(target, { sortKeys: true, lineWidth: -1 }) : ''
+    })
+  };
+}
+
+/**
+ * Live versus target manifests of every managed resource, honoring ignoreDifferences
+ * Unchanged resources are listed without their manifests
+ * @param {string} name - ArgoCD application name
+ * @returns {Promise<Object>} { application, ignoreDifferences, summary, resources }
+ * @throws {NotFoundError} If the application does not exist
+ */
+async function getDiff(name) {
+  const [application, managed] = await Promise.all([
+    argocd.getApplication(name),
+    argocd.getManagedResources(name)
+  ]);
+
+  const rules = application.spec?.ignoreDifferences || [];
+  const resources = (managed.items || [])
+    .map(item => diffResource(item, rules))
+    .sort((a, b) => (a.status === 'unchanged') - (b.status === 'unchanged')
+      || a.kind.localeCompare(b.kind)
+      || a.name.localeCompare(b.name));
+
+  const summary = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+  for (const resource of resources) {
+    summary[resource.status]++;
+  }
+
+  return {
+    application: {
+      name,
+      sync: application.status?.sync?.status || null,
+      revision: application.status?.sync?.revision || null
+    },
+    ignoreDifferences: rules,
+    summary,
+    resources
+  };
+}
+
+module.exports = {
+  resourceKey,
+  getResourceTree,
+  getDiff
+};
@@ -0,0 +1,277 @@
+const argocd = require('./argocd-client');
+const { ConflictError, NotFoundError, TimeoutError } = require('../utils/errors');
+
+const DRY_RUN_POLL_INTERVAL_MS = 1000;
+const DRY_RUN_TIMEOUT_MS = 30 * 1000;
+const FINISHED_PHASES = ['Succeeded', 'Failed', 'Error'];
+const RUNNING_PHASES = ['Running', 'Terminating'];
+// Per-resource sync results that mean the resource is done
+const SETTLED_RESOURCE_STATUSES = ['Synced', 'SyncFailed', 'Pruned', 'PruneSkipped'];
+// Automated sync policy saved on the application while a rollback has it paused
+const PAUSED_AUTO_SYNC_ANNOTATION = 'devops-portfolio/paused-automated-sync';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Build an ArgoCD sync request from validated sync options
+ * @param {Object} options - { prune, dryRun, revision, force, syncOptions, resources }
+ * @returns {Object} Body for POST /applications/:name/sync
+ */
+function buildSyncRequest({ prune = false, dryRun = false, revision, force = false, syncOptions, resources } = {}) {
+  return {
+    prune,
+    dryRun,
+    ...(revision ? { revision } : {}),
+    // Same strategy the ArgoCD UI sends for a forced sync
+    ...(force ? { strategy: { hook: { force: true } } } : {}),
+    ...(syncOptions?.length ? { syncOptions: { items: syncOptions } } : {}),
+    ...(resources?.length ? {
+      resources: resources.map(resource => ({
+        group: resource.group || '',
+        kind: resource.kind,
+        name: resource.name,
+        namespace: resource.namespace || ''
+      }))
+    } : {})
+  };
+}
+
+/**
+ * Summarize a finished (or still running) sync operation
+ */
+function toOperationResult(operationState) {
+  return {
+    phase: operationState?.phase || 'Running',
+    message: operationState?.message || null,
+    startedAt: operationState?.startedAt || null,
+    finishedAt: operationState?.finishedAt || null,
+    revision: operationState?.syncResult?.revision || operationState?.operation?.sync?.revision || null,
+    resources: (operationState?.syncResult?.resources || []).map(resource => ({
+      group: resource.group || '',
+      kind: resource.kind,
+      namespace: resource.namespace || null,
+      name: resource.name,
+      status: resource.status || null,
+      message: resource.message || null,
+      hookPhase: resource.hookPhase || null,
+      syncPhase: resource.syncPhase || null
+    }))
+  };
+}
+
+/**
+ * Start a sync, or run a dry run and wait for its result
+ * ArgoCD runs dry runs as regular operations, so the result is read back from
+ * the application's operation state once it finishes
+ * @param {string} name - ArgoCD application name
+ * @param {Object} options - Sync options, see buildSyncRequest
+ * @returns {Promise<Object>} The application (real sync) or { dryRun, ...operation result } (dry run)
+ * @throws {NotFoundError} If the application does not exist
+ * @throws {TimeoutError} If the dry run has not finished within DRY_RUN_TIMEOUT_MS
+ */
+async function syncApplication(name, options = {}) {
+  const request = buildSyncRequest(options);
+  if (!request.dryRun) {
+    return argocd.syncApplication(name, request);
+  }
+
+  // operationState timestamps have second precision
+  const requestedAt = Math.floor(Date.now() / 1000) * 1000;
+  await argocd.syncApplication(name, request);
+
+  const deadline = Date.now() + DRY_RUN_TIMEOUT_MS;
+  let operationState = null;
+  while (Date.now() < deadline) {
+    await sleep(DRY_RUN_POLL_INTERVAL_MS);
+    const application = await argocd.getApplication(name);
+    const state = application.status?.operationState;
+    if (state?.operation?.sync?.dryRun && new Date(state.startedAt).getTime() >= requestedAt) {
+      operationState = state;
+      if (FINISHED_PHASES.includes(state.phase)) break;
+    }
+  }
+
+  // An unfinished preview must not read as "nothing would change"
+  if (!FINISHED_PHASES.includes(operationState?.phase)) {
+    throw new TimeoutError(`ArgoCD dry run of ${name}`, DRY_RUN_TIMEOUT_MS, {
+      phase: operationState?.phase || null
+    });
+  }
+
+  return { dryRun: true, ...toOperationResult(operationState) };
+}
+
+/**
+ * Current (or last) operation of an application with per-resource progress
+ * An operation that was requested but not yet picked up by the controller is
+ * reported as Pending, since operationState still describes the previous one
+ * @param {string} name - ArgoCD application name
+ * @returns {Promise<Object>} Operation result plus { dryRun, initiatedBy, progress }
+ * @throws {NotFoundError} If the application does not exist or has never run an operation
+ */
+async function getOperation(name) {
+  const application = await argocd.getApplication(name);
+  const requested = application.operation;
+  let state = application.status?.operationState;
+
+  if (requested && (!state || FINISHED_PHASES.includes(state.phase))) {
+    state = { phase: 'Pending', operation: requested };
+  }
+  if (!state) {
+    throw new NotFoundError('ArgoCD operation', name);
+  }
+
+  const result = toOperationResult(state);
+  const sync = state.operation?.sync;
+  // Hooks are not part of the target set, so progress only counts regular resources
+  const synced = result.resources.filter(resource => !resource.hookPhase);
+  const total = sync?.resources?.length || application.status?.resources?.length || synced.length;
+
+  return {
+    ...result,
+    dryRun: Boolean(sync?.dryRun),
+    initiatedBy: state.operation?.initiatedBy || null,
+    progress: {
+      total,
+      completed: synced.filter(resource => SETTLED_RESOURCE_STATUSES.includes(resource.status)).length,
+      failed: synced.filter(resource => resource.status === 'SyncFailed').length
+    }
+  };
+}
+
+/**
+ * Terminate the running operation of an application
+ * @returns {Promise<Object>} The operation as reported after the termination request
+ * @throws {ConflictError} If no operation is running
+ */
+async function terminateOperation(name) {
+  const operation = await getOperation(name);
+  if (!RUNNING_PHASES.includes(operation.phase)) {
+    throw new ConflictError(`No operation is running for ${name}`, { phase: operation.phase });
+  }
+
+  await argocd.terminateOperation(name);
+  return getOperation(name);
+}
+
+/**
+ * Roll an application back to one of the history entries ArgoCD still retains
+ * Automated sync would immediately re-sync to the tracked revision, so the
+ * rollback is refused unless the caller asks to pause auto-sync first
+ * @param {string} name - ArgoCD application name
+ * @param {Object} options - { id, prune, pauseAutoSync }
+ * @returns {Promise<Object>} { application, rolledBackTo, autoSyncPaused }
+ * @throws {NotFoundError} If the application or history entry does not exist
+ * @throws {ConflictError} If automated sync is enabled and pauseAutoSync is not set
+ * Auto-sync paused for a rollback that then fails is restored; if that fails too the
+ * error details carry autoSyncPaused: true
+ * The paused policy is kept in an annotation so resumeAutoSync can restore it
+ */
+async function rollbackApplication(name, { id, prune = false, pauseAutoSync = false }) {
+  const current = await argocd.getApplication(name);
+
+  // Older entries in the local history can be displayed but not rolled back to
+  const entry = (current.status?.history || []).find(item => Number(item.id) === id);
+  if (!entry) {
+    throw new NotFoundError('ArgoCD history entry', `${name}#${id}`, {
+      hint: 'ArgoCD only retains the most recent history entries'
+    });
+  }
+
+  const automated = current.spec?.syncPolicy?.automated;
+  if (automated && !pauseAutoSync) {
+    throw new ConflictError(
+      `Automated sync${automated.selfHeal ? ' with self-heal' : ''} is enabled for ${name} and would undo the rollback; pause auto-sync first`,
+      { reason: 'auto_sync_enabled', automated }
+    );
+  }
+  if (automated) {
+    await argocd.patchApplication(name, {
+      metadata: { annotations: { [PAUSED_AUTO_SYNC_ANNOTATION]: JSON.stringify(automated) } },
+      spec: { syncPolicy: { automated: null } }
+    });
+  }
+
+  let application;
+  try {
+    application = await argocd.rollbackApplication(name, { id, prune });
+  } catch (error) {
+    if (automated) {
+      // Put auto-sync back, or tell the caller it is still off
+      try {
+        await argocd.patchApplication(name, {
+          metadata: { annotations: { [PAUSED_AUTO_SYNC_ANNOTATION]: null } },
+          spec: { syncPolicy: { automated } }
+        });
+      } catch {
+        error.details = { ...error.details, autoSyncPaused: true };
+        error.message = `${error.message} (auto-sync was paused and could not be restored)`;
+      }
+    }
+    throw error;
+  }
+
+  return {
+    application,
+    rolledBackTo: {
+      id,
+      revision: entry.revision || null,
+      deployedAt: entry.deployedAt || null
+    },
+    autoSyncPaused: Boolean(automated)
+  };
+}
+
+/**
+ * Automated sync policy a rollback paused on an application
+ * @param {Object} application - ArgoCD application
+ * @returns {Object|null} The saved policy, or null when auto-sync was not paused here
+ */
+function pausedAutoSync(application) {
+  const saved = application?.metadata?.annotations?.[PAUSED_AUTO_SYNC_ANNOTATION];
+  if (!saved) return null;
+  try {
+    return JSON.parse(saved);
+  } catch {
+    // Edited by hand; still paused, restored with ArgoCD's defaults
+    return {};
+  }
+}
+
+/**
+ * Restore the automated sync policy paused by rollbackApplication
+ * ArgoCD syncs to the tracked revision right away, undoing the rollback
+ * @param {string} name - ArgoCD application name
+ * @returns {Promise<Object>} { application, automated }
+ * @throws {NotFoundError} If the application does not exist
+ * @throws {ConflictError} If auto-sync was not paused by a rollback
+ */
+async function resumeAutoSync(name) {
+  const current = await argocd.getApplication(name);
+  const saved = pausedAutoSync(current);
+  if (!saved) {
+    throw new ConflictError(`Auto-sync of ${name} was not paused by a rollback`, {
+      reason: 'auto_sync_not_paused',
+      automated: current.spec?.syncPolicy?.automated || null
+    });
+  }
+
+  // Re-enabled some other way since the rollback; only the annotation is left to clear
+  const automated = current.spec?.syncPolicy?.automated || saved;
+  const application = await argocd.patchApplication(name, {
+    metadata: { annotations: { [PAUSED_AUTO_SYNC_ANNOTATION]: null } },
+    spec: { syncPolicy: { automated } }
+  });
+  return { application, automated };
+}
+
+module.exports = {
+  buildSyncRequest,
+  toOperationResult,
+  syncApplication,
+  getOperation,
+  terminateOperation,
+  rollbackApplication,
+  pausedAutoSync,
+  resumeAutoSync
+};
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const { createLogger } = require('../utils/logger');
+
+/**
+ * Append-only audit log for mutating operations
+ * Entries are stored as JSON lines so the file can only ever grow
+ */
+class AuditLog {
+  constructor(filePath = process.env.AUDIT_LOG_PATH || path.join(__dirname, '../../data/audit.jsonl')) {
+    this.filePath = filePath;
+    this.logger = createLogger('Audit');
+    // Serialize writes so concurrent requests never interleave lines
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Append an entry to the audit log
+   * @param {Object} entry - Audit entry (action, actor, target, params, outcome, ...)
+   * @returns {Promise<Object>} The stored entry including id and timestamp
+   */
+  record(entry) {
+    const stored = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      ...entry
+    };
+
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.appendFile(this.filePath, `${JSON.stringify(stored)}\n`, { flag: 'a' });
+      })
+      .catch((error) => {
+        this.logger.error('Failed to write audit entry', error, { action: stored.action });
+      });
+
+    this.logger.info(`${stored.action} ${stored.outcome}`, {
+      actor: stored.actor?.name,
+      app: stored.target?.app,
+      namespace: stored.target?.namespace,
+      revision: stored.revision
+    });
+
+    return this.writeQueue.then(() => stored);
+  }
+
+  /**
+   * Check whether an entry matches the given filters
+   */
+  matches(entry, filters) {
+    if (filters.action && entry.action !== filters.action) return false;
+    if (filters.outcome && entry.outcome !== filters.outcome) return false;
+    if (filters.app && entry.target?.app !== filters.app && !entry.target?.apps?.includes(filters.app)) return false;
+    if (filters.namespace && entry.target?.namespace !== filters.namespace) return false;
+    if (filters.actor && entry.actor?.name !== filters.actor && entry.actor?.sub !== filters.actor) return false;
+    if (filters.since && new Date(entry.timestamp) < new Date(filters.since)) return false;
+    if (filters.until && new Date(entry.timestamp) > new Date(filters.until)) return false;
+    return true;
+  }
+
+  /**
+   * Query the audit log, newest entries first
+   * @param {Object} filters - action, outcome, app, namespace, actor, since, until
+   * @param {number} limit - Maximum number of entries to return
+   * @returns {Promise<Array>} Matching entries
+   */
+  async query(filters = {}, limit = 100) {
+    // Make sure pending writes are visible to the reader
+    await this.writeQueue;
+
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const matches = [];
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.filePath, 'utf8'),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        this.logger.warn('Skipping malformed audit line');
+        continue;
+      }
+
+      if (this.matches(entry, filters)) {
+        matches.push(entry);
+        // Keep only the most recent matches in memory
+        if (matches.length > limit) matches.shift();
+      }
+    }
+
+    return matches.reverse();
+  }
+}
+
+// Export singleton instance
+module.exports = new AuditLog();
@@ -0,0 +1,102 @@
+const prometheus = require('./prometheus');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('ClusterOverview');
+
+// Root filesystems only; tmpfs and container overlays would skew the maximum
+const ROOT_FS = 'mountpoint="/",fstype!~"tmpfs|overlay"';
+
+/**
+ * Cluster-wide signals, each a single-value PromQL expression
+ */
+const SIGNALS = {
+  totalNodes: { unit: 'nodes', query: 'count(kube_node_info)' },
+  readyNodes: { unit: 'nodes', query: 'sum(kube_node_status_condition{condition="Ready",status="true"})' },
+  diskPressureNodes: { unit: 'nodes', query: 'sum(kube_node_status_condition{condition="DiskPressure",status="true"})' },
+  filesystemUsage: {
+    unit: 'percent',
+    query: `max(1 - node_filesystem_avail_bytes{${ROOT_FS}} / node_filesystem_size_bytes{${ROOT_FS}}) * 100`
+  },
+  totalPods: { unit: 'pods', query: 'count(kube_pod_info)' },
+  pendingPods: { unit: 'pods', query: 'sum(kube_pod_status_phase{phase="Pending"})' },
+  podRestarts: { unit: 'restarts/h', query: 'sum(increase(kube_pod_container_status_restarts_total[1h]))' },
+  cpuUsage: { unit: 'cores', query: 'sum(rate(node_cpu_seconds_total{mode!="idle"}[5m]))' },
+  memoryUsage: { unit: 'bytes', query: 'sum(node_memory_MemTotal_bytes - node_memory_MemAvailable_bytes)' }
+};
+
+/**
+ * Sparkline ranges; steps keep every series under 100 points
+ */
+const RANGES = {
+  '1h': { seconds: 60 * 60, step: '60s' },
+  '24h': { seconds: 24 * 60 * 60, step: '15m' },
+  '7d': { seconds: 7 * 24 * 60 * 60, step: '2h' }
+};
+
+/**
+ * First sample of an instant vector as a number; an empty vector means none match
+ */
+function scalarValue(vector) {
+  return vector.length > 0 ? Number(vector[0].value[1]) : 0;
+}
+
+/**
+ * First series of a range matrix as [{ t, v }] with t in Unix seconds
+ */
+function seriesValues(matrix) {
+  return matrix.length > 0
+    ? matrix[0].values.map(([t, v]) => ({ t, v: Number(v) }))
+    : [];
+}
+
+/**
+ * Current value of every signal, plus a sparkline series when a range is given
+ * Queries run concurrently; a failing signal is reported as null with its error
+ * @param {string} [range] - Key of RANGES
+ * @returns {Promise<Object>} { [signal]: { value, unit, series? , error? }, range, step, timestamp }
+ * @throws {ServiceError} If every query failed (Prometheus is unreachable)
+ */
+async function getClusterOverview(range) {
+  const end = Math.floor(Date.now() / 1000);
+  const window = range ? RANGES[range] : null;
+
+  const entries = Object.entries(SIGNALS);
+  const results = await Promise.allSettled(entries.map(async ([, signal]) => {
+    const [vector, matrix] = await Promise.all([
+      prometheus.instantQuery(signal.query, end),
+      window ? prometheus.rangeQuery(signal.query, end - window.seconds, end, window.step) : null
+    ]);
+    return {
+      value: scalarValue(vector),
+      unit: signal.unit,
+      ...(matrix ? { series: seriesValues(matrix) } : {})
+    };
+  }));
+
+  if (results.every(result => result.status === 'rejected')) {
+    throw results[0].reason;
+  }
+
+  const overview = {};
+  results.forEach((result, index) => {
+    const [name, signal] = entries[index];
+    if (result.status === 'fulfilled') {
+      overview[name] = result.value;
+    } else {
+      logger.warn('Cluster signal query failed', { signal: name, error: result.reason.message });
+      overview[name] = { value: null, unit: signal.unit, error: result.reason.message };
+    }
+  });
+
+  return {
+    ...overview,
+    range: range || null,
+    step: window ? window.step : null,
+    timestamp: new Date(end * 1000).toISOString()
+  };
+}
+
+module.exports = {
+  RANGES,
+  getClusterOverview
+};
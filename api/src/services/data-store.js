@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+
+// Batch writes so bursts of updates cost one disk write
+const SAVE_DEBOUNCE_MS = 1000;
+
+/**
+ * Embedded file-backed store
+ * Records live in named collections keyed by id and are persisted as a single
+ * JSON document, written atomically (temp file + rename) so a crash never
+ * leaves a half-written store behind
+ */
+class DataStore {
+  constructor(filePath = process.env.DATA_STORE_PATH || path.join(__dirname, '../../data/store.json')) {
+    this.filePath = filePath;
+    this.logger = createLogger('DataStore');
+    this.collections = null;
+    this.saveTimer = null;
+    // Changes made since the last write started
+    this.dirty = false;
+    // Serialize saves so two writes never share the temp file
+    this.saveQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the store from disk on first use
+   */
+  load() {
+    if (this.collections) return;
+
+    this.collections = new Map();
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const [name, records] of Object.entries(data.collections || {})) {
+        this.collections.set(name, new Map(Object.entries(records)));
+      }
+    } catch (error) {
+      this.logger.error('Failed to load data store, starting empty', error, { filePath: this.filePath });
+    }
+  }
+
+  /**
+   * Get a collection, creating it if needed
+   * @param {string} name - Collection name
+   * @returns {Map<string, Object>} Records keyed by id
+   */
+  collection(name) {
+    this.load();
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Insert or replace a record
+   */
+  upsert(name, key, record) {
+    this.collection(name).set(String(key), record);
+    this.dirty = true;
+    this.scheduleSave();
+    return record;
+  }
+
+  /**
+   * Get a record by key
+   */
+  get(name, key) {
+    return this.collection(name).get(String(key)) || null;
+  }
+
+  /**
+   * Find records matching a predicate
+   * @returns {Array<Object>} Matching records
+   */
+  find(name, predicate = () => true) {
+    return [...this.collection(name).values()].filter(predicate);
+  }
+
+  /**
+   * Remove a record by key
+   */
+  remove(name, key) {
+    const removed = this.collection(name).delete(String(key));
+    if (removed) {
+      this.dirty = true;
+      this.scheduleSave();
+    }
+    return removed;
+  }
+
+  /**
+   * Persist the store after a short delay
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+    // Changes made since the last write started
+    this.dirty = false;
+      this.save().catch((error) => {
+        this.logger.error('Failed to save data store', error, { filePath: this.filePath });
+      });
+    }, SAVE_DEBOUNCE_MS);
+    // Pending saves must not keep the process alive on shutdown
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write the store to disk atomically, after any save already in progress
+   * @returns {Promise<void>} Settles once this save is written
+   */
+  save() {
+    const write = this.saveQueue.then(() => this.writeFile());
+    // A failed save must not block the ones queued after it
+    this.saveQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Write unsaved changes synchronously, for shutdown when a debounced save may be pending
+   * Uses its own temp file so a save still in flight cannot interleave with it
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.dirty) return;
+
+    const tmpPath = `${this.filePath}.flush.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, this.serialize());
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Snapshot the store as JSON; later changes mark it dirty again
+   */
+  serialize() {
+    const data = { collections: {} };
+    for (const [name, records] of this.collections) {
+      data.collections[name] = Object.fromEntries(records);
+    }
+    this.dirty = false;
+    return JSON.stringify(data);
+  }
+
+  /**
+   * Write the current state through a temp file and rename
+   */
+  async writeFile() {
+    const json = this.serialize();
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, json);
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+}
+
+// Export singleton instance
+module.exports = new DataStore();
+module.exports.DataStore = DataStore;
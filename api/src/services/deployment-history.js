@@ -0,0 +1,236 @@
+const dataStore = require('./data-store');
+const argocd = require('./argocd-client');
+const helmReleases = require('./helm-releases');
+const githubWebhooks = require('./github-webhooks');
+const repositoryRegistry = require('./repository-registry');
+const { requestRunsSince } = require('./github-runs');
+const { createLogger } = require('../utils/logger');
+
+const SYNC_INTERVAL_MS = parseInt(process.env.HISTORY_SYNC_INTERVAL_MS, 10) || 5 * 60 * 1000;
+// How far back the first sync of a repo reaches
+const BACKFILL_DAYS = parseInt(process.env.HISTORY_BACKFILL_DAYS, 10) || 90;
+// Runs created this long before the last sync are re-fetched so in-progress runs get their result
+const RUN_OVERLAP_MS = 24 * 60 * 60 * 1000;
+const RUNS_PER_PAGE = 100;
+// GitHub returns at most 1000 results for a filtered run listing
+const MAX_RUN_PAGES = 10;
+
+const COLLECTIONS = {
+  ARGOCD_HISTORY: 'argocd_sync_history',
+  ARGOCD_OPERATIONS: 'argocd_operations',
+  HELM_REVISIONS: 'helm_revisions'
+};
+
+/**
+ * Keeps a local, ever-growing history of workflow runs, ArgoCD syncs and Helm revisions
+ * ArgoCD and Helm only retain their last few revisions and GitHub listings are
+ * capped, so the history is synced incrementally in the background and views
+ * read it from the store instead of the live sources
+ */
+class DeploymentHistory {
+  constructor() {
+    this.logger = createLogger('DeploymentHistory');
+    this.timer = null;
+    this.running = null;
+    this.lastSync = {};
+  }
+
+  /**
+   * Sync the run history of one repository
+   * The first sync backfills BACKFILL_DAYS; later syncs only fetch recent runs
+   * @param {Object} repo - Repository registry entry
+   * @returns {Promise<number>} Number of runs stored
+   */
+  async syncRepository(repo) {
+    const state = githubWebhooks.getRunHistory(repo.owner, repo.name);
+    const startedAt = new Date();
+    const from = state
+      ? new Date(new Date(state.syncedAt).getTime() - RUN_OVERLAP_MS)
+      : new Date(startedAt.getTime() - BACKFILL_DAYS * 24 * 60 * 60 * 1000);
+
+    const runs = await requestRunsSince(repo, from, MAX_RUN_PAGES);
+    let oldest = null;
+    for (const run of runs) {
+      githubWebhooks.saveRun(run, run.repository || { owner: { login: repo.owner }, name: repo.name });
+      if (!oldest || run.created_at < oldest) oldest = run.created_at;
+    }
+    const truncated = runs.length >= RUNS_PER_PAGE * MAX_RUN_PAGES;
+
+    // A capped backfill only covers back to the oldest run it received
+    const since = state?.since || (truncated ? oldest : from.toISOString());
+    githubWebhooks.setRunHistory(repo.owner, repo.name, { since, syncedAt: startedAt.toISOString() });
+    return runs.length;
+  }
+
+  /**
+   * Sync the run history of every monitored repository
+   */
+  async syncRuns() {
+    let stored = 0;
+    for (const repo of repositoryRegistry.list()) {
+      try {
+        stored += await this.syncRepository(repo);
+      } catch (error) {
+        this.logger.warn('Run history sync failed', { repo: repo.fullName, error: error.message });
+      }
+    }
+    return stored;
+  }
+
+  /**
+   * Store the sync history and last operation of every ArgoCD application
+   */
+  async syncArgoCD() {
+    const response = await argocd.listApplications();
+    let stored = 0;
+
+    for (const app of response.items || []) {
+      const name = app.metadata?.name;
+
+      for (const entry of app.status?.history || []) {
+        dataStore.upsert(COLLECTIONS.ARGOCD_HISTORY, `${name}:${entry.id}`, { ...entry, app: name });
+        stored++;
+      }
+
+      // Failed syncs never reach status.history, so finished operations are kept too
+      const operation = app.status?.operationState;
+      if (operation?.finishedAt) {
+        dataStore.upsert(COLLECTIONS.ARGOCD_OPERATIONS, `${name}:${operation.startedAt}`, {
+          app: name,
+          phase: operation.phase,
+          message: operation.message,
+          startedAt: operation.startedAt,
+          finishedAt: operation.finishedAt,
+          revision: operation.syncResult?.revision || operation.operation?.sync?.revision || null,
+          initiatedBy: operation.operation?.initiatedBy || null
+        });
+      }
+    }
+
+    return stored;
+  }
+
+  /**
+   * Store the revisions of every Helm release
+   * A release's history is only re-read when its latest revision or status changed
+   */
+  async syncHelm() {
+    const releases = await helmReleases.listReleases();
+    let stored = 0;
+
+    for (const release of releases) {
+      const key = `${release.namespace}/${release.name}`;
+      const latest = dataStore.get(COLLECTIONS.HELM_REVISIONS, `${key}:${release.revision}`);
+      if (latest && latest.status === release.status) continue;
+
+      try {
+        for (const entry of await helmReleases.getHistory(release.namespace, release.name)) {
+          dataStore.upsert(COLLECTIONS.HELM_REVISIONS, `${key}:${entry.revision}`, {
+            ...entry,
+            namespace: release.namespace,
+            name: release.name
+          });
+          stored++;
+        }
+      } catch (error) {
+        this.logger.warn('Helm history sync failed', { release: key, error: error.message });
+      }
+    }
+
+    return stored;
+  }
+
+  /**
+   * Run one sync of every source; a failing source does not stop the others
+   * Concurrent callers share the sync in progress
+   */
+  async sync() {
+    if (!this.running) {
+      this.running = (async () => {
+        for (const [source, syncSource] of [
+          ['github', () => this.syncRuns()],
+          ['argocd', () => this.syncArgoCD()],
+          ['helm', () => this.syncHelm()]
+        ]) {
+          try {
+            const stored = await syncSource();
+            this.lastSync[source] = { at: new Date().toISOString(), stored };
+          } catch (error) {
+            this.lastSync[source] = { at: new Date().toISOString(), error: error.message };
+            this.logger.warn(`History sync failed: ${source}`, { error: error.message });
+          }
+        }
+        this.logger.debug('History sync finished', this.lastSync);
+      })().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * Start syncing in the background
+   */
+  start() {
+    if (this.timer) return;
+    this.logger.info('Starting history sync', { intervalMs: SYNC_INTERVAL_MS, backfillDays: BACKFILL_DAYS });
+    this.sync();
+    this.timer = setInterval(() => this.sync(), SYNC_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop background syncing
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * ArgoCD sync history of an application, merged with the live history
+   * @param {string} app - ArgoCD application name
+   * @param {Array} live - Current status.history, which takes precedence
+   * @returns {Array} History entries, oldest first (as ArgoCD orders them); `retained`
+   *   marks the live entries, the only ones ArgoCD can roll back to
+   */
+  getArgoHistory(app, live = []) {
+    const entries = new Map(
+      dataStore.find(COLLECTIONS.ARGOCD_HISTORY, entry => entry.app === app)
+        .map(({ app: _app, ...entry }) => [entry.id, { ...entry, retained: false }])
+    );
+    for (const entry of live) {
+      entries.set(entry.id, { ...entry, retained: true });
+    }
+    return [...entries.values()].sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Finished ArgoCD sync operations, newest first
+   * @param {string} [app] - Limit to one application
+   */
+  getArgoOperations(app) {
+    return dataStore.find(COLLECTIONS.ARGOCD_OPERATIONS, op => !app || op.app === app)
+      .sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt));
+  }
+
+  /**
+   * Helm revision history of a release, merged with the live history
+   * @param {Array} live - Revisions still stored in the cluster, which take precedence
+   * @returns {Array} History entries, oldest first (as `helm history` orders them)
+   */
+  getHelmHistory(namespace, name, live = []) {
+    const entries = new Map(
+      dataStore.find(COLLECTIONS.HELM_REVISIONS, entry => entry.namespace === namespace && entry.name === name)
+        .map(({ namespace: _ns, name: _name, ...entry }) => [entry.revision, entry])
+    );
+    for (const entry of live) {
+      entries.set(entry.revision, entry);
+    }
+    return [...entries.values()].sort((a, b) => a.revision - b.revision);
+  }
+}
+
+// Export singleton instance
+module.exports = new DeploymentHistory();
+module.exports.COLLECTIONS = COLLECTIONS;
@@ -0,0 +1,311 @@
+const argocd = require('./argocd-client');
+const helmReleases = require('./helm-releases');
+const alerts = require('./alerts');
+const configLoader = require('../config/config-loader');
+const { fetchRecentRuns } = require('./github-runs');
+const { hasRole } = require('../middleware/auth');
+const { createLogger } = require('../utils/logger');
+
+// How often each source is polled while at least one client is connected
+const POLL_INTERVALS_MS = {
+  argocd: 10 * 1000,
+  helm: 15 * 1000,
+  github: 30 * 1000,
+  alerts: 15 * 1000
+};
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// Longest delay setTimeout accepts; later token expiries are re-checked after it
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Event types pushed to clients
+ */
+const EVENT_TYPES = {
+  ARGOCD_APPLICATION: 'argocd.application',
+  HELM_RELEASE: 'helm.release',
+  GITHUB_RUN: 'github.run',
+  APPLICATION_ALERTS: 'alerts.application'
+};
+
+/**
+ * Summarize an ArgoCD application into the fields clients care about
+ */
+function summarizeArgoApp(app) {
+  return {
+    name: app.metadata?.name,
+    health: app.status?.health?.status || null,
+    sync: app.status?.sync?.status || null,
+    revision: app.status?.sync?.revision || null,
+    operationPhase: app.status?.operationState?.phase || null,
+    namespace: app.spec?.destination?.namespace || null
+  };
+}
+
+/**
+ * Summarize a workflow run into the fields clients care about
+ */
+function summarizeRun(run) {
+  return {
+    id: run.id,
+    name: run.name,
+    status: run.status,
+    conclusion: run.conclusion,
+    head_branch: run.head_branch,
+    head_sha: run.head_sha,
+    event: run.event,
+    actor: run.actor ? { login: run.actor.login } : null,
+    html_url: run.html_url,
+    created_at: run.created_at,
+    updated_at: run.updated_at,
+    repo: run.repo,
+    repo_display_name: run.repo_display_name
+  };
+}
+
+/**
+ * Namespaces an event belongs to, resolved like the matching REST routes
+ * @returns {Array<string>|null} null for events any viewer may see
+ */
+function namespacesOf(type, data) {
+  const applications = () => configLoader.loadConfig('applications.yaml').applications;
+
+  switch (type) {
+    case EVENT_TYPES.ARGOCD_APPLICATION: {
+      const app = applications().find(a => a.argocdApp === data.name);
+      const namespace = app ? app.namespace : data.namespace;
+      return namespace ? [namespace] : [];
+    }
+    case EVENT_TYPES.HELM_RELEASE:
+      return [data.namespace];
+    case EVENT_TYPES.APPLICATION_ALERTS: {
+      const app = applications().find(a => a.id === data.app);
+      return app ? [app.namespace] : [];
+    }
+    // Workflow runs are not namespaced, as on /api/github/runs/recent
+    default:
+      return null;
+  }
+}
+
+/**
+ * Server-Sent Events hub
+ * Polls ArgoCD, Helm, GitHub and Prometheus alerts only while clients are connected
+ * and pushes typed events whenever an application, release, run or alert summary changes
+ * Each client only receives events for namespaces it holds the viewer role in, and is
+ * disconnected when its token expires
+ */
+class EventStream {
+  constructor() {
+    this.logger = createLogger('Events');
+    // Connected responses and the principal each one authenticated as
+    this.clients = new Map();
+    this.timers = [];
+    this.nextEventId = 1;
+    // Last known state per source, keyed by resource identity
+    this.state = {
+      [EVENT_TYPES.ARGOCD_APPLICATION]: new Map(),
+      [EVENT_TYPES.HELM_RELEASE]: new Map(),
+      [EVENT_TYPES.GITHUB_RUN]: new Map(),
+      [EVENT_TYPES.APPLICATION_ALERTS]: new Map()
+    };
+  }
+
+  /**
+   * Format and write a single SSE message, if the client may see it
+   */
+  write(res, type, data) {
+    const { user } = this.clients.get(res) || {};
+    if (!hasRole(user, 'viewer', namespacesOf(type, data))) return;
+    res.write(`id: ${this.nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Attach an HTTP response as an event stream client
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  addClient(req, res) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // Disable proxy buffering (nginx/traefik) so events arrive immediately
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const client = { user: req.user, timer: null };
+    this.clients.set(res, client);
+    this.logger.debug('Event stream client connected', { clients: this.clients.size });
+
+    // Replay the current state so a (re)connecting client starts up to date
+    for (const [type, entries] of Object.entries(this.state)) {
+      for (const data of entries.values()) {
+        this.write(res, type, data);
+      }
+    }
+
+    if (this.clients.size === 1) {
+      this.start();
+    }
+
+    // A token from ?access_token= is only checked here, so end the stream when it expires;
+    // the client reconnects with its current token or is refused
+    const expiresAt = req.user?.expiresAt;
+    if (expiresAt) {
+      const expire = () => {
+        const remaining = expiresAt - Date.now();
+        if (remaining > 0) {
+          client.timer = setTimeout(expire, Math.min(remaining, MAX_TIMER_MS));
+          return;
+        }
+        this.logger.debug('Event stream token expired', { user: req.user.sub });
+        this.removeClient(res);
+        res.end();
+      };
+      expire();
+    }
+
+    req.on('close', () => this.removeClient(res));
+  }
+
+  /**
+   * Detach a client, stopping the pollers after the last one
+   */
+  removeClient(res) {
+    const client = this.clients.get(res);
+    if (!client) return;
+
+    clearTimeout(client.timer);
+    this.clients.delete(res);
+    this.logger.debug('Event stream client disconnected', { clients: this.clients.size });
+    if (this.clients.size === 0) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Push an event to every connected client allowed to see it
+   * @param {string} type - Event type
+   * @param {Object} data - Event payload
+   */
+  publish(type, data) {
+    for (const res of this.clients.keys()) {
+      this.write(res, type, data);
+    }
+  }
+
+  /**
+   * Store the latest state of a resource and publish it if it changed
+   */
+  update(type, key, data) {
+    const entries = this.state[type];
+    const previous = entries.get(key);
+
+    if (previous && JSON.stringify(previous) === JSON.stringify(data)) {
+      return;
+    }
+
+    entries.set(key, data);
+    this.publish(type, data);
+  }
+
+  /**
+   * Poll ArgoCD application health and sync state
+   */
+  async pollArgoCD() {
+    const response = await argocd.listApplications();
+    for (const app of response.items || []) {
+      const summary = summarizeArgoApp(app);
+      this.update(EVENT_TYPES.ARGOCD_APPLICATION, summary.name, summary);
+    }
+  }
+
+  /**
+   * Poll Helm release revisions and status
+   */
+  async pollHelm() {
+    const releases = await helmReleases.listReleases();
+    for (const release of releases) {
+      this.update(EVENT_TYPES.HELM_RELEASE, `${release.namespace}/${release.name}`, release);
+    }
+  }
+
+  /**
+   * Poll recent GitHub workflow runs
+   */
+  async pollGitHub() {
+    const runs = await fetchRecentRuns(5, 10);
+    for (const run of runs) {
+      this.update(EVENT_TYPES.GITHUB_RUN, String(run.id), summarizeRun(run));
+    }
+
+    // Forget runs that dropped out of the recent window
+    const recentIds = new Set(runs.map(run => String(run.id)));
+    for (const id of this.state[EVENT_TYPES.GITHUB_RUN].keys()) {
+      if (!recentIds.has(id)) this.state[EVENT_TYPES.GITHUB_RUN].delete(id);
+    }
+  }
+
+  /**
+   * Poll alerts and publish the per-application summary
+   * Applications without alerts get an empty summary, so resolved alerts clear on clients
+   */
+  async pollAlerts() {
+    const result = await alerts.getAlerts();
+    const summaries = alerts.summarizeByApplication(result.alerts);
+    for (const app of configLoader.loadConfig('applications.yaml').applications) {
+      const summary = summaries.get(app.id) || { firing: 0, pending: 0, silenced: 0, items: [] };
+      this.update(EVENT_TYPES.APPLICATION_ALERTS, app.id, { app: app.id, ...summary });
+    }
+  }
+
+  /**
+   * Publish a workflow run received outside the poll loop (e.g. from a webhook)
+   * @param {Object} run - Workflow run with repo context
+   */
+  recordRun(run) {
+    this.update(EVENT_TYPES.GITHUB_RUN, String(run.id), summarizeRun(run));
+  }
+
+  /**
+   * Run a poller now and on its interval, logging (not throwing) failures
+   */
+  schedule(name, poll) {
+    const run = () => poll.call(this).catch((error) => {
+      this.logger.warn(`Event poll failed: ${name}`, { error: error.message });
+    });
+    run();
+    this.timers.push(setInterval(run, POLL_INTERVALS_MS[name]));
+  }
+
+  /**
+   * Start polling and heartbeats
+   */
+  start() {
+    this.logger.info('Starting event stream pollers');
+    this.schedule('argocd', this.pollArgoCD);
+    this.schedule('helm', this.pollHelm);
+    this.schedule('github', this.pollGitHub);
+    this.schedule('alerts', this.pollAlerts);
+
+    // Comment lines keep idle connections open through proxies
+    this.timers.push(setInterval(() => {
+      for (const res of this.clients.keys()) res.write(': heartbeat\n\n');
+    }, HEARTBEAT_INTERVAL_MS));
+  }
+
+  /**
+   * Stop polling once the last client disconnects
+   */
+  stop() {
+    this.logger.info('Stopping event stream pollers');
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+}
+
+// Export singleton instance
+module.exports = new EventStream();
+module.exports.EVENT_TYPES = EVENT_TYPES;
@@ -0,0 +1,280 @@
+const axios = require('axios');
+const repositoryRegistry = require('./repository-registry');
+const { NotFoundError, RateLimitError, ServiceError, parseServiceError } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+
+const GITHUB_API = 'https://api.github.com';
+const REQUEST_TIMEOUT_MS = 15000;
+// Reads stop once a token has this few requests left, keeping headroom for dispatches
+const RATE_LIMIT_RESERVE = parseInt(process.env.GITHUB_RATE_LIMIT_RESERVE, 10) || 100;
+// Quota below this share of the limit is reported as low
+const LOW_QUOTA_RATIO = 0.1;
+const ETAG_CACHE_SIZE = 500;
+const DEFAULT_MAX_PAGES = 10;
+
+/**
+ * Reserve for a token's quota, scaled down for small quotas
+ * (anonymous access only gets 60 requests an hour, less than the default reserve)
+ */
+function reserveFor(limit) {
+  return limit ? Math.min(RATE_LIMIT_RESERVE, Math.floor(limit * LOW_QUOTA_RATIO)) : RATE_LIMIT_RESERVE;
+}
+
+/**
+ * Parse the `next` URL from a Link header
+ */
+function nextLink(link) {
+  const match = /<([^>]+)>;\s*rel="next"/.exec(link || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Shared GitHub REST client
+ * Tracks the rate limit of every token from response headers, answers repeated
+ * reads from an ETag cache (304 responses cost no quota), follows Link
+ * pagination and stops issuing reads when a token's quota runs low
+ */
+class GitHubClient {
+  constructor() {
+    this.logger = createLogger('GitHub');
+    this.etags = new Map();
+    this.quotas = new Map();
+    this.http = axios.create({
+      baseURL: GITHUB_API,
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: {
+        'Accept': 'application/vnd.github+json',
+        'X-GitHub-Api-Version': '2022-11-28'
+      }
+    });
+  }
+
+  /**
+   * Token and its name for a repository
+   * @param {Object} [repo] - Repository registry entry; omitted for the default token
+   */
+  credentials(repo) {
+    const name = repositoryRegistry.getTokenName(repo);
+    return { name: name || 'anonymous', token: name ? process.env[name] : null };
+  }
+
+  /**
+   * Record the quota reported in rate limit headers
+   */
+  recordQuota(tokenName, headers = {}) {
+    if (headers['x-ratelimit-remaining'] === undefined) return;
+
+    const quota = {
+      token: tokenName,
+      resource: headers['x-ratelimit-resource'] || 'core',
+      limit: Number(headers['x-ratelimit-limit']),
+      remaining: Number(headers['x-ratelimit-remaining']),
+      used: Number(headers['x-ratelimit-used']),
+      resetAt: new Date(Number(headers['x-ratelimit-reset']) * 1000).toISOString(),
+      blockedUntil: this.quotas.get(tokenName)?.blockedUntil || null
+    };
+    if (quota.resource === 'core') {
+      this.quotas.set(tokenName, quota);
+    }
+  }
+
+  /**
+   * Time until which a token must not be used, or null if requests may proceed
+   * @param {string} tokenName - Token name
+   * @param {boolean} isRead - Reads back off at the reserve, writes only when exhausted
+   * @returns {string|null} ISO timestamp
+   */
+  blockedUntil(tokenName, isRead) {
+    const quota = this.quotas.get(tokenName);
+    if (!quota) return null;
+
+    const now = Date.now();
+    if (quota.blockedUntil && new Date(quota.blockedUntil) > now) {
+      return quota.blockedUntil;
+    }
+    if (new Date(quota.resetAt) <= now) {
+      return null;
+    }
+    const floor = isRead ? reserveFor(quota.limit) : 0;
+    return quota.remaining <= floor ? quota.resetAt : null;
+  }
+
+  /**
+   * Remember a response by ETag, evicting the least recently used entry when full
+   */
+  remember(key, entry) {
+    this.etags.delete(key);
+    this.etags.set(key, entry);
+    if (this.etags.size > ETAG_CACHE_SIZE) {
+      this.etags.delete(this.etags.keys().next().value);
+    }
+  }
+
+  /**
+   * Whether a failed response is GitHub refusing the request for rate limiting
+   */
+  isRateLimited(response) {
+    return (response.status === 403 || response.status === 429)
+      && (response.headers['x-ratelimit-remaining'] === '0' || response.headers['retry-after'] !== undefined);
+  }
+
+  /**
+   * Make a request and return the body with its Link header
+   * @param {string} method - HTTP method
+   * @param {string} path - Path relative to the API root, or an absolute pagination URL
+   * @param {Object} options - { params, data, repo, notFound: { resource, identifier } }
+   * @returns {Promise<{data: Object, link: string|undefined}>}
+   */
+  async send(method, path, options = {}) {
+    const { name, token } = this.credentials(options.repo);
+    const isRead = method === 'get';
+    const cacheKey = isRead ? `${name} ${path}?${new URLSearchParams(options.params || {})}` : null;
+    const cached = cacheKey ? this.etags.get(cacheKey) : null;
+
+    const blockedUntil = this.blockedUntil(name, isRead);
+    if (blockedUntil) {
+      // Serve the last known response rather than spend the remaining quota
+      if (cached) return cached.response;
+      throw new RateLimitError('GitHub', blockedUntil, { token: name });
+    }
+
+    try {
+      const response = await this.http.request({
+        method,
+        url: path,
+        params: options.params,
+        data: options.data,
+        headers: {
+          ...(token ? { 'Authorization': `token ${token}` } : {}),
+          ...(cached ? { 'If-None-Match': cached.etag } : {})
+        },
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
+      });
+      this.recordQuota(name, response.headers);
+
+      if (response.status === 304) {
+        this.remember(cacheKey, cached);
+        return cached.response;
+      }
+
+      const result = { data: response.data, link: response.headers.link };
+      if (cacheKey && response.headers.etag) {
+        this.remember(cacheKey, { etag: response.headers.etag, response: result });
+      }
+      return result;
+    } catch (error) {
+      if (!error.response) {
+        throw new ServiceError('GitHub', error.message, { code: error.code });
+      }
+
+      const { response } = error;
+      this.recordQuota(name, response.headers);
+
+      if (this.isRateLimited(response)) {
+        const retryAfter = Number(response.headers['retry-after']);
+        const until = retryAfter
+          ? new Date(Date.now() + retryAfter * 1000).toISOString()
+          : this.quotas.get(name)?.resetAt || new Date(Date.now() + 60 * 1000).toISOString();
+        this.quotas.set(name, { ...this.quotas.get(name), token: name, blockedUntil: until });
+        this.logger.warn('GitHub rate limit hit', { token: name, until });
+
+        if (cached) return cached.response;
+        throw new RateLimitError('GitHub', until, { token: name });
+      }
+
+      if (response.status === 404 && options.notFound) {
+        throw new NotFoundError(options.notFound.resource, options.notFound.identifier);
+      }
+
+      throw parseServiceError('GitHub', response);
+    }
+  }
+
+  /**
+   * GET a resource
+   * @returns {Promise<Object>} Response body
+   */
+  async get(path, options = {}) {
+    return (await this.send('get', path, options)).data;
+  }
+
+  /**
+   * POST to a resource
+   * @returns {Promise<Object>} Response body
+   */
+  async post(path, data, options = {}) {
+    return (await this.send('post', path, { ...options, data })).data;
+  }
+
+  /**
+   * GET every page of a list by following Link headers
+   * @param {string} path - First page path
+   * @param {Object} options - { params, repo, itemsKey, maxPages }
+   *   itemsKey names the array in object responses (e.g. 'workflow_runs')
+   * @returns {Promise<Array>} Items from all pages
+   */
+  async paginate(path, options = {}) {
+    const { itemsKey, maxPages = DEFAULT_MAX_PAGES, ...requestOptions } = options;
+    const items = [];
+    let url = path;
+    let params = { per_page: 100, ...requestOptions.params };
+
+    for (let page = 0; url && page < maxPages; page++) {
+      const { data, link } = await this.send('get', url, { ...requestOptions, params });
+      items.push(...(itemsKey ? data[itemsKey] || [] : data));
+      // The next link already carries every query parameter
+      url = nextLink(link);
+      params = undefined;
+    }
+
+    return items;
+  }
+
+  /**
+   * Current quota of every configured token
+   * Uses /rate_limit, which does not count against the quota, and falls back to
+   * the last values seen in response headers
+   * @returns {Promise<Object>} { tokens, reserve, low }
+   */
+  async getRateLimits() {
+    const repos = [null, ...repositoryRegistry.list()];
+    const tokens = new Map(repos.map(repo => [this.credentials(repo).name, repo]));
+
+    const quotas = await Promise.all([...tokens].map(async ([name, repo]) => {
+      try {
+        const { data } = await this.send('get', '/rate_limit', { repo });
+        const core = data.resources.core;
+        this.recordQuota(name, {
+          'x-ratelimit-limit': core.limit,
+          'x-ratelimit-remaining': core.remaining,
+          'x-ratelimit-used': core.used,
+          'x-ratelimit-reset': core.reset,
+          'x-ratelimit-resource': 'core'
+        });
+      } catch (error) {
+        this.logger.warn('Failed to fetch GitHub rate limit', { token: name, error: error.message });
+      }
+
+      const quota = this.quotas.get(name) || { token: name };
+      const reserve = reserveFor(quota.limit);
+      return {
+        ...quota,
+        authenticated: name !== 'anonymous',
+        reserve,
+        low: quota.remaining !== undefined
+          && quota.remaining <= Math.max(reserve, (quota.limit || 0) * LOW_QUOTA_RATIO),
+        blocked: Boolean(this.blockedUntil(name, true))
+      };
+    }));
+
+    return {
+      tokens: quotas,
+      reserve: RATE_LIMIT_RESERVE,
+      low: quotas.some(quota => quota.low || quota.blocked)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new GitHubClient();
+module.exports.GitHubClient = GitHubClient;
@@ -0,0 +1,154 @@
+const githubClient = require('./github-client');
+const githubWebhooks = require('./github-webhooks');
+const repositoryRegistry = require('./repository-registry');
+
+const byNewest = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+
+/**
+ * Add repo context to a run
+ * @param {Object} run - Workflow run
+ * @param {Object} repo - Repository registry entry
+ */
+function withRepoContext(run, repo) {
+  return {
+    ...run,
+    owner: repo.owner,
+    repo: repo.name,
+    repo_display_name: repo.displayName
+  };
+}
+
+/**
+ * Earliest time from which the store holds every run of a repo
+ * Webhooks keep the store current; the history sync fills it in periodically,
+ * so only webhook coverage is trusted when fresh data is required
+ * @param {Object} repo - Repository registry entry
+ * @param {boolean} live - Whether the caller needs up-to-the-second data
+ * @returns {string|null} ISO timestamp, or null if the store cannot be used
+ */
+function storeCoverageSince(repo, live) {
+  const webhookSince = githubWebhooks.getCoverageSince(repo.owner, repo.name);
+  if (live) return webhookSince;
+
+  const historySince = githubWebhooks.getRunHistory(repo.owner, repo.name)?.since;
+  return [webhookSince, historySince].filter(Boolean).sort()[0] || null;
+}
+
+/**
+ * Stored runs of a repo, or null if the store does not cover everything since `since`
+ * @param {Object} repo - Repository registry entry
+ * @param {Date|null} since - Oldest creation time needed, or null for the latest (live) runs
+ */
+function storedRunsSince(repo, since) {
+  const coverageSince = storeCoverageSince(repo, !since);
+  if (!coverageSince || (since && new Date(coverageSince) > since)) {
+    return null;
+  }
+  return githubWebhooks
+    .getStoredRuns(repo.owner, repo.name, run => !since || new Date(run.created_at) >= since)
+    .sort(byNewest);
+}
+
+/**
+ * Fetch a page of workflow runs from the GitHub API
+ * @param {Object} repo - Repository registry entry
+ */
+async function requestRuns(repo, params) {
+  const data = await githubClient.get(`/repos/${repo.owner}/${repo.name}/actions/runs`, { repo, params });
+  return data.workflow_runs;
+}
+
+/**
+ * Fetch every workflow run created since a date from the GitHub API
+ * @param {Object} repo - Repository registry entry
+ * @param {Date} since - Oldest creation time to include
+ * @param {number} [maxPages] - Page limit (GitHub stops at 1000 results for filtered listings)
+ */
+async function requestRunsSince(repo, since, maxPages) {
+  return githubClient.paginate(`/repos/${repo.owner}/${repo.name}/actions/runs`, {
+    repo,
+    params: { per_page: 100, created: `>=${since.toISOString()}` },
+    itemsKey: 'workflow_runs',
+    maxPages
+  });
+}
+
+/**
+ * Fetch the most recent workflow runs across all monitored repos
+ * Repos with enough webhook-ingested runs are served from the local store
+ * @param {number} perRepo - Runs to fetch from each repo
+ * @param {number} limit - Maximum number of runs to return
+ * @param {Array<Object>} [repos] - Registry entries to include, defaults to every monitored repo
+ * @returns {Promise<Array>} Runs with repo context, newest first
+ */
+async function fetchRecentRuns(perRepo = 5, limit = 10, repos = repositoryRegistry.list()) {
+  const allRuns = [];
+
+  for (const repo of repos) {
+    try {
+      const stored = storedRunsSince(repo, null);
+      const runs = stored && stored.length >= perRepo
+        ? stored.slice(0, perRepo)
+        : await requestRuns(repo, { per_page: perRepo });
+
+      allRuns.push(...runs.map(run => withRepoContext(run, repo)));
+    } catch (error) {
+      console.error(`Error fetching runs for ${repo.name}:`, error.message);
+      // Continue with other repos
+    }
+  }
+
+  // Sort by created_at descending and take the newest
+  allRuns.sort(byNewest);
+  return allRuns.slice(0, limit);
+}
+
+/**
+ * Fetch workflow runs created since a date across all monitored repos
+ * Uses the local store for repos whose synced or webhook history spans the whole window
+ * @param {Date} since - Oldest creation time to include
+ * @param {Array<Object>} [repos] - Registry entries to include, defaults to every monitored repo
+ * @returns {Promise<Array>} Runs with repo context
+ */
+async function fetchRunsSince(since, repos = repositoryRegistry.list()) {
+  const allRuns = [];
+
+  for (const repo of repos) {
+    try {
+      const runs = storedRunsSince(repo, since) || await requestRunsSince(repo, since);
+
+      allRuns.push(...runs.map(run => withRepoContext(run, repo)));
+    } catch (error) {
+      console.error(`Error fetching runs for ${repo.name}:`, error.message);
+      // Continue with other repos even if one fails
+    }
+  }
+
+  return allRuns;
+}
+
+/**
+ * Fetch the latest workflow run of a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<Object|null>} Latest run, or null if the repo has none
+ */
+async function fetchLatestRun(owner, repo) {
+  if (githubWebhooks.getCoverageSince(owner, repo)) {
+    const [latest] = githubWebhooks.getStoredRuns(owner, repo).sort(byNewest);
+    if (latest) return latest;
+  }
+
+  const entry = repositoryRegistry.find(`${owner}/${repo}`) || { owner, name: repo };
+  const runs = await requestRuns(entry, { per_page: 1 });
+  return runs[0] || null;
+}
+
+module.exports = {
+  requestRuns,
+  requestRunsSince,
+  fetchRecentRuns,
+  fetchRunsSince,
+  fetchLatestRun,
+  withRepoContext
+};
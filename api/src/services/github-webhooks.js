@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const dataStore = require('./data-store');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('GitHubWebhooks');
+
+// Delivery ids are remembered this long to drop GitHub redeliveries
+const DELIVERY_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Store collections for GitHub data, written by webhook ingestion and the history sync
+ */
+const COLLECTIONS = {
+  WORKFLOW_RUNS: 'github_workflow_runs',
+  // Per-repo run history sync: { since, syncedAt } - the store holds every run created since `since`
+  RUN_HISTORY: 'github_run_history',
+  WORKFLOW_JOBS: 'github_workflow_jobs',
+  PUSHES: 'github_pushes',
+  DEPLOYMENT_STATUSES: 'github_deployment_statuses',
+  // First webhook time per repo: the store is complete for that repo from then on
+  COVERAGE: 'github_webhook_coverage',
+  DELIVERIES: 'github_webhook_deliveries'
+};
+
+/**
+ * Verify an X-Hub-Signature-256 header against the raw request body
+ * @param {Buffer} rawBody - Unparsed request body
+ * @param {string} signature - Header value ('sha256=<hex>')
+ * @param {string} secret - Webhook secret
+ * @returns {boolean} True if the signature matches
+ */
+function verifySignature(rawBody, signature, secret) {
+  if (!rawBody || typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`
+  );
+  const received = Buffer.from(signature);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Record that the store holds webhook data for a repo from now on
+ */
+function markCoverage(fullName) {
+  if (!dataStore.get(COLLECTIONS.COVERAGE, fullName)) {
+    dataStore.upsert(COLLECTIONS.COVERAGE, fullName, { repo: fullName, since: new Date().toISOString() });
+  }
+}
+
+/**
+ * Keep the workflow run fields the dashboard and analytics use
+ */
+function toRunRecord(run, repository) {
+  return {
+    id: run.id,
+    name: run.name,
+    workflow_id: run.workflow_id,
+    run_number: run.run_number,
+    run_attempt: run.run_attempt,
+    event: run.event,
+    status: run.status,
+    conclusion: run.conclusion,
+    head_branch: run.head_branch,
+    head_sha: run.head_sha,
+    head_commit: run.head_commit ? {
+      id: run.head_commit.id,
+      message: run.head_commit.message,
+      timestamp: run.head_commit.timestamp,
+      author: run.head_commit.author
+    } : null,
+    actor: run.actor ? { login: run.actor.login } : null,
+    html_url: run.html_url,
+    created_at: run.created_at,
+    updated_at: run.updated_at,
+    run_started_at: run.run_started_at,
+    owner: repository.owner?.login,
+    repo: repository.name
+  };
+}
+
+/**
+ * Store a workflow run
+ * @param {Object} run - Workflow run from a webhook payload or the REST API
+ * @param {Object} repository - Repository the run belongs to
+ * @returns {Object} Stored record
+ */
+function saveRun(run, repository) {
+  const record = toRunRecord(run, repository);
+  return dataStore.upsert(COLLECTIONS.WORKFLOW_RUNS, record.id, record);
+}
+
+/**
+ * Event handlers keyed by X-GitHub-Event
+ */
+const handlers = {
+  workflow_run(payload) {
+    return saveRun(payload.workflow_run, payload.repository);
+  },
+
+  workflow_job(payload) {
+    const job = payload.workflow_job;
+    return dataStore.upsert(COLLECTIONS.WORKFLOW_JOBS, job.id, {
+      id: job.id,
+      run_id: job.run_id,
+      name: job.name,
+      status: job.status,
+      conclusion: job.conclusion,
+      head_sha: job.head_sha,
+      created_at: job.created_at,
+      started_at: job.started_at,
+      completed_at: job.completed_at,
+      runner_name: job.runner_name,
+      html_url: job.html_url,
+      owner: payload.repository.owner?.login,
+      repo: payload.repository.name
+    });
+  },
+
+  push(payload) {
+    const key = `${payload.repository.full_name}@${payload.after}`;
+    return dataStore.upsert(COLLECTIONS.PUSHES, key, {
+      ref: payload.ref,
+      before: payload.before,
+      after: payload.after,
+      pusher: payload.pusher?.name,
+      commits: (payload.commits || []).map(commit => ({
+        id: commit.id,
+        message: commit.message,
+        timestamp: commit.timestamp,
+        author: commit.author
+      })),
+      owner: payload.repository.owner?.login || payload.repository.owner?.name,
+      repo: payload.repository.name,
+      received_at: new Date().toISOString()
+    });
+  },
+
+  deployment_status(payload) {
+    const status = payload.deployment_status;
+    return dataStore.upsert(COLLECTIONS.DEPLOYMENT_STATUSES, status.id, {
+      id: status.id,
+      deployment_id: payload.deployment.id,
+      environment: payload.deployment.environment,
+      state: status.state,
+      description: status.description,
+      sha: payload.deployment.sha,
+      ref: payload.deployment.ref,
+      created_at: status.created_at,
+      owner: payload.repository.owner?.login,
+      repo: payload.repository.name
+    });
+  }
+};
+
+/**
+ * Drop delivery ids older than the retention window
+ */
+function pruneDeliveries() {
+  const cutoff = Date.now() - DELIVERY_RETENTION_MS;
+  for (const delivery of dataStore.find(COLLECTIONS.DELIVERIES, d => new Date(d.received_at) < cutoff)) {
+    dataStore.remove(COLLECTIONS.DELIVERIES, delivery.id);
+  }
+}
+
+/**
+ * Ingest a verified webhook delivery
+ * @param {string} event - X-GitHub-Event header
+ * @param {string} deliveryId - X-GitHub-Delivery header
+ * @param {Object} payload - Parsed payload
+ * @returns {{status: string, record: Object|null}} status is 'ingested', 'duplicate' or 'ignored'
+ */
+function ingest(event, deliveryId, payload) {
+  const handler = handlers[event];
+  if (!handler) {
+    return { status: 'ignored', record: null };
+  }
+
+  if (deliveryId && dataStore.get(COLLECTIONS.DELIVERIES, deliveryId)) {
+    return { status: 'duplicate', record: null };
+  }
+
+  const record = handler(payload);
+
+  if (payload.repository?.full_name) {
+    markCoverage(payload.repository.full_name);
+  }
+  if (deliveryId) {
+    dataStore.upsert(COLLECTIONS.DELIVERIES, deliveryId, {
+      id: deliveryId,
+      event,
+      received_at: new Date().toISOString()
+    });
+    pruneDeliveries();
+  }
+
+  logger.debug('Webhook ingested', { event, deliveryId, repo: payload.repository?.full_name });
+  return { status: 'ingested', record };
+}
+
+/**
+ * Get when webhook coverage began for a repo
+ * @returns {string|null} ISO timestamp, or null if no webhook has been received
+ */
+function getCoverageSince(owner, repo) {
+  return dataStore.get(COLLECTIONS.COVERAGE, `${owner}/${repo}`)?.since || null;
+}
+
+/**
+ * Get the run history sync state of a repo
+ * @returns {{since: string, syncedAt: string}|null} Null if the history has not been synced
+ */
+function getRunHistory(owner, repo) {
+  return dataStore.get(COLLECTIONS.RUN_HISTORY, `${owner}/${repo}`);
+}
+
+/**
+ * Record the run history sync state of a repo
+ */
+function setRunHistory(owner, repo, state) {
+  return dataStore.upsert(COLLECTIONS.RUN_HISTORY, `${owner}/${repo}`, { repo: `${owner}/${repo}`, ...state });
+}
+
+/**
+ * Stored workflow runs for a repo
+ */
+function getStoredRuns(owner, repo, predicate = () => true) {
+  return dataStore.find(
+    COLLECTIONS.WORKFLOW_RUNS,
+    run => run.owner === owner && run.repo === repo && predicate(run)
+  );
+}
+
+module.exports = {
+  COLLECTIONS,
+  SUPPORTED_EVENTS: Object.keys(handlers),
+  verifySignature,
+  ingest,
+  saveRun,
+  getCoverageSince,
+  getRunHistory,
+  setRunHistory,
+  getStoredRuns
+};
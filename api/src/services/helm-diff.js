@@ -0,0 +1,142 @@
+const yaml = require('js-yaml');
+const helmReleases = require('./helm-releases');
+const { coalesceValues, toHistoryEntry } = require('./helm-releases');
+const { diffValues } = require('../utils/manifest-diff');
+const { NotFoundError } = require('../utils/errors');
+
+const dump = (value) => yaml.dump(value, { sortKeys: true, lineWidth: -1 });
+
+/**
+ * diffValues with the sides named after revisions instead of live/target state
+ */
+function diffRevisionValues(from, to) {
+  return diffValues(from, to).map(({ live, target, ...change }) => ({
+    ...change,
+    ...(change.op === 'add' ? {} : { from: live }),
+    ...(change.op === 'remove' ? {} : { to: target })
+  }));
+}
+
+/**
+ * Compare two values documents
+ * @returns {Object} { changes, from, to } with both sides as YAML
+ */
+function diffDocuments(from, to) {
+  return {
+    changes: diffRevisionValues(from, to),
+    from: dump(from),
+    to: dump(to)
+  };
+}
+
+/**
+ * Split a rendered manifest into its resources, keyed by kind, namespace and name
+ * Helm prefixes every document with a "# Source:" comment naming its template
+ * @returns {Map<string, Object>} { kind, namespace, name, source, object, text } by key
+ */
+function splitManifest(manifest) {
+  const resources = new Map();
+  for (const text of (manifest || '').split(/^---\s*$/m)) {
+    const source = text.match(/^# Source: (.+)$/m)?.[1] || null;
+    let object;
+    try {
+      object = yaml.load(text);
+    } catch {
+      // Keep unparseable documents comparable as plain text
+      object = null;
+    }
+    if (!object && !source) continue;
+
+    const kind = object?.kind || null;
+    const name = object?.metadata?.name || null;
+    const namespace = object?.metadata?.namespace || null;
+    const key = kind && name ? `${kind}/${namespace || ''}/${name}` : source;
+    resources.set(key, { kind, namespace, name, source, object, text: text.trim() + '\n' });
+  }
+  return resources;
+}
+
+/**
+ * Compare the resources of two rendered manifests
+ * Unchanged resources are listed without their text
+ */
+function diffManifests(fromManifest, toManifest) {
+  const from = splitManifest(fromManifest);
+  const to = splitManifest(toManifest);
+
+  const resources = [...new Set([...from.keys(), ...to.keys()])].map((key) => {
+    const before = from.get(key);
+    const after = to.get(key);
+    const { kind, namespace, name, source } = after || before;
+
+    let status = 'modified';
+    let changes = [];
+    if (!before) {
+      status = 'added';
+    } else if (!after) {
+      status = 'removed';
+    } else if (before.object && after.object) {
+      changes = diffRevisionValues(before.object, after.object);
+      if (changes.length === 0) status = 'unchanged';
+    } else if (before.text === after.text) {
+      status = 'unchanged';
+    }
+
+    return {
+      kind,
+      namespace,
+      name,
+      source,
+      status,
+      changes,
+      ...(status === 'unchanged' ? {} : { from: before?.text || '', to: after?.text || '' })
+    };
+  }).sort((a, b) => (a.status === 'unchanged') - (b.status === 'unchanged')
+    || (a.kind || '').localeCompare(b.kind || '')
+    || (a.name || a.source || '').localeCompare(b.name || b.source || ''));
+
+  const summary = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+  for (const resource of resources) {
+    summary[resource.status]++;
+  }
+  return { summary, resources };
+}
+
+/**
+ * Differences between two stored revisions of a release: user-supplied values,
+ * computed values and the rendered manifest
+ * @param {number} from - Base revision
+ * @param {number} [to] - Compared revision, the latest one when omitted
+ * @returns {Promise<Object>} { name, namespace, from, to, values, computedValues, manifests }
+ * @throws {NotFoundError} If the release or either revision is not stored in the cluster
+ */
+async function diffRevisions(namespace, name, from, to = null) {
+  const revisions = await helmReleases.getRevisions(namespace, name);
+  const find = (revision) => {
+    const release = revisions.find(r => r.version === revision);
+    if (!release) {
+      throw new NotFoundError('Helm release revision', `${namespace}/${name}#${revision}`);
+    }
+    return release;
+  };
+
+  const before = find(from);
+  const after = to === null || to === undefined ? revisions[revisions.length - 1] : find(to);
+
+  return {
+    name,
+    namespace,
+    from: toHistoryEntry(before),
+    to: toHistoryEntry(after),
+    values: diffDocuments(before.config || {}, after.config || {}),
+    computedValues: diffDocuments(
+      coalesceValues(before.chart?.values, before.config),
+      coalesceValues(after.chart?.values, after.config)
+    ),
+    manifests: diffManifests(before.manifest, after.manifest)
+  };
+}
+
+module.exports = {
+  diffRevisions
+};
@@ -0,0 +1,238 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const k8s = require('@kubernetes/client-node');
+const { NotFoundError, InfrastructureError } = require('../utils/errors');
+
+const gunzip = promisify(zlib.gunzip);
+
+// Helm 3 stores each release revision in a Secret of this type (secret storage driver)
+const HELM_RELEASE_TYPE = 'helm.sh/release.v1';
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+
+// Releases in these states are hidden from the release list, like `helm list`
+const HIDDEN_STATUSES = ['uninstalled', 'superseded'];
+
+/**
+ * Create a CoreV1Api client from KUBECONFIG_PATH, the default kubeconfig or the in-cluster service account
+ */
+function createCoreApi() {
+  const kc = new k8s.KubeConfig();
+  if (process.env.KUBECONFIG_PATH) {
+    kc.loadFromFile(process.env.KUBECONFIG_PATH);
+  } else {
+    kc.loadFromDefault();
+  }
+  return kc.makeApiClient(k8s.CoreV1Api);
+}
+
+/**
+ * Decode the `release` field of a Helm release Secret
+ * The payload is base64(gzip(json)), and Kubernetes base64-encodes Secret data once more
+ * @param {string} data - Secret data.release value
+ * @returns {Promise<Object>} Decoded release object
+ */
+async function decodeRelease(data) {
+  const payload = Buffer.from(Buffer.from(data, 'base64').toString('utf8'), 'base64');
+  const json = payload.subarray(0, 2).equals(GZIP_MAGIC) ? await gunzip(payload) : payload;
+  return JSON.parse(json.toString('utf8'));
+}
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge user-supplied values over chart defaults the way Helm coalesces them
+ * Nested maps are merged, other values are replaced, and null removes a default key
+ * @param {Object} defaults - Chart default values
+ * @param {Object} overrides - User-supplied values
+ * @returns {Object} Computed values
+ */
+function coalesceValues(defaults = {}, overrides = {}) {
+  const result = { ...(defaults || {}) };
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (value === null) {
+      delete result[key];
+    } else if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = coalesceValues(result[key], value);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Summarize a decoded release like `helm list -o json`
+ */
+function toListEntry(release) {
+  const metadata = release.chart?.metadata || {};
+  return {
+    name: release.name,
+    namespace: release.namespace,
+    revision: String(release.version),
+    updated: release.info?.last_deployed,
+    status: release.info?.status,
+    chart: `${metadata.name}-${metadata.version}`,
+    app_version: metadata.appVersion || ''
+  };
+}
+
+/**
+ * Summarize a decoded release like `helm history -o json`
+ */
+function toHistoryEntry(release) {
+  const metadata = release.chart?.metadata || {};
+  return {
+    revision: release.version,
+    updated: release.info?.last_deployed,
+    status: release.info?.status,
+    chart: `${metadata.name}-${metadata.version}`,
+    app_version: metadata.appVersion || '',
+    description: release.info?.description || ''
+  };
+}
+
+/**
+ * Reads Helm releases directly from their storage Secrets
+ * The Kubernetes client is injectable so the reader can run against a fake API
+ */
+class HelmReleaseReader {
+  constructor(coreApi = null) {
+    this.coreApi = coreApi;
+  }
+
+  /**
+   * Get the Kubernetes client, creating it on first use
+   */
+  getCoreApi() {
+    if (!this.coreApi) {
+      this.coreApi = createCoreApi();
+    }
+    return this.coreApi;
+  }
+
+  /**
+   * List release Secrets, optionally for a single release in a namespace
+   * @returns {Promise<Array>} Secrets of type helm.sh/release.v1
+   */
+  async listReleaseSecrets(namespace = null, name = null) {
+    const labelSelector = name ? `owner=helm,name=${name}` : 'owner=helm';
+    const fieldSelector = `type=${HELM_RELEASE_TYPE}`;
+
+    try {
+      const api = this.getCoreApi();
+      const list = namespace
+        ? await api.listNamespacedSecret({ namespace, labelSelector, fieldSelector })
+        : await api.listSecretForAllNamespaces({ labelSelector, fieldSelector });
+      return list.items || [];
+    } catch (error) {
+      throw new InfrastructureError('list', 'helm release secrets', error.body?.message || error.message, {
+        namespace,
+        release: name
+      });
+    }
+  }
+
+  /**
+   * Latest revision of every release in the cluster, like `helm list -A`
+   * @returns {Promise<Array>} Release summaries
+   */
+  async listReleases() {
+    const secrets = await this.listReleaseSecrets();
+
+    // Pick the newest revision per release from labels before decoding any payloads
+    const latest = new Map();
+    for (const secret of secrets) {
+      const key = `${secret.metadata.namespace}/${secret.metadata.labels?.name}`;
+      const version = parseInt(secret.metadata.labels?.version, 10) || 0;
+      const current = latest.get(key);
+      if (!current || version > current.version) {
+        latest.set(key, { version, secret });
+      }
+    }
+
+    const releases = await Promise.all(
+      [...latest.values()].map(({ secret }) => decodeRelease(secret.data.release))
+    );
+
+    return releases
+      .filter(release => !HIDDEN_STATUSES.includes(release.info?.status))
+      .map(toListEntry)
+      .sort((a, b) => a.namespace.localeCompare(b.namespace) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Every stored revision of a release, oldest first
+   * @returns {Promise<Array>} Decoded releases
+   * @throws {NotFoundError} If the release has no stored revisions
+   */
+  async getRevisions(namespace, name) {
+    const secrets = await this.listReleaseSecrets(namespace, name);
+
+    if (secrets.length === 0) {
+      throw new NotFoundError('Helm release', `${namespace}/${name}`);
+    }
+
+    const releases = await Promise.all(secrets.map(secret => decodeRelease(secret.data.release)));
+    return releases.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * A single revision of a release, or the latest one when revision is omitted
+   * @returns {Promise<Object>} Decoded release
+   * @throws {NotFoundError} If the release or revision does not exist
+   */
+  async getRelease(namespace, name, revision = null) {
+    const revisions = await this.getRevisions(namespace, name);
+
+    if (revision === null || revision === undefined) {
+      return revisions[revisions.length - 1];
+    }
+
+    const release = revisions.find(r => r.version === Number(revision));
+    if (!release) {
+      throw new NotFoundError('Helm release revision', `${namespace}/${name}#${revision}`);
+    }
+    return release;
+  }
+
+  /**
+   * Revision history of a release, like `helm history`
+   */
+  async getHistory(namespace, name) {
+    const revisions = await this.getRevisions(namespace, name);
+    return revisions.map(toHistoryEntry);
+  }
+
+  /**
+   * Values of a release revision, like `helm get values [--all]`
+   * @param {boolean} all - Return computed values (chart defaults merged with user values)
+   */
+  async getValues(namespace, name, revision = null, all = false) {
+    const release = await this.getRelease(namespace, name, revision);
+    return all
+      ? coalesceValues(release.chart?.values, release.config)
+      : (release.config || {});
+  }
+
+  /**
+   * Rendered manifest of a release revision, like `helm get manifest`
+   */
+  async getManifest(namespace, name, revision = null) {
+    const release = await this.getRelease(namespace, name, revision);
+    return release.manifest || '';
+  }
+}
+
+// Export singleton instance; the class is exported for use with other clients
+module.exports = new HelmReleaseReader();
+module.exports.HelmReleaseReader = HelmReleaseReader;
+module.exports.decodeRelease = decodeRelease;
+module.exports.coalesceValues = coalesceValues;
+module.exports.toHistoryEntry = toHistoryEntry;
@@ -0,0 +1,221 @@
+const configLoader = require('../config/config-loader');
+const dataStore = require('./data-store');
+const deploymentHistory = require('./deployment-history');
+const githubClient = require('./github-client');
+const repositoryRegistry = require('./repository-registry');
+const { mean, median, percentile, round } = require('../utils/stats');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('LeadTime');
+
+// Commit ranges never change, so they are fetched from GitHub once
+const COMMIT_RANGES = 'github_commit_ranges';
+const HOUR_MS = 60 * 60 * 1000;
+// Pages of path-filtered commits read per deployment (100 commits each)
+const MAX_PATH_PAGES = 5;
+
+/**
+ * Parse 'owner/repo' from a GitHub repository URL (https or ssh)
+ * @returns {string|null} Full name, or null for non-GitHub sources such as Helm repositories
+ */
+function parseGitHubRepo(repoURL) {
+  const match = /github\.com[/:]([^/]+)\/([^/]+?)(?:\.git)?\/?$/.exec(repoURL || '');
+  return match ? `${match[1]}/${match[2]}` : null;
+}
+
+/**
+ * The Git source, path and revision of an ArgoCD history entry
+ * Multi-source applications use the first source that lives on GitHub
+ * @returns {{repo: string, path: string|null, revision: string}|null}
+ */
+function gitRevisionOf(entry) {
+  const sources = entry.sources || (entry.source ? [entry.source] : []);
+  const revisions = entry.revisions || (entry.revision ? [entry.revision] : []);
+
+  for (let i = 0; i < sources.length; i++) {
+    const repo = parseGitHubRepo(sources[i].repoURL);
+    // Chart sources record a chart version instead of a commit
+    if (repo && !sources[i].chart && /^[0-9a-f]{40}$/.test(revisions[i] || '')) {
+      return { repo, path: normalizePath(sources[i].path), revision: revisions[i] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Source path of an application within its repository, or null for the repository root
+ */
+function normalizePath(sourcePath) {
+  const trimmed = (sourcePath || '').replace(/^\.?\/+|\/+$/g, '');
+  return trimmed && trimmed !== '.' ? trimmed : null;
+}
+
+// The committer date is when the change landed; rebases keep the original author date
+const committedAt = commit => commit.commit.committer?.date || commit.commit.author?.date;
+
+/**
+ * Commits deployed by moving from one revision to another
+ * Applications sharing a repository (one chart directory each) only count
+ * commits that touched their own source path
+ * @param {string} fullName - 'owner/repo'
+ * @param {string|null} sourcePath - Application directory in the repository, null for all of it
+ * @param {string|null} base - Previously deployed revision, or null for the first deployment
+ * @param {string} head - Newly deployed revision
+ * @returns {Promise<{commits: Array<{sha: string, committedAt: string}>, truncated: boolean}>}
+ *   truncated is set when GitHub returned only part of the range
+ */
+async function fetchDeployedCommits(fullName, sourcePath, base, head) {
+  const key = `${fullName}:${sourcePath || ''}:${base || ''}...${head}`;
+  const cached = dataStore.get(COMMIT_RANGES, key);
+  if (cached) return cached;
+
+  const repo = repositoryRegistry.find(fullName) || { owner: fullName.split('/')[0], name: fullName.split('/')[1] };
+  let commits;
+  let truncated = false;
+
+  if (!base) {
+    // First deployment: the newest change to the application, or the deployed commit itself
+    commits = sourcePath
+      ? (await githubClient.get(`/repos/${fullName}/commits`, { repo, params: { sha: head, path: sourcePath, per_page: 1 } }))
+      : [await githubClient.get(`/repos/${fullName}/commits/${head}`, { repo })];
+  } else {
+    // Compare lists at most 250 commits and reports the full count in total_commits
+    const comparison = await githubClient.get(`/repos/${fullName}/compare/${base}...${head}`, { repo });
+    truncated = comparison.total_commits > comparison.commits.length;
+    commits = comparison.commits;
+
+    if (sourcePath) {
+      const since = comparison.merge_base_commit ? committedAt(comparison.merge_base_commit) : undefined;
+      const touched = await githubClient.paginate(`/repos/${fullName}/commits`, {
+        repo,
+        params: { sha: head, path: sourcePath, since },
+        maxPages: MAX_PATH_PAGES
+      });
+      const inRange = new Set(commits.map(commit => commit.sha));
+      // A truncated range cannot rule commits out, so every change to the path since the base counts
+      commits = touched.filter(commit => truncated || inRange.has(commit.sha));
+      if (touched.length >= MAX_PATH_PAGES * 100) truncated = true;
+    }
+  }
+
+  const result = {
+    commits: commits.map(commit => ({ sha: commit.sha, committedAt: committedAt(commit) })),
+    truncated
+  };
+  dataStore.upsert(COMMIT_RANGES, key, result);
+  return result;
+}
+
+/**
+ * Summarize lead times in hours
+ */
+function summarize(leadTimes, deployments, truncatedDeployments = 0) {
+  return {
+    deployments,
+    // Deployments whose commit range GitHub only listed in part
+    truncatedDeployments,
+    commits: leadTimes.length,
+    median: round(median(leadTimes)),
+    mean: round(mean(leadTimes)),
+    p90: round(percentile(leadTimes, 90))
+  };
+}
+
+/**
+ * Lead time for changes of one application: for every commit a deployment
+ * shipped, the time from the commit to ArgoCD recording the deployment
+ * @param {Object} app - Configured application
+ * @param {Date} from - Start of the window (by deployment time)
+ * @param {Date} to - End of the window
+ * @returns {Promise<{leadTimes: Array<number>, deployments: number, skipped: number, truncated: number}>}
+ */
+async function computeForApplication(app, from, to) {
+  const history = deploymentHistory.getArgoHistory(app.argocdApp);
+  const leadTimes = [];
+  let deployments = 0;
+  let skipped = 0;
+  let truncated = 0;
+  let previous = null;
+
+  for (const entry of history) {
+    const source = gitRevisionOf(entry);
+    const deployedAt = new Date(entry.deployedAt);
+    const inWindow = source && deployedAt >= from && deployedAt <= to;
+
+    // Re-syncs of an already deployed revision ship no new commits
+    if (inWindow && previous?.revision !== source.revision) {
+      try {
+        const base = previous?.repo === source.repo ? previous.revision : null;
+        const range = await fetchDeployedCommits(source.repo, source.path, base, source.revision);
+        for (const commit of range.commits) {
+          leadTimes.push((deployedAt - new Date(commit.committedAt)) / HOUR_MS);
+        }
+        deployments++;
+        if (range.truncated) {
+          truncated++;
+          logger.warn('Deployed commit range was truncated by GitHub', {
+            app: app.id,
+            base,
+            revision: source.revision
+          });
+        }
+      } catch (error) {
+        skipped++;
+        logger.warn('Failed to resolve deployed commits', {
+          app: app.id,
+          revision: source.revision,
+          error: error.message
+        });
+      }
+    } else if (!source && deployedAt >= from && deployedAt <= to) {
+      skipped++;
+    }
+
+    if (source) previous = source;
+  }
+
+  return { leadTimes, deployments, skipped, truncated };
+}
+
+/**
+ * Lead time for changes per application and across all applications
+ * Based on ArgoCD sync history (status.history[].deployedAt), so only Git
+ * sources hosted on GitHub can be measured
+ * @param {Date} from - Start of the window (by deployment time)
+ * @param {Date} [to] - End of the window, defaults to now
+ * @param {Array<string>} [applicationIds] - Limit to these applications
+ * @returns {Promise<Object>} { aggregate, applications } with times in hours
+ */
+async function computeLeadTime(from, to = new Date(), applicationIds = null) {
+  const applications = configLoader.loadConfig('applications.yaml').applications
+    .filter(app => !applicationIds || applicationIds.includes(app.id));
+  const allLeadTimes = [];
+  let allDeployments = 0;
+  let allTruncated = 0;
+  const perApplication = [];
+
+  for (const app of applications) {
+    const { leadTimes, deployments, skipped, truncated } = await computeForApplication(app, from, to);
+    allLeadTimes.push(...leadTimes);
+    allDeployments += deployments;
+    allTruncated += truncated;
+    perApplication.push({
+      id: app.id,
+      name: app.name,
+      argocdApp: app.argocdApp,
+      ...summarize(leadTimes, deployments, truncated),
+      skippedDeployments: skipped
+    });
+  }
+
+  return {
+    aggregate: summarize(allLeadTimes, allDeployments, allTruncated),
+    applications: perApplication
+  };
+}
+
+module.exports = {
+  computeLeadTime,
+  fetchDeployedCommits,
+  parseGitHubRepo
+};
@@ -0,0 +1,60 @@
+const axios = require('axios');
+const { ServiceError, parseServiceError } = require('../utils/errors');
+
+const PROMETHEUS_URL = process.env.PROMETHEUS_URL || 'http://localhost:30090';
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Run an instant PromQL query
+ * @param {string} query - PromQL expression
+ * @param {string} time - Optional evaluation time (Unix timestamp or RFC3339)
+ * @returns {Promise<Array>} Result vector
+ * @throws {ServiceError} If Prometheus is unreachable or rejects the query
+ */
+async function instantQuery(query, time) {
+  return (await request('query', { query, time })).result;
+}
+
+/**
+ * Run a PromQL range query
+ * @param {string} query - PromQL expression
+ * @param {number|string} start - Range start (Unix timestamp or RFC3339)
+ * @param {number|string} end - Range end (Unix timestamp or RFC3339)
+ * @param {string} step - Resolution step (e.g. 60s, 15m)
+ * @returns {Promise<Array>} Result matrix
+ * @throws {ServiceError} If Prometheus is unreachable or rejects the query
+ */
+async function rangeQuery(query, start, end, step) {
+  return (await request('query_range', { query, start, end, step })).result;
+}
+
+/**
+ * Active (pending and firing) alerts from Prometheus alerting rules
+ * @returns {Promise<Array>} Alerts { labels, annotations, state, activeAt, value }
+ * @throws {ServiceError} If Prometheus is unreachable
+ */
+async function getAlerts() {
+  return (await request('alerts')).alerts;
+}
+
+async function request(endpoint, params) {
+  try {
+    const response = await axios.get(`${PROMETHEUS_URL}/api/v1/${endpoint}`, {
+      params,
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    return response.data.data;
+  } catch (error) {
+    if (error.response) {
+      throw parseServiceError('Prometheus', error.response, 'Query failed');
+    }
+    throw new ServiceError('Prometheus', error.message, { code: error.code });
+  }
+}
+
+module.exports = {
+  PROMETHEUS_URL,
+  instantQuery,
+  rangeQuery,
+  getAlerts
+};
@@ -0,0 +1,86 @@
+const configLoader = require('../config/config-loader');
+const prometheus = require('./prometheus');
+const { renderQuery } = require('../utils/promql');
+const { NotFoundError } = require('../utils/errors');
+
+const CATALOG_FILE = 'promql-queries.yaml';
+
+/**
+ * Named, parameterized PromQL queries from promql-queries.yaml
+ * Callers pick a query by name and supply typed parameter values, so no
+ * request text is ever interpolated into PromQL unchecked
+ */
+class PromQLCatalog {
+  /**
+   * Every catalog query with its parameter declarations
+   * @returns {Array<Object>} { name, description, unit, params }
+   */
+  list() {
+    return configLoader.loadConfig(CATALOG_FILE).queries.map(({ query: _query, ...entry }) => ({
+      ...entry,
+      params: entry.params || []
+    }));
+  }
+
+  /**
+   * Get a catalog query or throw
+   * @throws {NotFoundError} If no query has this name
+   */
+  get(name) {
+    const entry = configLoader.loadConfig(CATALOG_FILE).queries.find(q => q.name === name);
+    if (!entry) {
+      throw new NotFoundError('Query', name);
+    }
+    return { ...entry, params: entry.params || [] };
+  }
+
+  /**
+   * Parameter defaults for a configured application
+   * @param {string} appId - Application id from applications.yaml
+   * @throws {NotFoundError} If the application is not configured
+   */
+  applicationParams(appId) {
+    const app = configLoader.loadConfig('applications.yaml').applications.find(a => a.id === appId);
+    if (!app) {
+      throw new NotFoundError('Application', appId);
+    }
+    return {
+      app: app.id,
+      namespace: app.namespace,
+      argocdApp: app.argocdApp,
+      release: app.helmRelease || app.argocdApp,
+      deployment: app.argocdApp
+    };
+  }
+
+  /**
+   * Render a catalog query
+   * @param {string} name - Query name
+   * @param {Object} values - Parameter values by name
+   * @param {string} [appId] - Application whose values are used for missing parameters
+   * @returns {{name: string, unit: string, query: string, params: Object}}
+   * @throws {ValidationError} If a parameter is missing or invalid
+   */
+  render(name, values = {}, appId) {
+    const entry = this.get(name);
+    const defaults = appId ? this.applicationParams(appId) : {};
+    const rendered = renderQuery(entry.query, entry.params, { ...defaults, ...values });
+    return { name, unit: entry.unit || null, ...rendered };
+  }
+
+  /**
+   * Render and run a catalog query
+   * @param {string} [time] - Evaluation time (Unix timestamp or RFC3339)
+   * @returns {Promise<Object>} Rendered query with its result vector
+   */
+  async run(name, values, appId, time) {
+    const rendered = this.render(name, values, appId);
+    return {
+      ...rendered,
+      result: await prometheus.instantQuery(rendered.query, time)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new PromQLCatalog();
@@ -0,0 +1,94 @@
+const configLoader = require('../config/config-loader');
+const { NotFoundError } = require('../utils/errors');
+
+const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+
+/**
+ * Registry of monitored GitHub repositories
+ * Built from the github.owner/repo of every application in applications.yaml plus
+ * the optional top-level `repositories` section for repos that have no application.
+ * Tokens are never stored in the YAML: `tokenEnv` names the environment variable
+ * holding a repo-specific token, falling back to GITHUB_TOKEN.
+ */
+class RepositoryRegistry {
+  /**
+   * List every monitored repository
+   * @returns {Array<Object>} { owner, name, fullName, displayName, applications, tokenEnv }
+   */
+  list() {
+    const config = configLoader.loadConfig('applications.yaml');
+    const repos = new Map();
+
+    const add = (owner, name, overrides = {}) => {
+      const fullName = `${owner}/${name}`;
+      if (!repos.has(fullName)) {
+        repos.set(fullName, { owner, name, fullName, displayName: null, applications: [], tokenEnv: null });
+      }
+      const repo = repos.get(fullName);
+      repo.displayName = repo.displayName || overrides.displayName || null;
+      repo.tokenEnv = repo.tokenEnv || overrides.tokenEnv || null;
+      return repo;
+    };
+
+    for (const app of config.applications) {
+      const repo = add(app.github.owner, app.github.repo, app.github);
+      repo.applications.push(app.id);
+      // A repo shared by several apps is named after the first one unless configured
+      repo.displayName = repo.displayName || app.name;
+    }
+
+    for (const extra of config.repositories || []) {
+      add(extra.owner, extra.repo, extra);
+    }
+
+    return [...repos.values()].map(repo => ({
+      ...repo,
+      displayName: repo.displayName || repo.name
+    }));
+  }
+
+  /**
+   * Find a monitored repository
+   * @param {string} repo - Repository name or 'owner/name'
+   * @returns {Object|null} Repository, or null if it is not monitored
+   */
+  find(repo) {
+    const repos = this.list();
+    return repos.find(r => r.fullName === repo) || repos.find(r => r.name === repo) || null;
+  }
+
+  /**
+   * Get a monitored repository or throw
+   * @throws {NotFoundError} If the repository is not monitored
+   */
+  get(repo) {
+    const found = this.find(repo);
+    if (!found) {
+      throw new NotFoundError('Repository', repo);
+    }
+    return found;
+  }
+
+  /**
+   * Name of the environment variable holding the token for a repository
+   * @param {Object} repo - Registry entry
+   * @returns {string|null} tokenEnv when set, else GITHUB_TOKEN, or null if no token is configured
+   */
+  getTokenName(repo) {
+    if (repo?.tokenEnv && process.env[repo.tokenEnv]) return repo.tokenEnv;
+    return GITHUB_TOKEN ? 'GITHUB_TOKEN' : null;
+  }
+
+  /**
+   * Token to use for a repository
+   * @param {Object} repo - Registry entry
+   * @returns {string|undefined} Repo-specific token, or the default GITHUB_TOKEN
+   */
+  getToken(repo) {
+    const name = this.getTokenName(repo);
+    return name ? process.env[name] : undefined;
+  }
+}
+
+// Export singleton instance
+module.exports = new RepositoryRegistry();
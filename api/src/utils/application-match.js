@@ -0,0 +1,58 @@
+/**
+ * Attribute Kubernetes objects and alerts to configured applications
+ */
+
+// Alert labels that name the workload an alert is about
+const WORKLOAD_LABELS = ['pod', 'deployment', 'statefulset', 'daemonset', 'service', 'job_name'];
+// Alert labels that name the application itself
+const APPLICATION_LABELS = ['argocd_app', 'application', 'app', 'app_kubernetes_io_instance', 'app_kubernetes_io_name'];
+
+/**
+ * Find the configured application a pod belongs to
+ * Pods are named after their ArgoCD app; the longest matching prefix wins so
+ * 'educationelly-graphql-server-x' is not attributed to 'educationelly'
+ */
+function findAppForPod(applications, namespace, pod) {
+  let match = null;
+  for (const app of applications) {
+    if (app.namespace !== namespace || !pod.startsWith(`${app.argocdApp}-`)) continue;
+    if (!match || app.argocdApp.length > match.argocdApp.length) match = app;
+  }
+  return match;
+}
+
+/**
+ * Find the configured application an alert is about
+ * Tries, in order: an application label naming the app, a workload label
+ * named after it, and finally the namespace when only one app lives there
+ * @param {Array<Object>} applications - Configured applications
+ * @param {Object} labels - Alert labels
+ * @returns {Object|null} Application, or null for cluster-level alerts
+ */
+function findAppForLabels(applications, labels) {
+  const inNamespace = labels.namespace
+    ? applications.filter(app => app.namespace === labels.namespace)
+    : applications;
+
+  for (const label of APPLICATION_LABELS) {
+    const value = labels[label];
+    const app = value && inNamespace.find(a => a.argocdApp === value || a.id === value);
+    if (app) return app;
+  }
+
+  if (!labels.namespace) return null;
+
+  for (const label of WORKLOAD_LABELS) {
+    const value = labels[label];
+    if (!value) continue;
+    const app = inNamespace.find(a => a.argocdApp === value) || findAppForPod(inNamespace, labels.namespace, value);
+    if (app) return app;
+  }
+
+  return inNamespace.length === 1 ? inNamespace[0] : null;
+}
+
+module.exports = {
+  findAppForPod,
+  findAppForLabels
+};
@@ -92,12 +92,22 @@ class NotFoundError extends APIError {
   }
 }
 
+/**
+ * Requests that conflict with the current state of the target resource
+ */
+class ConflictError extends APIError {
+  constructor(message, details = {}) {
+    super(message, 409, details);
+  }
+}
+
 /**
  * Authentication/Authorization errors
+ * 401 when the caller is not authenticated, 403 when it lacks a required role
  */
 class AuthError extends APIError {
-  constructor(message, details = {}) {
-    super(message, 401, details);
+  constructor(message, details = {}, statusCode = 401) {
+    super(message, statusCode, details);
   }
 }
 
@@ -125,6 +135,21 @@ class TimeoutError extends ApplicationError {
   }
 }
 
+/**
+ * Upstream quota exhausted; the request can be retried after resetAt
+ */
+class RateLimitError extends ApplicationError {
+  constructor(serviceName, resetAt, details = {}) {
+    super(`${serviceName} rate limit exhausted, retry after ${resetAt}`, 429, {
+      service: serviceName,
+      resetAt,
+      ...details
+    });
+    this.serviceName = serviceName;
+    this.resetAt = resetAt;
+  }
+}
+
 /**
  * Error result for operations that should not throw
  */
@@ -227,9 +252,11 @@ module.exports = {
   InfrastructureError,
   ValidationError,
   NotFoundError,
+  ConflictError,
   AuthError,
   ConfigurationError,
   TimeoutError,
+  RateLimitError,
 
   // Result types
   ErrorResult,
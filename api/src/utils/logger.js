@@ -18,6 +18,30 @@ const LOG_COLORS = {
   RESET: '\x1b[0m'
 };
 
+// Query parameters carrying credentials (event streams pass ?access_token=)
+const SECRET_QUERY_PARAMS = ['access_token'];
+
+/**
+ * Copy of a parsed query with credential parameters masked
+ */
+function redactQuery(query = {}) {
+  const redacted = { ...query };
+  for (const name of SECRET_QUERY_PARAMS) {
+    if (name in redacted) redacted[name] = '[REDACTED]';
+  }
+  return redacted;
+}
+
+/**
+ * URL with credential query parameters masked
+ */
+function redactUrl(url = '') {
+  return SECRET_QUERY_PARAMS.reduce(
+    (result, name) => result.replace(new RegExp(`([?&]${name}=)[^&#]*`, 'g'), '$1[REDACTED]'),
+    url
+  );
+}
+
 class Logger {
   constructor(context = '', level = 'INFO') {
     this.context = context;
@@ -110,7 +134,7 @@ class Logger {
     this.info(`${req.method} ${req.path}`, {
       method: req.method,
       path: req.path,
-      query: req.query,
+      query: redactQuery(req.query),
       params: req.params,
       ip: req.ip,
       userAgent: req.get('user-agent'),
@@ -213,7 +237,7 @@ function errorLogger(logger) {
     logger.error('Request error', err, {
       method: req.method,
       path: req.path,
-      query: req.query,
+      query: redactQuery(req.query),
       body: req.body
     });
     next(err);
@@ -225,5 +249,6 @@ module.exports = {
   createLogger,
   requestLogger,
   errorLogger,
+  redactUrl,
   LOG_LEVELS
 };
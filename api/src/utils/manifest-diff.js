@@ -0,0 +1,107 @@
+/**
+ * Structural comparison of Kubernetes manifests
+ */
+
+// Fields the API server maintains, which never appear in Git
+const SERVER_FIELDS = [
+  '/status',
+  '/metadata/managedFields',
+  '/metadata/resourceVersion',
+  '/metadata/uid',
+  '/metadata/generation',
+  '/metadata/creationTimestamp',
+  '/metadata/selfLink',
+  '/metadata/annotations/kubectl.kubernetes.io~1last-applied-configuration',
+  '/metadata/annotations/deployment.kubernetes.io~1revision'
+];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Split a JSON pointer (RFC 6901) into unescaped tokens
+ */
+function parsePointer(pointer) {
+  if (pointer === '' || pointer === '/') return [];
+  return pointer.replace(/^\//, '').split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Escape a key for use as a JSON pointer token
+ */
+function escapeToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Remove the value at a JSON pointer, in place; missing paths are ignored
+ */
+function removePointer(document, pointer) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0 || document === null || typeof document !== 'object') return;
+
+  let parent = document;
+  for (const token of tokens.slice(0, -1)) {
+    parent = parent?.[token];
+    if (parent === null || typeof parent !== 'object') return;
+  }
+
+  const last = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    const index = Number(last);
+    if (Number.isInteger(index) && index < parent.length) parent.splice(index, 1);
+  } else {
+    delete parent[last];
+  }
+}
+
+/**
+ * Copy of a manifest without server-maintained fields and the given ignored paths
+ * Empty annotations and labels left behind are dropped too
+ * @param {Object|null} manifest
+ * @param {Array<string>} ignoredPointers - JSON pointers to remove
+ */
+function normalizeManifest(manifest, ignoredPointers = []) {
+  if (!manifest) return null;
+  const copy = structuredClone(manifest);
+  for (const pointer of [...SERVER_FIELDS, ...ignoredPointers]) {
+    removePointer(copy, pointer);
+  }
+  for (const field of ['annotations', 'labels']) {
+    if (isObject(copy.metadata?.[field]) && Object.keys(copy.metadata[field]).length === 0) {
+      delete copy.metadata[field];
+    }
+  }
+  return copy;
+}
+
+/**
+ * Differences between two JSON values as JSON pointer operations
+ * Arrays are compared element by element
+ * @returns {Array<{path: string, op: 'add'|'remove'|'replace', live?: *, target?: *}>}
+ */
+function diffValues(live, target, path = '') {
+  if (live === undefined && target === undefined) return [];
+  if (live === undefined) return [{ path: path || '/', op: 'add', target }];
+  if (target === undefined) return [{ path: path || '/', op: 'remove', live }];
+
+  if (isObject(live) && isObject(target)) {
+    const keys = [...new Set([...Object.keys(live), ...Object.keys(target)])].sort();
+    return keys.flatMap(key => diffValues(live[key], target[key], `${path}/${escapeToken(key)}`));
+  }
+
+  if (Array.isArray(live) && Array.isArray(target)) {
+    const length = Math.max(live.length, target.length);
+    return Array.from({ length }, (_, index) => diffValues(live[index], target[index], `${path}/${index}`)).flat();
+  }
+
+  return JSON.stringify(live) === JSON.stringify(target)
+    ? []
+    : [{ path: path || '/', op: 'replace', live, target }];
+}
+
+module.exports = {
+  parsePointer,
+  removePointer,
+  normalizeManifest,
+  diffValues
+};
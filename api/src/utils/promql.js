@@ -0,0 +1,132 @@
+/**
+ * PromQL escaping and typed template parameters for the query catalog
+ */
+
+const { ValidationError } = require('./errors');
+
+// {{name}} placeholders in catalog query templates
+const PLACEHOLDER = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+// RE2 metacharacters, escaped so user input only ever matches literally
+const REGEX_METACHARACTERS = /[.*+?^${}()|[\]\\]/g;
+const MAX_VALUE_LENGTH = 253;
+
+/**
+ * Escape a value for use inside a double-quoted PromQL string
+ */
+function escapeLabelValue(value) {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+}
+
+/**
+ * Escape a value for literal matching inside a double-quoted =~ regex
+ */
+function escapeRegex(value) {
+  return escapeLabelValue(value.replace(REGEX_METACHARACTERS, '\\$&'));
+}
+
+const isText = value => value.length > 0 && value.length <= MAX_VALUE_LENGTH;
+
+/**
+ * Parameter types: test() checks the raw string, render() turns it into PromQL
+ */
+const PARAM_TYPES = {
+  label: {
+    test: isText,
+    message: () => `must be 1-${MAX_VALUE_LENGTH} characters`,
+    render: escapeLabelValue
+  },
+  regex: {
+    test: isText,
+    message: () => `must be 1-${MAX_VALUE_LENGTH} characters`,
+    render: escapeRegex
+  },
+  duration: {
+    test: value => /^[1-9][0-9]*(ms|s|m|h|d|w|y)$/.test(value),
+    message: () => 'must be a duration such as 30s, 5m or 1h',
+    render: value => value
+  },
+  number: {
+    test: value => value.trim() !== '' && Number.isFinite(Number(value)),
+    message: () => 'must be a number',
+    render: value => String(Number(value))
+  },
+  enum: {
+    test: (value, param) => (param.values || []).map(String).includes(value),
+    message: param => `must be one of: ${(param.values || []).join(', ')}`,
+    render: escapeLabelValue
+  }
+};
+
+/**
+ * Names of the placeholders used in a template
+ * @returns {Array<string>}
+ */
+function placeholders(template) {
+  return [...template.matchAll(PLACEHOLDER)].map(match => match[1]);
+}
+
+/**
+ * Check a value against a parameter declaration
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+function checkParam(param, value) {
+  if (typeof value !== 'string') {
+    return 'must be a single value';
+  }
+  const type = PARAM_TYPES[param.type];
+  return type.test(value, param) ? null : type.message(param);
+}
+
+/**
+ * Substitute validated parameter values into a query template
+ * @param {string} template - Query with {{name}} placeholders
+ * @param {Array<Object>} params - Parameter declarations { name, type, required, default, values }
+ * @param {Object} values - Supplied values by parameter name
+ * @returns {{query: string, params: Object}} Rendered query and the values used
+ * @throws {ValidationError} If a required parameter is missing or a value does not match its type
+ */
+function renderQuery(template, params, values = {}) {
+  const resolved = {};
+
+  for (const param of params) {
+    let value = values[param.name];
+    if (value === undefined || value === '') {
+      if (param.default === undefined) {
+        if (param.required) {
+          throw new ValidationError(param.name, 'is required');
+        }
+        continue;
+      }
+      value = String(param.default);
+    }
+
+    const error = checkParam(param, value);
+    if (error) {
+      throw new ValidationError(param.name, error);
+    }
+    resolved[param.name] = value;
+  }
+
+  const query = template.replace(PLACEHOLDER, (match, name) => {
+    const param = params.find(p => p.name === name);
+    if (resolved[name] === undefined) {
+      throw new ValidationError(name, 'is required by this query');
+    }
+    return PARAM_TYPES[param.type].render(resolved[name]);
+  });
+
+  return { query, params: resolved };
+}
+
+module.exports = {
+  PARAM_TYPES,
+  escapeLabelValue,
+  escapeRegex,
+  placeholders,
+  checkParam,
+  renderQuery
+};
@@ -0,0 +1,47 @@
+/**
+ * Small numeric helpers for analytics
+ */
+
+/**
+ * Arithmetic mean, or 0 for an empty list
+ */
+function mean(values) {
+  if (values.length === 0) return 0;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Percentile using linear interpolation between closest ranks, or 0 for an empty list
+ * @param {Array<number>} values - Unsorted values
+ * @param {number} p - Percentile between 0 and 100
+ */
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Median, or 0 for an empty list
+ */
+function median(values) {
+  return percentile(values, 50);
+}
+
+/**
+ * Round to a fixed number of decimals
+ */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  mean,
+  median,
+  percentile,
+  round
+};
@@ -0,0 +1,180 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SignJWT } = require('jose');
+const { AuthError } = require('../../src/utils/errors');
+
+const AUTH_MODULE = require.resolve('../../src/middleware/auth');
+const AUTH_ENV = ['NODE_ENV', 'AUTH_MODE', 'AUTH_OIDC_ISSUER', 'AUTH_LOCAL_JWKS', 'AUTH_LOCAL_SECRET', 'AUTH_AUDIENCE'];
+
+/**
+ * Load the auth middleware with the given environment; the mode is read once at load time
+ */
+function loadAuth(env = {}) {
+  const saved = Object.fromEntries(AUTH_ENV.map(name => [name, process.env[name]]));
+  for (const name of AUTH_ENV) delete process.env[name];
+  Object.assign(process.env, env);
+
+  delete require.cache[AUTH_MODULE];
+  try {
+    return require(AUTH_MODULE);
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+/**
+ * Run a middleware and resolve with the error it passed to next, if any
+ */
+function run(middleware, req) {
+  return new Promise((resolve) => {
+    middleware(req, {}, error => resolve(error || null));
+  });
+}
+
+const user = (...grants) => ({
+  sub: 'alice',
+  roles: grants.map((grant) => {
+    const [role, namespace] = grant.split(':');
+    return { role, namespace: namespace || null };
+  })
+});
+
+const { hasRole, requireRole, filterByNamespace } = loadAuth({ AUTH_MODE: 'none' });
+
+describe('hasRole', () => {
+  it('accepts a global grant in any namespace', () => {
+    assert.equal(hasRole(user('viewer'), 'viewer', ['apps']), true);
+    assert.equal(hasRole(user('viewer'), 'viewer', []), true);
+  });
+
+  it('accepts a namespaced grant in its own namespace only', () => {
+    assert.equal(hasRole(user('deployer:apps'), 'deployer', ['apps']), true);
+    assert.equal(hasRole(user('deployer:apps'), 'deployer', ['billing']), false);
+    assert.equal(hasRole(user('deployer:apps'), 'deployer', ['apps', 'billing']), false);
+  });
+
+  it('requires a global grant when no namespace applies', () => {
+    assert.equal(hasRole(user('admin:apps'), 'admin', []), false);
+  });
+
+  it('accepts a grant in any namespace when namespaces are not resolved', () => {
+    assert.equal(hasRole(user('viewer:apps'), 'viewer', null), true);
+  });
+
+  it('lets higher roles imply lower ones but not the reverse', () => {
+    assert.equal(hasRole(user('admin:apps'), 'viewer', ['apps']), true);
+    assert.equal(hasRole(user('viewer'), 'deployer', ['apps']), false);
+    assert.equal(hasRole(user('deployer'), 'admin', []), false);
+  });
+
+  it('rejects principals without grants', () => {
+    assert.equal(hasRole(user(), 'viewer', null), false);
+    assert.equal(hasRole(null, 'viewer', null), false);
+  });
+});
+
+describe('requireRole', () => {
+  it('passes a principal with a matching grant', async () => {
+    const middleware = requireRole('deployer', req => [req.params.namespace]);
+    assert.equal(await run(middleware, { user: user('deployer:apps'), params: { namespace: 'apps' } }), null);
+  });
+
+  it('rejects a mismatched namespace with 403', async () => {
+    const middleware = requireRole('viewer', req => [req.params.namespace]);
+    const error = await run(middleware, { user: user('viewer:apps'), params: { namespace: 'billing' } });
+    assert.ok(error instanceof AuthError);
+    assert.equal(error.statusCode, 403);
+    assert.deepEqual(error.details, { required: 'viewer', namespaces: ['billing'] });
+  });
+
+  it('rejects a role below the required one with 403', async () => {
+    const error = await run(requireRole('admin'), { user: user('deployer') });
+    assert.equal(error.statusCode, 403);
+  });
+
+  it('awaits asynchronous namespace resolvers', async () => {
+    const middleware = requireRole('viewer', async () => ['apps']);
+    assert.equal(await run(middleware, { user: user('viewer:apps') }), null);
+  });
+
+  it('rejects unauthenticated requests with 401', async () => {
+    const error = await run(requireRole('viewer'), {});
+    assert.equal(error.statusCode, 401);
+  });
+
+  it('refuses unknown roles when the route is defined', () => {
+    assert.throws(() => requireRole('owner'), /Unknown role/);
+  });
+});
+
+describe('filterByNamespace', () => {
+  const items = [{ namespace: 'apps' }, { namespace: 'billing' }, { namespace: null }];
+
+  it('keeps only items in granted namespaces', () => {
+    assert.deepEqual(filterByNamespace(user('viewer:apps'), items, item => item.namespace), [{ namespace: 'apps' }]);
+  });
+
+  it('keeps everything for a global grant', () => {
+    assert.equal(filterByNamespace(user('viewer'), items, item => item.namespace).length, 3);
+  });
+});
+
+describe('authenticate', () => {
+  it('treats every request as an anonymous admin when AUTH_MODE is none', async () => {
+    const { authenticate } = loadAuth({ AUTH_MODE: 'none' });
+    const req = {};
+    assert.equal(await run(authenticate, req), null);
+    assert.equal(req.user.anonymous, true);
+    assert.deepEqual(req.user.roles, [{ role: 'admin', namespace: null }]);
+  });
+
+  it('rejects every request in production when nothing is configured', async () => {
+    const { authenticate, AUTH_MODE } = loadAuth({ NODE_ENV: 'production' });
+    assert.equal(AUTH_MODE, 'unconfigured');
+    const error = await run(authenticate, { get: () => 'Bearer token' });
+    assert.ok(error instanceof AuthError);
+    assert.equal(error.statusCode, 401);
+  });
+
+  describe('local tokens', () => {
+    const secret = 'test-secret';
+    const { authenticate } = loadAuth({ AUTH_MODE: 'local', AUTH_LOCAL_SECRET: secret });
+
+    const sign = (claims, key = secret) => new SignJWT(claims)
+      .setProtectedHeader({ alg: 'HS256' })
+      .setSubject('alice')
+      .setExpirationTime('5m')
+      .sign(new TextEncoder().encode(key));
+
+    const request = token => ({
+      method: 'GET',
+      query: {},
+      get: name => (name === 'authorization' && token ? `Bearer ${token}` : undefined)
+    });
+
+    it('builds the principal from a valid token', async () => {
+      const req = request(await sign({ roles: ['viewer', 'deployer:apps', 'owner'] }));
+      assert.equal(await run(authenticate, req), null);
+      assert.equal(req.user.sub, 'alice');
+      assert.deepEqual(req.user.roles, [
+        { role: 'viewer', namespace: null },
+        { role: 'deployer', namespace: 'apps' }
+      ]);
+      assert.ok(req.user.expiresAt > Date.now(), 'expiry is kept for long-lived connections');
+    });
+
+    it('rejects a token signed with another key', async () => {
+      const error = await run(authenticate, request(await sign({ roles: ['admin'] }, 'other-secret')));
+      assert.equal(error.statusCode, 401);
+    });
+
+    it('rejects a request without a token', async () => {
+      const error = await run(authenticate, request(null));
+      assert.equal(error.statusCode, 401);
+      assert.match(error.message, /Missing bearer token/);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// The store singleton reads its path when first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+process.env.DATA_STORE_PATH = path.join(dir, 'store.json');
+
+const githubWebhooks = require('../../src/services/github-webhooks');
+const webhookRouter = require('../../src/routes/github-webhooks');
+const { ApplicationError } = require('../../src/utils/errors');
+
+const SECRET = 'webhook-secret';
+const sign = (body, secret = SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const pushPayload = JSON.stringify({
+  ref: 'refs/heads/main',
+  before: 'a'.repeat(40),
+  after: 'b'.repeat(40),
+  commits: [],
+  repository: { full_name: 'octo/web', name: 'web', owner: { login: 'octo' } }
+});
+
+describe('verifySignature', () => {
+  const body = Buffer.from(pushPayload);
+
+  it('accepts the HMAC of the raw body', () => {
+    assert.equal(githubWebhooks.verifySignature(body, sign(body), SECRET), true);
+  });
+
+  it('rejects a missing header or body', () => {
+    assert.equal(githubWebhooks.verifySignature(body, undefined, SECRET), false);
+    assert.equal(githubWebhooks.verifySignature(undefined, sign(body), SECRET), false);
+  });
+
+  it('rejects a signature made with another secret', () => {
+    assert.equal(githubWebhooks.verifySignature(body, sign(body, 'other'), SECRET), false);
+  });
+
+  it('rejects signatures of another length or scheme', () => {
+    assert.equal(githubWebhooks.verifySignature(body, sign(body).slice(0, -2), SECRET), false);
+    assert.equal(githubWebhooks.verifySignature(body, `${sign(body)}00`, SECRET), false);
+    assert.equal(githubWebhooks.verifySignature(body, sign(body).replace('sha256=', 'sha1='), SECRET), false);
+  });
+
+  it('rejects a body changed after signing', () => {
+    assert.equal(githubWebhooks.verifySignature(Buffer.from(`${pushPayload} `), sign(body), SECRET), false);
+  });
+});
+
+describe('POST /api/github/webhooks', () => {
+  let server;
+  let url;
+
+  before(async () => {
+    process.env.GITHUB_WEBHOOK_SECRET = SECRET;
+
+    // Same body parsing as server.js, which keeps the raw body for the signature check
+    const app = express();
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+    app.use('/api/github/webhooks', webhookRouter);
+    app.use((err, req, res, next) => {
+      if (!(err instanceof ApplicationError)) return next(err);
+      res.status(err.statusCode).json(err.toJSON());
+    });
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://localhost:${server.address().port}/api/github/webhooks`;
+  });
+
+  after(() => {
+    server.close();
+    delete process.env.GITHUB_WEBHOOK_SECRET;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const deliver = (body, headers = {}) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-GitHub-Event': 'push', ...headers },
+    body
+  });
+
+  it('rejects a delivery without a signature', async () => {
+    const response = await deliver(pushPayload, { 'X-GitHub-Delivery': 'missing' });
+    assert.equal(response.status, 401);
+  });
+
+  it('rejects a delivery with a wrong signature', async () => {
+    const response = await deliver(pushPayload, {
+      'X-GitHub-Delivery': 'wrong',
+      'X-Hub-Signature-256': sign(pushPayload, 'other')
+    });
+    assert.equal(response.status, 401);
+  });
+
+  it('verifies the raw body rather than the re-serialized JSON', async () => {
+    // Whitespace GitHub sends is part of the signed bytes but lost by JSON.parse
+    const spaced = JSON.stringify(JSON.parse(pushPayload), null, 2);
+    const response = await deliver(spaced, { 'X-GitHub-Delivery': 'spaced', 'X-Hub-Signature-256': sign(spaced) });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, 'ingested');
+  });
+
+  it('drops redeliveries of the same delivery id', async () => {
+    const headers = { 'X-GitHub-Delivery': 'repeat', 'X-Hub-Signature-256': sign(pushPayload) };
+    const first = await (await deliver(pushPayload, headers)).json();
+    const second = await (await deliver(pushPayload, headers)).json();
+
+    assert.equal(first.status, 'ingested');
+    assert.equal(second.status, 'duplicate');
+  });
+
+  it('accepts events it does not store with 202', async () => {
+    const body = JSON.stringify({ action: 'opened' });
+    const response = await deliver(body, {
+      'X-GitHub-Event': 'issues',
+      'X-GitHub-Delivery': 'issue',
+      'X-Hub-Signature-256': sign(body)
+    });
+    assert.equal(response.status, 202);
+    assert.equal((await response.json()).status, 'ignored');
+  });
+});
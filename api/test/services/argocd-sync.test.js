@@ -0,0 +1,87 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const argocd = require('../../src/services/argocd-client');
+const { rollbackApplication, resumeAutoSync, pausedAutoSync } = require('../../src/services/argocd-sync');
+const { ConflictError, ServiceError } = require('../../src/utils/errors');
+
+const ANNOTATION = 'devops-portfolio/paused-automated-sync';
+const AUTOMATED = { prune: true, selfHeal: true };
+
+describe('auto-sync paused by a rollback', () => {
+  const original = {
+    getApplication: argocd.getApplication,
+    patchApplication: argocd.patchApplication,
+    rollbackApplication: argocd.rollbackApplication
+  };
+  let application;
+  let patches;
+  let rollbackError;
+
+  before(() => {
+    argocd.getApplication = async () => structuredClone(application);
+    argocd.patchApplication = async (name, patch) => {
+      patches.push(patch);
+      return { metadata: { name }, spec: patch.spec };
+    };
+    argocd.rollbackApplication = async (name) => {
+      if (rollbackError) throw rollbackError;
+      return { metadata: { name } };
+    };
+  });
+
+  after(() => {
+    Object.assign(argocd, original);
+  });
+
+  beforeEach(() => {
+    patches = [];
+    rollbackError = null;
+    application = {
+      metadata: { name: 'web', annotations: {} },
+      spec: { syncPolicy: { automated: AUTOMATED } },
+      status: { history: [{ id: 3, revision: 'abc' }] }
+    };
+  });
+
+  it('saves the automated policy when pausing it', async () => {
+    const result = await rollbackApplication('web', { id: 3, pauseAutoSync: true });
+    assert.equal(result.autoSyncPaused, true);
+    assert.deepEqual(patches[0], {
+      metadata: { annotations: { [ANNOTATION]: JSON.stringify(AUTOMATED) } },
+      spec: { syncPolicy: { automated: null } }
+    });
+  });
+
+  it('clears the saved policy when a failed rollback restores auto-sync', async () => {
+    rollbackError = new ServiceError('ArgoCD', 'rollback failed');
+    await assert.rejects(rollbackApplication('web', { id: 3, pauseAutoSync: true }), ServiceError);
+    assert.deepEqual(patches[1], {
+      metadata: { annotations: { [ANNOTATION]: null } },
+      spec: { syncPolicy: { automated: AUTOMATED } }
+    });
+  });
+
+  it('restores the saved policy on resume', async () => {
+    application.spec.syncPolicy = {};
+    application.metadata.annotations[ANNOTATION] = JSON.stringify(AUTOMATED);
+    assert.deepEqual(pausedAutoSync(application), AUTOMATED);
+
+    const result = await resumeAutoSync('web');
+    assert.deepEqual(result.automated, AUTOMATED);
+    assert.deepEqual(patches, [{
+      metadata: { annotations: { [ANNOTATION]: null } },
+      spec: { syncPolicy: { automated: AUTOMATED } }
+    }]);
+  });
+
+  it('refuses to resume auto-sync it did not pause', async () => {
+    application.spec.syncPolicy = {};
+    assert.equal(pausedAutoSync(application), null);
+    await assert.rejects(resumeAutoSync('web'), (error) => {
+      assert.ok(error instanceof ConflictError);
+      assert.equal(error.details.reason, 'auto_sync_not_paused');
+      return true;
+    });
+    assert.equal(patches.length, 0);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DataStore } = require('../../src/services/data-store');
+
+const readStore = filePath => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+describe('DataStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-store-'));
+    filePath = path.join(dir, 'store.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes pending changes synchronously on flush', () => {
+    const store = new DataStore(filePath);
+    store.upsert('runs', 1, { id: 1 });
+    assert.equal(fs.existsSync(filePath), false, 'saves are debounced');
+
+    store.flush();
+    assert.deepEqual(readStore(filePath), { collections: { runs: { 1: { id: 1 } } } });
+    assert.equal(store.saveTimer, null);
+  });
+
+  it('does not write on flush without changes', () => {
+    const store = new DataStore(filePath);
+    store.get('runs', 1);
+    store.flush();
+    assert.equal(fs.existsSync(filePath), false);
+  });
+
+  it('flushes removals', () => {
+    const store = new DataStore(filePath);
+    store.upsert('runs', 1, { id: 1 });
+    store.flush();
+    store.remove('runs', 1);
+    store.flush();
+    assert.deepEqual(readStore(filePath), { collections: { runs: {} } });
+  });
+
+  it('keeps writes in order when saves overlap', async () => {
+    const store = new DataStore(filePath);
+    store.upsert('runs', 1, { id: 1 });
+    const first = store.save();
+    store.upsert('runs', 2, { id: 2 });
+    await Promise.all([first, store.save()]);
+    store.flush();
+
+    assert.deepEqual(Object.keys(readStore(filePath).collections.runs), ['1', '2']);
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+  });
+
+  it('reloads what it wrote', () => {
+    const store = new DataStore(filePath);
+    store.upsert('runs', 'a', { id: 'a' });
+    store.flush();
+    assert.deepEqual(new DataStore(filePath).get('runs', 'a'), { id: 'a' });
+  });
+});
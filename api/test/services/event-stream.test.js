@@ -0,0 +1,114 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const eventStream = require('../../src/services/event-stream');
+const { EVENT_TYPES } = require('../../src/services/event-stream');
+
+const viewer = (namespace, expiresAt = null) => ({
+  sub: 'alice',
+  roles: [{ role: 'viewer', namespace }],
+  expiresAt
+});
+
+/**
+ * Minimal request/response pair recording the event types written
+ */
+function connect(user) {
+  const req = Object.assign(new EventEmitter(), { user });
+  const res = {
+    events: [],
+    ended: false,
+    set() {},
+    flushHeaders() {},
+    write(chunk) {
+      const type = /^event: (.+)$/m.exec(chunk)?.[1];
+      if (type) this.events.push(type);
+    },
+    end() {
+      this.ended = true;
+      req.emit('close');
+    }
+  };
+  eventStream.addClient(req, res);
+  return { req, res };
+}
+
+describe('EventStream', () => {
+  const original = { start: eventStream.start, stop: eventStream.stop };
+  const connections = [];
+
+  before(() => {
+    // No pollers: events are published by the tests
+    eventStream.start = () => {};
+    eventStream.stop = () => {};
+  });
+
+  after(() => {
+    Object.assign(eventStream, original);
+  });
+
+  afterEach(() => {
+    connections.splice(0).forEach(({ req }) => req.emit('close'));
+    Object.values(eventStream.state).forEach(entries => entries.clear());
+  });
+
+  const open = (user) => {
+    const connection = connect(user);
+    connections.push(connection);
+    return connection.res;
+  };
+
+  it('sends events only for namespaces the subscriber can view', () => {
+    const scoped = open(viewer('vertex-platform'));
+    const global = open(viewer(null));
+
+    eventStream.update(EVENT_TYPES.HELM_RELEASE, 'default/web', { namespace: 'default', name: 'web' });
+    eventStream.update(EVENT_TYPES.HELM_RELEASE, 'vertex-platform/api', { namespace: 'vertex-platform', name: 'api' });
+    eventStream.update(EVENT_TYPES.APPLICATION_ALERTS, 'bookmarked', { app: 'bookmarked', firing: 1 });
+    eventStream.update(EVENT_TYPES.ARGOCD_APPLICATION, 'vertex-platform', { name: 'vertex-platform', namespace: null });
+
+    assert.deepEqual(scoped.events, [EVENT_TYPES.HELM_RELEASE, EVENT_TYPES.ARGOCD_APPLICATION]);
+    assert.equal(global.events.length, 4);
+  });
+
+  it('scopes unconfigured ArgoCD apps by their destination namespace', () => {
+    const scoped = open(viewer('tools'));
+    eventStream.update(EVENT_TYPES.ARGOCD_APPLICATION, 'grafana', { name: 'grafana', namespace: 'tools' });
+    eventStream.update(EVENT_TYPES.ARGOCD_APPLICATION, 'loki', { name: 'loki', namespace: null });
+    assert.deepEqual(scoped.events, [EVENT_TYPES.ARGOCD_APPLICATION]);
+  });
+
+  it('sends workflow runs to every viewer', () => {
+    const scoped = open(viewer('vertex-platform'));
+    eventStream.recordRun({ id: 1, name: 'CI', status: 'completed' });
+    assert.deepEqual(scoped.events, [EVENT_TYPES.GITHUB_RUN]);
+  });
+
+  it('filters the state replayed on connect', () => {
+    eventStream.update(EVENT_TYPES.HELM_RELEASE, 'default/web', { namespace: 'default', name: 'web' });
+    eventStream.update(EVENT_TYPES.HELM_RELEASE, 'vertex-platform/api', { namespace: 'vertex-platform', name: 'api' });
+    assert.deepEqual(open(viewer('default')).events, [EVENT_TYPES.HELM_RELEASE]);
+  });
+
+  it('ends the stream when the token expires', async () => {
+    const res = open(viewer(null, Date.now() + 20));
+    assert.equal(res.ended, false);
+
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.equal(res.ended, true);
+    assert.equal(eventStream.clients.has(res), false);
+  });
+
+  it('ends the stream at once for an already expired token', () => {
+    const res = open(viewer(null, Date.now() - 1000));
+    assert.equal(res.ended, true);
+    assert.equal(eventStream.clients.size, 0);
+  });
+
+  it('clears the expiry timer when the client disconnects', () => {
+    const { req, res } = connect(viewer(null, Date.now() + 60 * 1000));
+    req.emit('close');
+    assert.equal(eventStream.clients.has(res), false);
+    assert.equal(res.ended, false);
+  });
+});
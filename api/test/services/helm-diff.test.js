@@ -0,0 +1,106 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helmReleases = require('../../src/services/helm-releases');
+const { diffRevisions } = require('../../src/services/helm-diff');
+const { NotFoundError } = require('../../src/utils/errors');
+
+const deployment = (replicas) => `---
+# Source: web/templates/deployment.yaml
+apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: web
+spec:
+  replicas: ${replicas}
+`;
+
+const service = `---
+# Source: web/templates/service.yaml
+apiVersion: v1
+kind: Service
+metadata:
+  name: web
+spec:
+  ports:
+  - port: 80
+`;
+
+const configMap = `---
+# Source: web/templates/configmap.yaml
+apiVersion: v1
+kind: ConfigMap
+metadata:
+  name: web
+data:
+  mode: production
+`;
+
+function release(version, config, manifest) {
+  return {
+    name: 'web',
+    namespace: 'apps',
+    version,
+    info: { status: version === 3 ? 'deployed' : 'superseded', last_deployed: `2026-01-0${version}T00:00:00Z` },
+    chart: { metadata: { name: 'web', version: '1.0.0' }, values: { replicas: 1, image: { tag: 'latest' } } },
+    config,
+    manifest
+  };
+}
+
+const revisions = [
+  release(1, { replicas: 1 }, deployment(1) + service),
+  release(2, { replicas: 2 }, deployment(2) + service),
+  release(3, { replicas: 2, image: { tag: 'v3' } }, deployment(2) + configMap)
+];
+
+describe('diffRevisions', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('compares user-supplied and computed values', async () => {
+    mock.method(helmReleases, 'getRevisions', async () => revisions);
+    const diff = await diffRevisions('apps', 'web', 1, 2);
+
+    assert.equal(diff.from.revision, 1);
+    assert.equal(diff.to.revision, 2);
+    assert.deepEqual(diff.values.changes, [{ path: '/replicas', op: 'replace', from: 1, to: 2 }]);
+    assert.equal(diff.values.from, 'replicas: 1\n');
+    assert.deepEqual(diff.computedValues.changes, [{ path: '/replicas', op: 'replace', from: 1, to: 2 }]);
+    assert.match(diff.computedValues.to, /tag: latest/);
+  });
+
+  it('compares against the latest revision when none is given', async () => {
+    mock.method(helmReleases, 'getRevisions', async () => revisions);
+    const diff = await diffRevisions('apps', 'web', 2);
+
+    assert.equal(diff.to.revision, 3);
+    assert.deepEqual(diff.values.changes, [{ path: '/image', op: 'add', to: { tag: 'v3' } }]);
+    assert.deepEqual(diff.computedValues.changes, [{ path: '/image/tag', op: 'replace', from: 'latest', to: 'v3' }]);
+  });
+
+  it('classifies rendered resources and lists changed ones first', async () => {
+    mock.method(helmReleases, 'getRevisions', async () => revisions);
+    const { summary, resources } = (await diffRevisions('apps', 'web', 1, 3)).manifests;
+
+    assert.deepEqual(summary, { added: 1, removed: 1, modified: 1, unchanged: 0 });
+    assert.deepEqual(resources.map(r => [r.kind, r.status]), [
+      ['ConfigMap', 'added'],
+      ['Deployment', 'modified'],
+      ['Service', 'removed']
+    ]);
+    assert.deepEqual(resources[1].changes, [{ path: '/spec/replicas', op: 'replace', from: 1, to: 2 }]);
+    assert.equal(resources[0].source, 'web/templates/configmap.yaml');
+  });
+
+  it('omits the text of unchanged resources', async () => {
+    mock.method(helmReleases, 'getRevisions', async () => revisions);
+    const { summary, resources } = (await diffRevisions('apps', 'web', 2, 2)).manifests;
+
+    assert.deepEqual(summary, { added: 0, removed: 0, modified: 0, unchanged: 2 });
+    assert.ok(resources.every(r => !('from' in r) && !('to' in r)));
+  });
+
+  it('throws NotFoundError for a revision that is not stored', async () => {
+    mock.method(helmReleases, 'getRevisions', async () => revisions);
+    await assert.rejects(diffRevisions('apps', 'web', 7), NotFoundError);
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { HelmReleaseReader, decodeRelease, coalesceValues } = require('../../src/services/helm-releases');
+const { NotFoundError, InfrastructureError } = require('../../src/utils/errors');
+
+/**
+ * Encode a release the way Helm and Kubernetes store it: base64(base64(gzip(json)))
+ */
+function encodeRelease(release, { gzip = true } = {}) {
+  const json = Buffer.from(JSON.stringify(release));
+  const payload = gzip ? zlib.gzipSync(json) : json;
+  return Buffer.from(payload.toString('base64')).toString('base64');
+}
+
+function release(version, overrides = {}) {
+  return {
+    name: 'web',
+    namespace: 'apps',
+    version,
+    info: { status: 'deployed', last_deployed: `2026-01-0${version}T00:00:00Z`, description: `Revision ${version}` },
+    chart: { metadata: { name: 'web', version: '1.0.0', appVersion: '2.0.0' }, values: { replicas: 1 } },
+    config: { image: { tag: `v${version}` } },
+    manifest: '',
+    ...overrides
+  };
+}
+
+function secretFor(decoded) {
+  return {
+    metadata: {
+      namespace: decoded.namespace,
+      labels: { owner: 'helm', name: decoded.name, version: String(decoded.version) }
+    },
+    data: { release: encodeRelease(decoded) }
+  };
+}
+
+/**
+ * Fake CoreV1Api serving release Secrets and recording the requests it receives
+ */
+function fakeCoreApi(secrets) {
+  const calls = [];
+  return {
+    calls,
+    async listNamespacedSecret(params) {
+      calls.push({ method: 'listNamespacedSecret', ...params });
+      const name = params.labelSelector.match(/name=([^,]+)/)?.[1];
+      return {
+        items: secrets.filter(s => s.metadata.namespace === params.namespace && (!name || s.metadata.labels.name === name))
+      };
+    },
+    async listSecretForAllNamespaces(params) {
+      calls.push({ method: 'listSecretForAllNamespaces', ...params });
+      return { items: secrets };
+    }
+  };
+}
+
+describe('decodeRelease', () => {
+  it('decodes gzipped release payloads', async () => {
+    assert.deepEqual(await decodeRelease(encodeRelease(release(3))), release(3));
+  });
+
+  it('decodes payloads stored without compression', async () => {
+    assert.deepEqual(await decodeRelease(encodeRelease(release(1), { gzip: false })), release(1));
+  });
+});
+
+describe('coalesceValues', () => {
+  it('merges nested maps and replaces other values', () => {
+    const defaults = { image: { repository: 'web', tag: 'latest' }, replicas: 1, ports: [80] };
+    const overrides = { image: { tag: 'v2' }, ports: [8080] };
+    assert.deepEqual(coalesceValues(defaults, overrides), {
+      image: { repository: 'web', tag: 'v2' },
+      replicas: 1,
+      ports: [8080]
+    });
+  });
+
+  it('removes default keys overridden with null', () => {
+    assert.deepEqual(coalesceValues({ a: 1, b: { c: 2, d: 3 } }, { a: null, b: { d: null } }), { b: { c: 2 } });
+  });
+
+  it('does not modify its arguments', () => {
+    const defaults = { image: { tag: 'latest' } };
+    coalesceValues(defaults, { image: { tag: 'v2' } });
+    assert.deepEqual(defaults, { image: { tag: 'latest' } });
+  });
+
+  it('accepts missing documents', () => {
+    assert.deepEqual(coalesceValues(null, { a: 1 }), { a: 1 });
+    assert.deepEqual(coalesceValues({ a: 1 }, undefined), { a: 1 });
+  });
+});
+
+describe('HelmReleaseReader', () => {
+  const secrets = [release(2), release(1), release(3)].map(secretFor);
+
+  it('returns the latest revision when none is given', async () => {
+    const reader = new HelmReleaseReader(fakeCoreApi(secrets));
+    const latest = await reader.getRelease('apps', 'web');
+    assert.equal(latest.version, 3);
+  });
+
+  it('looks up a revision by number, including numeric strings from query parameters', async () => {
+    const reader = new HelmReleaseReader(fakeCoreApi(secrets));
+    assert.equal((await reader.getRelease('apps', 'web', 2)).config.image.tag, 'v2');
+    assert.equal((await reader.getRelease('apps', 'web', '1')).config.image.tag, 'v1');
+  });
+
+  it('lists revisions oldest first', async () => {
+    const reader = new HelmReleaseReader(fakeCoreApi(secrets));
+    const history = await reader.getHistory('apps', 'web');
+    assert.deepEqual(history.map(entry => entry.revision), [1, 2, 3]);
+    assert.equal(history[0].chart, 'web-1.0.0');
+  });
+
+  it('selects release Secrets by owner, name and type', async () => {
+    const coreApi = fakeCoreApi(secrets);
+    await new HelmReleaseReader(coreApi).getRelease('apps', 'web');
+    assert.deepEqual(coreApi.calls, [{
+      method: 'listNamespacedSecret',
+      namespace: 'apps',
+      labelSelector: 'owner=helm,name=web',
+      fieldSelector: 'type=helm.sh/release.v1'
+    }]);
+  });
+
+  it('throws NotFoundError for an unknown revision or release', async () => {
+    const reader = new HelmReleaseReader(fakeCoreApi(secrets));
+    await assert.rejects(reader.getRelease('apps', 'web', 9), NotFoundError);
+    await assert.rejects(reader.getRelease('apps', 'api'), NotFoundError);
+  });
+
+  it('computes values from chart defaults when all values are requested', async () => {
+    const reader = new HelmReleaseReader(fakeCoreApi(secrets));
+    assert.deepEqual(await reader.getValues('apps', 'web', 1), { image: { tag: 'v1' } });
+    assert.deepEqual(await reader.getValues('apps', 'web', 1, true), { replicas: 1, image: { tag: 'v1' } });
+  });
+
+  it('lists the latest visible revision of each release', async () => {
+    const uninstalled = release(1, { name: 'old', info: { status: 'uninstalled' } });
+    const reader = new HelmReleaseReader(fakeCoreApi([...secrets, secretFor(uninstalled)]));
+    const releases = await reader.listReleases();
+    assert.deepEqual(releases.map(r => [r.name, r.revision]), [['web', '3']]);
+  });
+
+  it('wraps Kubernetes API failures in InfrastructureError', async () => {
+    const reader = new HelmReleaseReader({
+      async listNamespacedSecret() {
+        throw Object.assign(new Error('HTTP 403'), { body: { message: 'secrets is forbidden' } });
+      }
+    });
+    await assert.rejects(reader.getRelease('apps', 'web'), InfrastructureError);
+  });
+});
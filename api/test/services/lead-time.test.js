@@ -0,0 +1,98 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store singleton reads its path when first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-time-'));
+process.env.DATA_STORE_PATH = path.join(dir, 'store.json');
+
+const githubClient = require('../../src/services/github-client');
+const { fetchDeployedCommits } = require('../../src/services/lead-time');
+
+const commit = (sha, date) => ({ sha, commit: { committer: { date } } });
+
+describe('fetchDeployedCommits', () => {
+  const original = { get: githubClient.get, paginate: githubClient.paginate };
+  let comparison;
+  let pathCommits;
+  let calls;
+  let range = 0;
+
+  before(() => {
+    githubClient.get = async (url, options) => {
+      calls.push({ url, params: options.params });
+      if (url.includes('/compare/')) return comparison;
+      if (url.endsWith('/commits')) return pathCommits.slice(0, 1);
+      return commit('head', '2026-01-03T00:00:00Z');
+    };
+    githubClient.paginate = async (url, options) => {
+      calls.push({ url, params: options.params });
+      return pathCommits;
+    };
+  });
+
+  after(() => {
+    Object.assign(githubClient, original);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    calls = [];
+    range++;
+    comparison = {
+      total_commits: 3,
+      merge_base_commit: commit('base', '2026-01-01T00:00:00Z'),
+      commits: [
+        commit('a', '2026-01-01T01:00:00Z'),
+        commit('b', '2026-01-01T02:00:00Z'),
+        commit('c', '2026-01-01T03:00:00Z')
+      ]
+    };
+    pathCommits = [commit('c', '2026-01-01T03:00:00Z'), commit('a', '2026-01-01T01:00:00Z')];
+  });
+
+  it('counts every commit in the range for an application at the repository root', async () => {
+    const result = await fetchDeployedCommits('octo/gitops', null, `base${range}`, 'head');
+    assert.deepEqual(result.commits.map(c => c.sha), ['a', 'b', 'c']);
+    assert.equal(result.truncated, false);
+  });
+
+  it('counts only commits that touched the source path', async () => {
+    const result = await fetchDeployedCommits('octo/gitops', 'apps/web', `base${range}`, 'head');
+    assert.deepEqual(result.commits.map(c => c.sha), ['c', 'a']);
+    assert.deepEqual(calls[1].params, { sha: 'head', path: 'apps/web', since: '2026-01-01T00:00:00Z' });
+  });
+
+  it('ignores path commits outside the deployed range', async () => {
+    pathCommits.push(commit('older', '2025-12-31T00:00:00Z'));
+    const result = await fetchDeployedCommits('octo/gitops', 'apps/web', `base${range}`, 'head');
+    assert.deepEqual(result.commits.map(c => c.sha), ['c', 'a']);
+  });
+
+  it('flags ranges longer than the compare API lists', async () => {
+    comparison.total_commits = 400;
+    pathCommits.push(commit('unlisted', '2026-01-01T00:30:00Z'));
+
+    const whole = await fetchDeployedCommits('octo/gitops', null, `base${range}`, 'head');
+    assert.equal(whole.truncated, true);
+
+    const scoped = await fetchDeployedCommits('octo/gitops', 'apps/web', `base${range}`, 'head');
+    assert.equal(scoped.truncated, true);
+    assert.deepEqual(scoped.commits.map(c => c.sha), ['c', 'a', 'unlisted']);
+  });
+
+  it('uses the newest change to the path for a first deployment', async () => {
+    const result = await fetchDeployedCommits('octo/gitops', `apps/web${range}`, null, 'head');
+    assert.deepEqual(result.commits, [{ sha: 'c', committedAt: '2026-01-01T03:00:00Z' }]);
+    assert.deepEqual(calls[0].params, { sha: 'head', path: `apps/web${range}`, per_page: 1 });
+  });
+
+  it('serves repeated ranges from the store', async () => {
+    await fetchDeployedCommits('octo/gitops', 'apps/web', `base${range}`, 'head');
+    const count = calls.length;
+    await fetchDeployedCommits('octo/gitops', 'apps/web', `base${range}`, 'head');
+    assert.equal(calls.length, count);
+  });
+});
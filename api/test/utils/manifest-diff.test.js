@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePointer, removePointer, normalizeManifest, diffValues } = require('../../src/utils/manifest-diff');
+
+describe('parsePointer', () => {
+  it('splits and unescapes pointer tokens', () => {
+    assert.deepEqual(parsePointer('/metadata/annotations/example.com~1owner'), ['metadata', 'annotations', 'example.com/owner']);
+    assert.deepEqual(parsePointer('/a~0b'), ['a~b']);
+  });
+
+  it('treats the root pointer as no tokens', () => {
+    assert.deepEqual(parsePointer(''), []);
+    assert.deepEqual(parsePointer('/'), []);
+  });
+});
+
+describe('removePointer', () => {
+  it('removes object keys and array elements in place', () => {
+    const document = { spec: { replicas: 2, containers: [{ name: 'a' }, { name: 'b' }] } };
+    removePointer(document, '/spec/replicas');
+    removePointer(document, '/spec/containers/0');
+    assert.deepEqual(document, { spec: { containers: [{ name: 'b' }] } });
+  });
+
+  it('ignores missing paths', () => {
+    const document = { spec: { replicas: 2 } };
+    removePointer(document, '/spec/template/metadata');
+    removePointer(document, '/spec/replicas/value');
+    removePointer(document, '/spec/containers/5');
+    assert.deepEqual(document, { spec: { replicas: 2 } });
+  });
+});
+
+describe('normalizeManifest', () => {
+  const live = {
+    kind: 'Deployment',
+    metadata: {
+      name: 'web',
+      uid: 'abc',
+      resourceVersion: '42',
+      managedFields: [{}],
+      annotations: { 'deployment.kubernetes.io/revision': '3' },
+      labels: { app: 'web' }
+    },
+    spec: { replicas: 2 },
+    status: { readyReplicas: 2 }
+  };
+
+  it('drops server-maintained fields and the empty maps they leave', () => {
+    assert.deepEqual(normalizeManifest(live), {
+      kind: 'Deployment',
+      metadata: { name: 'web', labels: { app: 'web' } },
+      spec: { replicas: 2 }
+    });
+  });
+
+  it('drops ignored paths without modifying the original', () => {
+    const normalized = normalizeManifest(live, ['/spec/replicas', '/metadata/labels/app']);
+    assert.deepEqual(normalized, { kind: 'Deployment', metadata: { name: 'web' }, spec: {} });
+    assert.equal(live.spec.replicas, 2);
+  });
+
+  it('returns null for a missing manifest', () => {
+    assert.equal(normalizeManifest(null), null);
+  });
+});
+
+describe('diffValues', () => {
+  it('reports added, removed and replaced values as JSON pointers', () => {
+    const changes = diffValues(
+      { image: 'web:1', env: { A: '1', B: '2' } },
+      { image: 'web:2', env: { A: '1', 'C/D': '3' } }
+    );
+    assert.deepEqual(changes, [
+      { path: '/env/B', op: 'remove', live: '2' },
+      { path: '/env/C~1D', op: 'add', target: '3' },
+      { path: '/image', op: 'replace', live: 'web:1', target: 'web:2' }
+    ]);
+  });
+
+  it('compares arrays element by element', () => {
+    assert.deepEqual(diffValues({ ports: [80, 443] }, { ports: [80] }), [
+      { path: '/ports/1', op: 'remove', live: 443 }
+    ]);
+  });
+
+  it('returns no changes for equal documents', () => {
+    assert.deepEqual(diffValues({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }), []);
+  });
+
+  it('reports a whole-document change at the root', () => {
+    assert.deepEqual(diffValues(undefined, { a: 1 }), [{ path: '/', op: 'add', target: { a: 1 } }]);
+    assert.deepEqual(diffValues(1, 2), [{ path: '/', op: 'replace', live: 1, target: 2 }]);
+  });
+});
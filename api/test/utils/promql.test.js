@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeLabelValue, escapeRegex, checkParam, placeholders, renderQuery } = require('../../src/utils/promql');
+const promqlCatalog = require('../../src/services/promql-catalog');
+const { ValidationError, NotFoundError } = require('../../src/utils/errors');
+
+describe('escapeLabelValue', () => {
+  it('escapes quotes, backslashes and line breaks', () => {
+    assert.equal(escapeLabelValue('a"b'), 'a\\"b');
+    assert.equal(escapeLabelValue('a\\b'), 'a\\\\b');
+    assert.equal(escapeLabelValue('a\nb\rc'), 'a\\nb\\rc');
+  });
+
+  it('escapes backslashes before the quotes they would otherwise unescape', () => {
+    assert.equal(escapeLabelValue('\\"} or vector(1) #'), '\\\\\\"} or vector(1) #');
+  });
+
+  it('leaves regex metacharacters alone', () => {
+    assert.equal(escapeLabelValue('web.*|api'), 'web.*|api');
+  });
+});
+
+describe('escapeRegex', () => {
+  it('escapes every RE2 metacharacter', () => {
+    assert.equal(escapeRegex('.*+?^${}()|[]'), '\\\\.\\\\*\\\\+\\\\?\\\\^\\\\$\\\\{\\\\}\\\\(\\\\)\\\\|\\\\[\\\\]');
+  });
+
+  it('escapes quotes and newlines after the regex escapes', () => {
+    assert.equal(escapeRegex('a"\nb'), 'a\\"\\nb');
+  });
+
+  it('keeps a literal backslash literal through both layers', () => {
+    // \ -> \\ for the regex, then each backslash is doubled again for the string
+    assert.equal(escapeRegex('a\\b'), 'a\\\\\\\\b');
+  });
+});
+
+describe('checkParam', () => {
+  it('accepts label values up to 253 characters', () => {
+    assert.equal(checkParam({ type: 'label' }, 'x'.repeat(253)), null);
+    assert.match(checkParam({ type: 'label' }, 'x'.repeat(254)), /1-253 characters/);
+    assert.match(checkParam({ type: 'label' }, ''), /1-253 characters/);
+  });
+
+  it('accepts Prometheus durations only', () => {
+    assert.equal(checkParam({ type: 'duration' }, '5m'), null);
+    for (const value of ['0s', '5', '5m]', '5m) or vector(1', '1h\n']) {
+      assert.match(checkParam({ type: 'duration' }, value), /must be a duration/, value);
+    }
+  });
+
+  it('accepts finite numbers only', () => {
+    assert.equal(checkParam({ type: 'number' }, '0.95'), null);
+    for (const value of ['', ' ', 'Infinity', 'NaN', '1) or vector(1']) {
+      assert.equal(checkParam({ type: 'number' }, value), 'must be a number', value);
+    }
+  });
+
+  it('accepts declared enum values only', () => {
+    const param = { type: 'enum', values: ['firing', 'pending'] };
+    assert.equal(checkParam(param, 'firing'), null);
+    assert.equal(checkParam(param, 'firing"'), 'must be one of: firing, pending');
+  });
+
+  it('rejects repeated query parameters', () => {
+    assert.equal(checkParam({ type: 'label' }, ['a', 'b']), 'must be a single value');
+  });
+});
+
+describe('renderQuery', () => {
+  const template = 'up{namespace="{{namespace}}",pod=~"{{ pod }}.*"}[{{window}}] > {{threshold}}';
+  const params = [
+    { name: 'namespace', type: 'label', required: true },
+    { name: 'pod', type: 'regex', required: true },
+    { name: 'window', type: 'duration', default: '5m' },
+    { name: 'threshold', type: 'number', default: 0 }
+  ];
+
+  it('lists template placeholders', () => {
+    assert.deepEqual(placeholders(template), ['namespace', 'pod', 'window', 'threshold']);
+  });
+
+  it('substitutes escaped values and fills in defaults', () => {
+    const { query, params: used } = renderQuery(template, params, { namespace: 'apps"', pod: 'web.1' });
+    assert.equal(query, 'up{namespace="apps\\"",pod=~"web\\\\.1.*"}[5m] > 0');
+    assert.deepEqual(used, { namespace: 'apps"', pod: 'web.1', window: '5m', threshold: '0' });
+  });
+
+  it('keeps injected selectors inside the label value', () => {
+    const { query } = renderQuery(template, params, { namespace: 'a"} or up{x="', pod: 'web' });
+    assert.equal(query, 'up{namespace="a\\"} or up{x=\\"",pod=~"web.*"}[5m] > 0');
+  });
+
+  it('normalizes numbers', () => {
+    assert.match(renderQuery(template, params, { namespace: 'a', pod: 'b', threshold: '1e3' }).query, /> 1000$/);
+  });
+
+  it('rejects missing required and invalid parameters', () => {
+    assert.throws(() => renderQuery(template, params, { pod: 'web' }), ValidationError);
+    assert.throws(
+      () => renderQuery(template, params, { namespace: 'a', pod: 'b', window: '5m]' }),
+      /Validation failed for window/
+    );
+  });
+
+  it('rejects placeholders without a value', () => {
+    assert.throws(() => renderQuery('up{job="{{job}}"}', [{ name: 'job', type: 'label' }]), /is required by this query/);
+  });
+});
+
+describe('promqlCatalog.render', () => {
+  it('renders a catalog query with escaped parameters', () => {
+    const rendered = promqlCatalog.render('pod-cpu', { namespace: 'apps', deployment: 'web(1)' });
+    assert.match(rendered.query, /namespace="apps",pod=~"web\\\\\(1\\\\\)\.\*"/);
+    assert.equal(rendered.params.window, '5m');
+  });
+
+  it('rejects unknown queries and invalid values', () => {
+    assert.throws(() => promqlCatalog.render('no-such-query'), NotFoundError);
+    assert.throws(() => promqlCatalog.render('pod-cpu', { namespace: 'apps', deployment: 'web', window: '5 m' }), ValidationError);
+  });
+});
@@ -1,15 +1,24 @@
 import { lazy, Suspense, useState, useEffect } from 'react';
 import { BrowserRouter, Routes, Route, Navigate, NavLink, useLocation } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import Login from './pages/Login';
+import { api, onAuthChange } from './services/api';
 import './App.css';
 
 // Lazy load page components for code splitting
 const Applications = lazy(() => import('./pages/Applications'));
+const ApplicationDetail = lazy(() => import('./pages/ApplicationDetail'));
 const Pipelines = lazy(() => import('./pages/Pipelines'));
 const Analytics = lazy(() => import('./pages/Analytics'));
+const WorkflowMetrics = lazy(() => import('./pages/WorkflowMetrics'));
+const Alerts = lazy(() => import('./pages/Alerts'));
+const Audit = lazy(() => import('./pages/Audit'));
 
-function Navigation() {
+function Navigation({ user = null, onSignOut }) {
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const location = useLocation();
+  // The audit log spans every namespace and needs a global admin grant
+  const canReadAudit = !user || user.roles?.some(grant => grant.role === 'admin' && !grant.namespace);
 
   // Close mobile menu on route change
   useEffect(() => {
@@ -53,32 +62,105 @@ function Navigation() {
         <NavLink to="/analytics" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
           Analytics
         </NavLink>
+        <NavLink to="/alerts" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
+          Alerts
+        </NavLink>
+        {canReadAudit && (
+          <NavLink to="/audit" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
+            Audit
+          </NavLink>
+        )}
+        {user && !user.anonymous && (
+          <div className="nav-user">
+            <span className="nav-user-name" title={user.sub}>{user.name}</span>
+            <button className="nav-link nav-sign-out" onClick={onSignOut}>Sign out</button>
+          </div>
+        )}
       </div>
       {mobileMenuOpen && <div className="nav-overlay" onClick={() => setMobileMenuOpen(false)} />}
     </nav>
   );
 }
 
+Navigation.propTypes = {
+  user: PropTypes.shape({
+    sub: PropTypes.string,
+    name: PropTypes.string,
+    roles: PropTypes.arrayOf(PropTypes.shape({ role: PropTypes.string, namespace: PropTypes.string })),
+    anonymous: PropTypes.bool
+  }),
+  onSignOut: PropTypes.func.isRequired
+};
+
 function App() {
+  // 'checking' until /api/auth/me answers; a 401 there or later means signing in again
+  const [auth, setAuth] = useState({ status: 'checking', user: null, message: null });
+
+  useEffect(() => {
+    api.getCurrentUser()
+      .then(user => setAuth({ status: 'signed-in', user, message: null }))
+      .catch(err => setAuth(err.statusCode === 401
+        ? { status: 'signed-out', user: null, message: null }
+        // Pages report an unreachable API themselves
+        : { status: 'signed-in', user: null, message: null }));
+
+    return onAuthChange((token) => {
+      if (token) return;
+      setAuth(current => (current.status === 'signed-in'
+        ? { status: 'signed-out', user: null, message: 'Your session has expired. Sign in again to continue.' }
+        : current));
+    });
+  }, []);
+
+  const handleSignOut = () => {
+    setAuth({ status: 'signed-out', user: null, message: null });
+    api.setAuthToken(null);
+  };
+
+  let content;
+  if (auth.status === 'checking') {
+    content = (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading...</p>
+      </div>
+    );
+  } else if (auth.status === 'signed-out') {
+    content = (
+      <Login
+        message={auth.message}
+        onSignedIn={user => setAuth({ status: 'signed-in', user, message: null })}
+      />
+    );
+  } else {
+    content = (
+      <Suspense fallback={
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <p>Loading...</p>
+        </div>
+      }>
+        <Routes>
+          <Route path="/" element={<Navigate to="/applications" replace />} />
+          <Route path="/applications" element={<Applications />} />
+          <Route path="/applications/:id" element={<ApplicationDetail />} />
+          <Route path="/pipelines" element={<Pipelines />} />
+          <Route path="/analytics" element={<Analytics />} />
+          <Route path="/analytics/workflows/:workflowName" element={<WorkflowMetrics />} />
+          <Route path="/alerts" element={<Alerts />} />
+          <Route path="/audit" element={<Audit />} />
+        </Routes>
+      </Suspense>
+    );
+  }
+
   return (
     <BrowserRouter>
       <div className="app">
-        <Navigation />
+        <Navigation user={auth.user} onSignOut={handleSignOut} />
 
         <main className="main-content">
-          <Suspense fallback={
-            <div className="loading-container">
-              <div className="spinner"></div>
-              <p>Loading...</p>
-            </div>
-          }>
-            <Routes>
-              <Route path="/" element={<Navigate to="/applications" replace />} />
-              <Route path="/applications" element={<Applications />} />
-              <Route path="/pipelines" element={<Pipelines />} />
-              <Route path="/analytics" element={<Analytics />} />
-            </Routes>
-          </Suspense>
+          {content}
         </main>
       </div>
     </BrowserRouter>
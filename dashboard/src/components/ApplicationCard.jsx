@@ -1,10 +1,11 @@
-import { useState } from 'react';
 import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import OperationStatus from './OperationStatus';
 import './ApplicationCard.css';
 
-export default function ApplicationCard({ app, onSync }) {
-  const [syncing, setSyncing] = useState(false);
+const MAX_LISTED_ALERTS = 3;
 
+export default function ApplicationCard({ app, onSync, onDiff, operationKey = null, onDismissOperation }) {
   const getStatusColor = (status) => {
     if (!status) return 'var(--status-unknown)';
     const s = status.toLowerCase();
@@ -14,21 +15,14 @@ export default function ApplicationCard({ app, onSync }) {
     return 'var(--status-unknown)';
   };
 
+  // Silenced alerts are acknowledged, so only unsilenced ones are listed
+  const activeAlerts = (app.alerts?.items || []).filter(alert => !alert.silenced);
+  const firingAlerts = app.alerts?.firing || 0;
+
   const getDisplayStatus = () => {
     return app.argoCDStatus || 'Unknown';
   };
 
-  const handleSync = async () => {
-    if (syncing) return;
-
-    setSyncing(true);
-    try {
-      await onSync(app);
-    } finally {
-      setSyncing(false);
-    }
-  };
-
   return (
     <div className="app-card">
       <div className="app-card-header">
@@ -36,7 +30,9 @@ export default function ApplicationCard({ app, onSync }) {
           {app.name.substring(0, 2).toUpperCase()}
         </div>
         <div className="app-info">
-          <h3 className="app-name">{app.name}</h3>
+          <h3 className="app-name">
+            <Link to={`/applications/${app.id}`}>{app.name}</Link>
+          </h3>
           <p className="app-description">{app.description}</p>
         </div>
       </div>
@@ -66,27 +62,49 @@ export default function ApplicationCard({ app, onSync }) {
           >
             {getDisplayStatus()}
           </span>
+          {firingAlerts > 0 && (
+            <span className="status-badge alert-badge" title={`${firingAlerts} firing alert(s)`}>
+              {firingAlerts} firing
+            </span>
+          )}
         </div>
       </div>
 
-      <div className="app-card-footer">
-        <button
-          className={`sync-button ${syncing ? 'syncing' : ''}`}
-          onClick={handleSync}
-          disabled={syncing}
-        >
-          {syncing ? (
-            <>
-              <span className="sync-icon spinning">↻</span>
-              Syncing...
-            </>
-          ) : (
-            <>
-              <span className="sync-icon">↻</span>
-              Sync
-            </>
+      {activeAlerts.length > 0 && (
+        <ul className="app-alerts">
+          {activeAlerts.slice(0, MAX_LISTED_ALERTS).map((alert) => (
+            <li key={`${alert.name}-${alert.activeAt}`} className={`app-alert ${alert.state}`}>
+              <span className="app-alert-name">{alert.name}</span>
+              {alert.summary && <span className="app-alert-summary">{alert.summary}</span>}
+            </li>
+          ))}
+          {activeAlerts.length > MAX_LISTED_ALERTS && (
+            <li className="app-alert more">
+              <Link to={`/alerts?app=${app.id}`}>+{activeAlerts.length - MAX_LISTED_ALERTS} more</Link>
+            </li>
           )}
-        </button>
+        </ul>
+      )}
+
+      {operationKey && (
+        <OperationStatus
+          key={operationKey}
+          argocdApp={app.argocdApp}
+          operationPhase={app.argoCDOperationPhase}
+          onDismiss={onDismissOperation}
+        />
+      )}
+
+      <div className="app-card-footer">
+        <div className="app-card-actions">
+          <button className="sync-button" onClick={() => onSync(app)}>
+            <span className="sync-icon">↻</span>
+            Sync
+          </button>
+          <button className="diff-button" onClick={() => onDiff(app)}>
+            Diff
+          </button>
+        </div>
         <a
           href={app.github ? `https://github.com/${app.github.owner}/${app.github.repo}` : '#'}
           target="_blank"
@@ -110,10 +128,27 @@ ApplicationCard.propTypes = {
     argocdApp: PropTypes.string.isRequired,
     argoCDSyncStatus: PropTypes.string,
     argoCDStatus: PropTypes.string,
+    argoCDOperationPhase: PropTypes.string,
     github: PropTypes.shape({
       owner: PropTypes.string,
       repo: PropTypes.string,
     }),
+    alerts: PropTypes.shape({
+      firing: PropTypes.number,
+      pending: PropTypes.number,
+      silenced: PropTypes.number,
+      items: PropTypes.arrayOf(PropTypes.shape({
+        name: PropTypes.string,
+        state: PropTypes.string,
+        severity: PropTypes.string,
+        summary: PropTypes.string,
+        silenced: PropTypes.bool,
+        activeAt: PropTypes.string,
+      })),
+    }),
   }).isRequired,
   onSync: PropTypes.func.isRequired,
+  onDiff: PropTypes.func.isRequired,
+  operationKey: PropTypes.number,
+  onDismissOperation: PropTypes.func.isRequired,
 };
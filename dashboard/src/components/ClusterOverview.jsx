@@ -0,0 +1,108 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { api } from '../services/api';
+import { formatBytes } from '../utils/format';
+import './ClusterOverview.css';
+
+const RANGES = [
+  { value: '1h', label: 'Last hour' },
+  { value: '24h', label: 'Last 24 hours' },
+  { value: '7d', label: 'Last 7 days' }
+];
+
+const SPARK_WIDTH = 120;
+const SPARK_HEIGHT = 28;
+
+const formatNumber = (value, digits = 0) => (value === null || value === undefined ? '—' : Number(value.toFixed(digits)).toString());
+
+const TILES = [
+  {
+    title: 'Nodes',
+    signal: 'readyNodes',
+    format: (overview) => `${formatNumber(overview.readyNodes?.value)} / ${formatNumber(overview.totalNodes?.value)} ready`
+  },
+  { title: 'Disk Pressure', signal: 'diskPressureNodes', format: (overview) => `${formatNumber(overview.diskPressureNodes?.value)} nodes` },
+  { title: 'Filesystem', signal: 'filesystemUsage', format: (overview) => `${formatNumber(overview.filesystemUsage?.value, 1)}%` },
+  { title: 'Pods', signal: 'totalPods', format: (overview) => formatNumber(overview.totalPods?.value) },
+  { title: 'Pending Pods', signal: 'pendingPods', format: (overview) => formatNumber(overview.pendingPods?.value) },
+  { title: 'Restarts', signal: 'podRestarts', format: (overview) => `${formatNumber(overview.podRestarts?.value)} / h` },
+  { title: 'CPU', signal: 'cpuUsage', format: (overview) => `${formatNumber(overview.cpuUsage?.value, 2)} cores` },
+  { title: 'Memory', signal: 'memoryUsage', format: (overview) => formatBytes(overview.memoryUsage?.value) }
+];
+
+/**
+ * Dependency-free SVG sparkline of a [{ t, v }] series
+ */
+function Sparkline({ series }) {
+  if (series.length < 2) return null;
+
+  const values = series.map(point => point.v);
+  const min = Math.min(...values);
+  const spread = Math.max(...values) - min || 1;
+  const points = values
+    .map((value, index) => {
+      const x = (index / (values.length - 1)) * SPARK_WIDTH;
+      const y = SPARK_HEIGHT - 2 - ((value - min) / spread) * (SPARK_HEIGHT - 4);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+
+  return (
+    <svg className="cluster-sparkline" viewBox={`0 0 ${SPARK_WIDTH} ${SPARK_HEIGHT}`} preserveAspectRatio="none" aria-hidden="true">
+      <polyline points={points} fill="none" stroke="var(--accent-blue)" strokeWidth="1.5" strokeLinejoin="round" />
+    </svg>
+  );
+}
+
+Sparkline.propTypes = {
+  series: PropTypes.arrayOf(PropTypes.shape({ t: PropTypes.number, v: PropTypes.number })).isRequired
+};
+
+/**
+ * Cluster-wide Prometheus signals with sparklines over the selected range
+ */
+export default function ClusterOverview() {
+  const [range, setRange] = useState('1h');
+  // Latest response, tagged with the range it was loaded for
+  const [loaded, setLoaded] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    api.getClusterOverview(range)
+      .then(data => { if (!cancelled) setLoaded({ range, data }); })
+      .catch(() => { if (!cancelled) setLoaded({ range, data: { unavailable: true } }); });
+    return () => { cancelled = true; };
+  }, [range]);
+
+  const overview = loaded?.data || null;
+
+  return (
+    <section className={`cluster-overview ${loaded && loaded.range !== range ? 'loading' : ''}`}>
+      <div className="cluster-overview-header">
+        <h2>Cluster</h2>
+        <select value={range} onChange={(e) => setRange(e.target.value)} aria-label="Range">
+          {RANGES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+        </select>
+      </div>
+
+      {overview?.unavailable && (
+        <p className="cluster-overview-notice">Prometheus is unavailable; cluster signals are unknown.</p>
+      )}
+
+      <div className="cluster-overview-grid">
+        {TILES.map(tile => {
+          const signal = overview?.[tile.signal];
+          return (
+            <div key={tile.signal} className="cluster-tile" title={signal?.error || undefined}>
+              <span className="cluster-tile-title">{tile.title}</span>
+              <span className={`cluster-tile-value ${signal?.error ? 'error' : ''}`}>
+                {overview ? tile.format(overview) : '…'}
+              </span>
+              <Sparkline series={signal?.series || []} />
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
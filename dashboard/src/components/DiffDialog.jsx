@@ -0,0 +1,130 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { api } from '../services/api';
+import YamlDiff from './YamlDiff';
+import './DiffDialog.css';
+
+const resourceKey = (resource) => `${resource.group}/${resource.kind}/${resource.namespace || ''}/${resource.name}`;
+
+/**
+ * Pre-sync diff of an ArgoCD application: live versus target manifest of each
+ * managed resource, with the application's ignoreDifferences already applied
+ */
+export default function DiffDialog({ app, onClose }) {
+  const [diff, setDiff] = useState(null);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function loadDiff() {
+      try {
+        const data = await api.getArgoCDDiff(app.argocdApp);
+        setDiff(data);
+        const firstChanged = data.resources.find(resource => resource.status !== 'unchanged');
+        if (firstChanged) setSelectedKey(resourceKey(firstChanged));
+      } catch (err) {
+        setError(err.message);
+      }
+    }
+    loadDiff();
+  }, [app.argocdApp]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const changed = diff?.resources.filter(resource => resource.status !== 'unchanged') || [];
+  const selected = changed.find(resource => resourceKey(resource) === selectedKey);
+
+  return (
+    <div className="dialog-overlay" onClick={onClose}>
+      <div
+        className="dialog wide"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="diff-dialog-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="dialog-header">
+          <h2 id="diff-dialog-title">Diff {app.name}</h2>
+          <button type="button" className="dialog-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        <div className="dialog-body">
+          {!diff && !error && <p className="diff-note">Comparing live and target manifests...</p>}
+          {error && <div className="diff-error">Failed to load diff: {error}</div>}
+
+          {diff && (
+            <>
+              <p className="diff-summary">
+                {diff.summary.modified} modified · {diff.summary.added} added · {diff.summary.removed} removed · {diff.summary.unchanged} unchanged
+                {diff.ignoreDifferences.length > 0 && (
+                  <span className="diff-note"> · {diff.ignoreDifferences.length} ignoreDifferences rule(s) applied</span>
+                )}
+              </p>
+
+              {changed.length === 0 ? (
+                <p className="diff-note">Live state matches the target state</p>
+              ) : (
+                <div className="diff-layout">
+                  <ul className="diff-resources">
+                    {changed.map(resource => (
+                      <li key={resourceKey(resource)}>
+                        <button
+                          type="button"
+                          className={resourceKey(resource) === selectedKey ? 'active' : ''}
+                          onClick={() => setSelectedKey(resourceKey(resource))}
+                        >
+                          <span className={`diff-status ${resource.status}`}>{resource.status}</span>
+                          <span className="diff-resource-kind">{resource.kind}</span>
+                          <span className="diff-resource-name">{resource.name}</span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+
+                  <div className="diff-detail">
+                    {selected && (
+                      <>
+                        {selected.ignoredPointers.length > 0 && (
+                          <p className="diff-note">Ignored: {selected.ignoredPointers.join(', ')}</p>
+                        )}
+                        {selected.unsupportedRules > 0 && (
+                          <p className="diff-note">
+                            {selected.unsupportedRules} rule(s) using jqPathExpressions could not be applied
+                          </p>
+                        )}
+                        <YamlDiff
+                          before={selected.live}
+                          after={selected.target}
+                          beforeLabel="Live"
+                          afterLabel="Target"
+                        />
+                      </>
+                    )}
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="dialog-footer">
+          <button type="button" className="dialog-button" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+DiffDialog.propTypes = {
+  app: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    argocdApp: PropTypes.string.isRequired
+  }).isRequired,
+  onClose: PropTypes.func.isRequired
+};
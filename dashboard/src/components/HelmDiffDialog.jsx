@@ -0,0 +1,168 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { api } from '../services/api';
+import YamlDiff from './YamlDiff';
+import './DiffDialog.css';
+import './HelmDiffDialog.css';
+
+const SECTIONS = [
+  { value: 'values', label: 'Values' },
+  { value: 'computedValues', label: 'Computed values' },
+  { value: 'manifests', label: 'Manifests' }
+];
+
+const resourceKey = (resource) => `${resource.kind}/${resource.namespace || ''}/${resource.name || resource.source}`;
+
+/**
+ * Diff between two Helm revisions: user values, computed values and rendered manifests
+ * With onRollback it doubles as the rollback confirmation, showing what the rollback reverts
+ */
+export default function HelmDiffDialog({ namespace, release, from, to, onClose, onRollback = null }) {
+  const [diff, setDiff] = useState(null);
+  const [section, setSection] = useState('values');
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function loadDiff() {
+      try {
+        const data = await api.getHelmDiff(namespace, release, from, to);
+        setDiff(data);
+        const firstChanged = data.manifests.resources.find(resource => resource.status !== 'unchanged');
+        if (firstChanged) setSelectedKey(resourceKey(firstChanged));
+      } catch (err) {
+        setError(err.message);
+      }
+    }
+    loadDiff();
+  }, [namespace, release, from, to]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const fromLabel = `Revision ${from}`;
+  const toLabel = `Revision ${to}`;
+  const changedResources = diff?.manifests.resources.filter(resource => resource.status !== 'unchanged') || [];
+  const selected = changedResources.find(resource => resourceKey(resource) === selectedKey);
+
+  const changeCount = (value) => (value === 'manifests'
+    ? changedResources.length
+    : diff?.[value].changes.length || 0);
+
+  return (
+    <div className="dialog-overlay" onClick={onClose}>
+      <div
+        className="dialog wide"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="helm-diff-dialog-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="dialog-header">
+          <h2 id="helm-diff-dialog-title">{release}: revision {from} → {to}</h2>
+          <button type="button" className="dialog-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        <div className="dialog-body">
+          {!diff && !error && <p className="diff-note">Comparing revisions...</p>}
+          {error && <div className="diff-error">Failed to load diff: {error}</div>}
+
+          {diff && (
+            <>
+              <p className="diff-summary">
+                {diff.from.chart} → {diff.to.chart}
+                {diff.from.app_version !== diff.to.app_version && ` · app ${diff.from.app_version || '—'} → ${diff.to.app_version || '—'}`}
+              </p>
+
+              <div className="helm-diff-sections" role="tablist">
+                {SECTIONS.map(s => (
+                  <button
+                    key={s.value}
+                    type="button"
+                    role="tab"
+                    aria-selected={section === s.value}
+                    className={section === s.value ? 'active' : ''}
+                    onClick={() => setSection(s.value)}
+                  >
+                    {s.label} <span className="helm-diff-count">{changeCount(s.value)}</span>
+                  </button>
+                ))}
+              </div>
+
+              {section !== 'manifests' && (
+                <YamlDiff
+                  before={diff[section].from}
+                  after={diff[section].to}
+                  beforeLabel={fromLabel}
+                  afterLabel={toLabel}
+                />
+              )}
+
+              {section === 'manifests' && (
+                <>
+                  <p className="diff-summary">
+                    {diff.manifests.summary.modified} modified · {diff.manifests.summary.added} added · {diff.manifests.summary.removed} removed · {diff.manifests.summary.unchanged} unchanged
+                  </p>
+                  {changedResources.length === 0 ? (
+                    <p className="diff-note">The rendered manifests are identical</p>
+                  ) : (
+                    <div className="diff-layout">
+                      <ul className="diff-resources">
+                        {changedResources.map(resource => (
+                          <li key={resourceKey(resource)}>
+                            <button
+                              type="button"
+                              className={resourceKey(resource) === selectedKey ? 'active' : ''}
+                              onClick={() => setSelectedKey(resourceKey(resource))}
+                            >
+                              <span className={`diff-status ${resource.status}`}>{resource.status}</span>
+                              <span className="diff-resource-kind">{resource.kind || 'Document'}</span>
+                              <span className="diff-resource-name">{resource.name || resource.source}</span>
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                      <div className="diff-detail">
+                        {selected && (
+                          <YamlDiff
+                            before={selected.from}
+                            after={selected.to}
+                            beforeLabel={fromLabel}
+                            afterLabel={toLabel}
+                          />
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="dialog-footer">
+          <button type="button" className="dialog-button" onClick={onClose}>Close</button>
+          {onRollback && (
+            <button type="button" className="dialog-button danger" onClick={onRollback} disabled={!diff}>
+              Roll back to revision {to}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+HelmDiffDialog.propTypes = {
+  namespace: PropTypes.string.isRequired,
+  release: PropTypes.string.isRequired,
+  from: PropTypes.number.isRequired,
+  to: PropTypes.number.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onRollback: PropTypes.func
+};
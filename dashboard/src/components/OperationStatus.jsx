@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { api } from '../services/api';
+import './OperationStatus.css';
+
+const POLL_INTERVAL_MS = 2000;
+const ACTIVE_PHASES = ['Pending', 'Running', 'Terminating'];
+const MAX_LISTED_RESOURCES = 5;
+
+const resourceState = (resource) => resource.status || resource.hookPhase || 'Pending';
+
+// Failures first, then resources still in progress
+const resourceRank = (resource) => {
+  if (resource.status === 'SyncFailed' || resource.hookPhase === 'Failed') return 0;
+  if (!resource.status || resource.hookPhase === 'Running') return 1;
+  return 2;
+};
+
+/**
+ * Live progress of an application's ArgoCD operation
+ * Polls while the operation is active; a change of `operationPhase` (pushed by
+ * the event stream) restarts polling for operations started elsewhere
+ */
+export default function OperationStatus({ argocdApp, operationPhase = null, onDismiss }) {
+  const [operation, setOperation] = useState(null);
+  const [error, setError] = useState(null);
+  const [terminating, setTerminating] = useState(false);
+  const live = ACTIVE_PHASES.includes(operationPhase);
+
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+
+    async function poll() {
+      try {
+        const data = await api.getArgoCDOperation(argocdApp);
+        if (cancelled) return;
+        setOperation(data);
+        setError(null);
+        if (ACTIVE_PHASES.includes(data.phase)) {
+          timer = setTimeout(poll, POLL_INTERVAL_MS);
+        }
+      } catch (err) {
+        if (cancelled) return;
+        setError(err.message);
+        // Keep trying through transient failures, but not for applications without operations
+        if (err.statusCode !== 404) {
+          timer = setTimeout(poll, POLL_INTERVAL_MS * 5);
+        }
+      }
+    }
+    poll();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [argocdApp, live]);
+
+  const handleTerminate = async () => {
+    if (!window.confirm(`Terminate the running operation of ${argocdApp}?`)) return;
+    setTerminating(true);
+    try {
+      setOperation(await api.terminateArgoCDOperation(argocdApp));
+    } catch (err) {
+      setError(`Terminate failed: ${err.message}`);
+    } finally {
+      setTerminating(false);
+    }
+  };
+
+  if (!operation && !error) {
+    return <div className="operation-status"><span className="operation-phase">Loading operation...</span></div>;
+  }
+
+  const phase = operation?.phase || 'Unknown';
+  const active = ACTIVE_PHASES.includes(phase);
+  const progress = operation?.progress || { total: 0, completed: 0, failed: 0 };
+  const percent = progress.total > 0 ? Math.min(100, Math.round((progress.completed / progress.total) * 100)) : 0;
+  const resources = (operation?.resources || []).slice().sort((a, b) => resourceRank(a) - resourceRank(b));
+
+  return (
+    <div className={`operation-status ${phase.toLowerCase()}`}>
+      <div className="operation-header">
+        <span className="operation-phase">
+          {operation?.dryRun ? 'Dry run ' : 'Sync '}{phase.toLowerCase()}
+        </span>
+        {progress.total > 0 && (
+          <span className="operation-count">
+            {progress.completed}/{progress.total} resources
+            {progress.failed > 0 && `, ${progress.failed} failed`}
+          </span>
+        )}
+        <div className="operation-actions">
+          {phase === 'Running' && (
+            <button type="button" className="operation-terminate" onClick={handleTerminate} disabled={terminating}>
+              {terminating ? 'Terminating...' : 'Terminate'}
+            </button>
+          )}
+          <button type="button" className="operation-dismiss" onClick={onDismiss} aria-label="Dismiss">×</button>
+        </div>
+      </div>
+
+      {active && (
+        <div className="operation-progress" role="progressbar" aria-valuenow={percent} aria-valuemin={0} aria-valuemax={100}>
+          <div className="operation-progress-bar" style={{ width: `${percent}%` }} />
+        </div>
+      )}
+
+      {operation?.message && <p className="operation-message">{operation.message}</p>}
+      {error && <p className="operation-error">{error}</p>}
+
+      {resources.length > 0 && (
+        <ul className="operation-resources">
+          {resources.slice(0, MAX_LISTED_RESOURCES).map(resource => (
+            <li key={`${resource.group}/${resource.kind}/${resource.namespace || ''}/${resource.name}/${resource.hookPhase || ''}`}>
+              <span className={`operation-resource-state ${resourceState(resource).toLowerCase()}`}>
+                {resourceState(resource)}
+              </span>
+              <span className="operation-resource-name">{resource.kind}/{resource.name}</span>
+              {resource.status === 'SyncFailed' && resource.message && (
+                <span className="operation-resource-message">{resource.message}</span>
+              )}
+            </li>
+          ))}
+          {resources.length > MAX_LISTED_RESOURCES && (
+            <li className="operation-more">+{resources.length - MAX_LISTED_RESOURCES} more</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+OperationStatus.propTypes = {
+  argocdApp: PropTypes.string.isRequired,
+  operationPhase: PropTypes.string,
+  onDismiss: PropTypes.func.isRequired
+};
@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+import { api } from '../services/api';
+import './RateLimitWarning.css';
+
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Banner shown while the API's GitHub quota is nearly exhausted
+ * GitHub data may be stale until the quota resets
+ */
+export default function RateLimitWarning() {
+  const [rateLimit, setRateLimit] = useState(null);
+
+  useEffect(() => {
+    async function loadRateLimit() {
+      setRateLimit(await api.getGitHubRateLimit());
+    }
+
+    loadRateLimit();
+    const interval = setInterval(loadRateLimit, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  if (!rateLimit?.low) {
+    return null;
+  }
+
+  const lowTokens = rateLimit.tokens.filter(token => token.low || token.blocked);
+  const resetAt = lowTokens
+    .map(token => token.blockedUntil || token.resetAt)
+    .filter(Boolean)
+    .sort()[0];
+
+  return (
+    <div className="rate-limit-warning" role="alert">
+      <strong>GitHub API quota is nearly exhausted.</strong>
+      {' '}
+      {lowTokens.map(token => `${token.token}: ${token.remaining ?? 0}/${token.limit ?? '?'} left`).join(', ')}.
+      {' '}
+      Pipeline data may be stale
+      {resetAt ? ` until ${new Date(resetAt).toLocaleTimeString()}` : ''}.
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import './ResourceTree.css';
+
+const isHealthy = (node) => !node.health || node.health.status === 'Healthy';
+const isSynced = (node) => !node.sync || node.sync === 'Synced';
+const hasProblem = (node) => !isHealthy(node) || !isSynced(node) || node.requiresPruning;
+
+/**
+ * Group nodes under their owners; nodes whose owners are not in the tree are roots
+ */
+function buildTree(nodes) {
+  const byUid = new Map(nodes.map(node => [node.uid, node]));
+  const children = new Map();
+  const roots = [];
+
+  for (const node of nodes) {
+    const parents = node.parents.filter(uid => byUid.has(uid));
+    if (parents.length === 0) {
+      roots.push(node);
+    }
+    for (const uid of parents) {
+      children.set(uid, [...(children.get(uid) || []), node]);
+    }
+  }
+
+  const byKindAndName = (a, b) => a.kind.localeCompare(b.kind) || a.name.localeCompare(b.name);
+  roots.sort(byKindAndName);
+  for (const list of children.values()) {
+    list.sort(byKindAndName);
+  }
+  return { roots, children };
+}
+
+function TreeNode({ node, childrenOf, visible }) {
+  const [expanded, setExpanded] = useState(true);
+  const children = (childrenOf.get(node.uid) || []).filter(child => visible.has(child.uid));
+
+  return (
+    <li className="resource-node">
+      <div className={`resource-row ${hasProblem(node) ? 'problem' : ''}`}>
+        <button
+          type="button"
+          className="resource-toggle"
+          onClick={() => setExpanded(!expanded)}
+          disabled={children.length === 0}
+          aria-label={expanded ? 'Collapse' : 'Expand'}
+        >
+          {children.length > 0 ? (expanded ? '▾' : '▸') : '•'}
+        </button>
+        <span className="resource-kind">{node.kind}</span>
+        <span className="resource-name" title={node.namespace ? `${node.namespace}/${node.name}` : node.name}>
+          {node.name}
+        </span>
+        {node.health && (
+          <span className={`resource-badge health-${node.health.status.toLowerCase()}`}>{node.health.status}</span>
+        )}
+        {node.sync && (
+          <span className={`resource-badge sync-${node.sync.toLowerCase()}`}>{node.sync}</span>
+        )}
+        {node.requiresPruning && <span className="resource-badge prune">Requires pruning</span>}
+        {node.orphaned && <span className="resource-badge orphaned">Orphaned</span>}
+      </div>
+      {node.health?.message && !isHealthy(node) && (
+        <div className="resource-message">{node.health.message}</div>
+      )}
+      {expanded && children.length > 0 && (
+        <ul className="resource-children">
+          {children.map(child => (
+            <TreeNode key={child.uid} node={child} childrenOf={childrenOf} visible={visible} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+TreeNode.propTypes = {
+  node: PropTypes.object.isRequired,
+  childrenOf: PropTypes.instanceOf(Map).isRequired,
+  visible: PropTypes.instanceOf(Set).isRequired
+};
+
+/**
+ * ArgoCD resource tree with the health and sync state of every resource
+ * "Problems only" keeps the unhealthy, out-of-sync or prunable resources and their owners
+ */
+export default function ResourceTree({ nodes }) {
+  const [problemsOnly, setProblemsOnly] = useState(false);
+  const { roots, children } = buildTree(nodes);
+
+  // A node is shown if it, or anything below it, has a problem
+  const visible = new Set();
+  const markVisible = (node) => {
+    const childVisible = (children.get(node.uid) || []).map(markVisible).some(Boolean);
+    const show = !problemsOnly || hasProblem(node) || childVisible;
+    if (show) visible.add(node.uid);
+    return show;
+  };
+  roots.forEach(markVisible);
+
+  const problemCount = nodes.filter(hasProblem).length;
+
+  return (
+    <div className="resource-tree">
+      <div className="resource-tree-toolbar">
+        <span className="resource-tree-summary">
+          {nodes.length} resources, {problemCount} with problems
+        </span>
+        <label className="resource-tree-filter">
+          <input type="checkbox" checked={problemsOnly} onChange={(e) => setProblemsOnly(e.target.checked)} />
+          Problems only
+        </label>
+      </div>
+      {visible.size === 0 ? (
+        <p className="resource-tree-empty">
+          {nodes.length === 0 ? 'No resources' : 'All resources are healthy and in sync'}
+        </p>
+      ) : (
+        <ul className="resource-children root">
+          {roots.filter(node => visible.has(node.uid)).map(node => (
+            <TreeNode key={node.uid} node={node} childrenOf={children} visible={visible} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+ResourceTree.propTypes = {
+  nodes: PropTypes.arrayOf(PropTypes.shape({
+    uid: PropTypes.string.isRequired,
+    kind: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    namespace: PropTypes.string,
+    parents: PropTypes.arrayOf(PropTypes.string).isRequired,
+    health: PropTypes.shape({
+      status: PropTypes.string,
+      message: PropTypes.string
+    }),
+    sync: PropTypes.string,
+    requiresPruning: PropTypes.bool,
+    orphaned: PropTypes.bool
+  })).isRequired
+};
@@ -0,0 +1,255 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { api } from '../services/api';
+import './SyncDialog.css';
+
+const SYNC_OPTIONS = [
+  { value: 'ApplyOutOfSyncOnly=true', label: 'Apply out of sync only' },
+  { value: 'CreateNamespace=true', label: 'Create namespace' },
+  { value: 'PruneLast=true', label: 'Prune last' },
+  { value: 'ServerSideApply=true', label: 'Server-side apply' },
+  { value: 'Replace=true', label: 'Replace' },
+  { value: 'RespectIgnoreDifferences=true', label: 'Respect ignore differences' }
+];
+
+const EMPTY_OPTIONS = { prune: false, force: false, revision: '', syncOptions: [] };
+
+const resourceKey = (resource) => `${resource.group}/${resource.kind}/${resource.namespace || ''}/${resource.name}`;
+
+/**
+ * Sync dialog for an ArgoCD application
+ * The chosen options are dry-run first; the real sync is only offered once the
+ * preview for exactly those options has come back
+ */
+export default function SyncDialog({ app, onClose, onSynced }) {
+  const [options, setOptions] = useState(EMPTY_OPTIONS);
+  const [resources, setResources] = useState([]);
+  const [selected, setSelected] = useState(new Set());
+  const [resourcesError, setResourcesError] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function loadResources() {
+      try {
+        const tree = await api.getResourceTree(app.argocdApp);
+        const managed = (tree?.nodes || []).filter(node => node.managed);
+        setResources(managed);
+        setSelected(new Set(managed.map(resourceKey)));
+      } catch (err) {
+        // Without the resource list the whole application is synced
+        setResourcesError(err.message);
+      }
+    }
+    loadResources();
+  }, [app.argocdApp]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && !busy) onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [busy, onClose]);
+
+  // Any change invalidates the preview, so the sync always matches what was previewed
+  const updateOptions = (changes) => {
+    setOptions({ ...options, ...changes });
+    setPreview(null);
+  };
+
+  const toggleSyncOption = (value) => {
+    updateOptions({
+      syncOptions: options.syncOptions.includes(value)
+        ? options.syncOptions.filter(option => option !== value)
+        : [...options.syncOptions, value]
+    });
+  };
+
+  const toggleResource = (key) => {
+    const next = new Set(selected);
+    if (next.has(key)) {
+      next.delete(key);
+    } else {
+      next.add(key);
+    }
+    setSelected(next);
+    setPreview(null);
+  };
+
+  const buildRequest = (dryRun) => ({
+    prune: options.prune,
+    force: options.force,
+    dryRun,
+    ...(options.revision.trim() ? { revision: options.revision.trim() } : {}),
+    ...(options.syncOptions.length > 0 ? { syncOptions: options.syncOptions } : {}),
+    // Only a partial selection is sent; otherwise the whole application is synced
+    ...(selected.size < resources.length ? {
+      resources: resources
+        .filter(resource => selected.has(resourceKey(resource)))
+        .map(({ group, kind, namespace, name }) => ({ group, kind, namespace, name }))
+    } : {})
+  });
+
+  const handlePreview = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      setPreview(await api.syncArgoCDApplication(app.argocdApp, buildRequest(true)));
+    } catch (err) {
+      setError(err.statusCode === 504
+        ? 'Dry run timed out before ArgoCD finished it, so there is no preview. Try again or check ArgoCD.'
+        : `Dry run failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSync = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await api.syncArgoCDApplication(app.argocdApp, buildRequest(false));
+      onSynced(result);
+      onClose();
+    } catch (err) {
+      setError(`Sync failed: ${err.message}`);
+      setBusy(false);
+    }
+  };
+
+  const previewSucceeded = preview?.phase === 'Succeeded';
+
+  return (
+    <div className="dialog-overlay" onClick={() => !busy && onClose()}>
+      <div
+        className="dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="sync-dialog-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="dialog-header">
+          <h2 id="sync-dialog-title">Sync {app.name}</h2>
+          <button type="button" className="dialog-close" onClick={onClose} disabled={busy} aria-label="Close">×</button>
+        </div>
+
+        <div className="dialog-body">
+          <div className="sync-section">
+            <label className="sync-field">
+              <span>Revision</span>
+              <input
+                type="text"
+                placeholder="Target revision (default: HEAD of the tracked branch)"
+                value={options.revision}
+                onChange={(e) => updateOptions({ revision: e.target.value })}
+                maxLength={255}
+              />
+            </label>
+            <div className="sync-checkboxes">
+              <label>
+                <input type="checkbox" checked={options.prune} onChange={(e) => updateOptions({ prune: e.target.checked })} />
+                Prune
+              </label>
+              <label>
+                <input type="checkbox" checked={options.force} onChange={(e) => updateOptions({ force: e.target.checked })} />
+                Force
+              </label>
+              {SYNC_OPTIONS.map(option => (
+                <label key={option.value}>
+                  <input
+                    type="checkbox"
+                    checked={options.syncOptions.includes(option.value)}
+                    onChange={() => toggleSyncOption(option.value)}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="sync-section">
+            <h3>Resources ({selected.size}/{resources.length})</h3>
+            {resourcesError && <p className="sync-note">Resource list unavailable, the whole application will be synced</p>}
+            {resources.length > 0 && (
+              <ul className="sync-resources">
+                {resources.map(resource => (
+                  <li key={resourceKey(resource)}>
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={selected.has(resourceKey(resource))}
+                        onChange={() => toggleResource(resourceKey(resource))}
+                      />
+                      <span className="sync-resource-kind">{resource.kind}</span>
+                      <span className="sync-resource-name">{resource.name}</span>
+                      {resource.sync && (
+                        <span className={`sync-resource-status ${resource.sync.toLowerCase()}`}>{resource.sync}</span>
+                      )}
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {preview && (
+            <div className="sync-section">
+              <h3>Dry run: <span className={`sync-phase ${preview.phase.toLowerCase()}`}>{preview.phase}</span></h3>
+              {preview.message && <p className="sync-note">{preview.message}</p>}
+              {preview.resources.length === 0 ? (
+                <p className="sync-note">No resources would change</p>
+              ) : (
+                <ul className="sync-preview">
+                  {preview.resources.map(resource => (
+                    <li key={`${resourceKey(resource)}-${resource.hookPhase || ''}`}>
+                      <span className={`sync-resource-status ${(resource.status || '').toLowerCase()}`}>
+                        {resource.status || '—'}
+                      </span>
+                      <span className="sync-resource-kind">{resource.kind}</span>
+                      <span className="sync-resource-name">{resource.name}</span>
+                      {resource.message && <span className="sync-preview-message">{resource.message}</span>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {error && <div className="sync-error">{error}</div>}
+        </div>
+
+        <div className="dialog-footer">
+          <button type="button" className="dialog-button" onClick={onClose} disabled={busy}>Cancel</button>
+          <button
+            type="button"
+            className="dialog-button"
+            onClick={handlePreview}
+            disabled={busy || selected.size === 0}
+          >
+            {busy && !preview ? 'Running dry run...' : 'Dry run'}
+          </button>
+          <button
+            type="button"
+            className="dialog-button primary"
+            onClick={handleSync}
+            disabled={busy || !previewSucceeded}
+            title={previewSucceeded ? '' : 'Run a successful dry run with these options first'}
+          >
+            Sync
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+SyncDialog.propTypes = {
+  app: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    argocdApp: PropTypes.string.isRequired
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSynced: PropTypes.func.isRequired
+};
@@ -0,0 +1,149 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import './TrendChart.css';
+
+const WIDTH = 600;
+const HEIGHT = 180;
+const PADDING = { top: 12, right: 12, bottom: 24, left: 44 };
+const MAX_TOOLTIP_RUNS = 8;
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+/**
+ * Dependency-free SVG line chart of one metric over time buckets
+ * Hovering a point lists the runs behind it, unless showRuns is false
+ */
+export default function TrendChart({
+  title,
+  series,
+  valueKey,
+  unit = '',
+  color = 'var(--accent-blue)',
+  selectRuns = runs => runs,
+  describeRun = run => `${run.name} (${run.repo}) – ${run.conclusion || 'in progress'}`,
+  formatLabel = formatDate,
+  showRuns = true
+}) {
+  const [hovered, setHovered] = useState(null);
+
+  const values = series.map(point => point[valueKey] ?? 0);
+  const max = Math.max(...values, 0) || 1;
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const step = series.length > 1 ? plotWidth / (series.length - 1) : 0;
+
+  const x = (index) => PADDING.left + (series.length > 1 ? index * step : plotWidth / 2);
+  const y = (value) => PADDING.top + plotHeight - (value / max) * plotHeight;
+
+  const line = values.map((value, index) => `${x(index)},${y(value)}`).join(' ');
+  const area = `${x(0)},${y(0)} ${line} ${x(values.length - 1)},${y(0)}`;
+  const latest = values.length > 0 ? values[values.length - 1] : 0;
+
+  const hoveredPoint = hovered !== null ? series[hovered] : null;
+  const hoveredRuns = hoveredPoint ? selectRuns(hoveredPoint.items || []) : [];
+
+  return (
+    <div className="trend-chart">
+      <div className="trend-chart-header">
+        <h3>{title}</h3>
+        <span className="trend-chart-latest">{latest}{unit}</span>
+      </div>
+
+      <div className="trend-chart-plot" onMouseLeave={() => setHovered(null)}>
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={`${title} over time`}>
+          {[0, 0.5, 1].map(ratio => (
+            <g key={ratio}>
+              <line
+                className="trend-chart-grid"
+                x1={PADDING.left}
+                x2={WIDTH - PADDING.right}
+                y1={y(max * ratio)}
+                y2={y(max * ratio)}
+              />
+              <text className="trend-chart-axis" x={PADDING.left - 6} y={y(max * ratio) + 4} textAnchor="end">
+                {Number((max * ratio).toFixed(2))}
+              </text>
+            </g>
+          ))}
+
+          {series.length > 0 && (
+            <>
+              <polygon points={area} fill={color} opacity="0.12" />
+              <polyline points={line} fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" />
+              <text className="trend-chart-axis" x={x(0)} y={HEIGHT - 6} textAnchor="start">
+                {formatLabel(series[0].start)}
+              </text>
+              <text className="trend-chart-axis" x={x(series.length - 1)} y={HEIGHT - 6} textAnchor="end">
+                {formatLabel(series[series.length - 1].start)}
+              </text>
+            </>
+          )}
+
+          {values.map((value, index) => (
+            <circle
+              key={series[index].start}
+              cx={x(index)}
+              cy={y(value)}
+              r={hovered === index ? 5 : 3}
+              fill={color}
+            />
+          ))}
+
+          {/* Hover targets span the full height around each point */}
+          {series.map((point, index) => (
+            <rect
+              key={point.start}
+              className="trend-chart-target"
+              x={x(index) - Math.max(step, 8) / 2}
+              y={PADDING.top}
+              width={Math.max(step, 8)}
+              height={plotHeight}
+              onMouseEnter={() => setHovered(index)}
+            />
+          ))}
+        </svg>
+
+        {hoveredPoint && (
+          <div
+            className={`trend-chart-tooltip ${hovered > series.length / 2 ? 'left' : ''}`}
+            style={{ left: `${(x(hovered) / WIDTH) * 100}%` }}
+          >
+            <div className="trend-chart-tooltip-title">
+              {formatLabel(hoveredPoint.start)}: {values[hovered]}{unit}
+            </div>
+            {showRuns && hoveredRuns.length === 0 && <div className="trend-chart-tooltip-empty">No runs</div>}
+            {showRuns && (
+              <ul>
+                {hoveredRuns.slice(0, MAX_TOOLTIP_RUNS).map(run => (
+                  <li key={run.id} className={run.conclusion || ''}>
+                    {describeRun(run)}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {showRuns && hoveredRuns.length > MAX_TOOLTIP_RUNS && (
+              <div className="trend-chart-tooltip-more">
+                and {hoveredRuns.length - MAX_TOOLTIP_RUNS} more
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+TrendChart.propTypes = {
+  title: PropTypes.string.isRequired,
+  series: PropTypes.arrayOf(PropTypes.shape({
+    start: PropTypes.string.isRequired,
+    items: PropTypes.array
+  })).isRequired,
+  valueKey: PropTypes.string.isRequired,
+  unit: PropTypes.string,
+  color: PropTypes.string,
+  selectRuns: PropTypes.func,
+  describeRun: PropTypes.func,
+  formatLabel: PropTypes.func,
+  showRuns: PropTypes.bool
+};
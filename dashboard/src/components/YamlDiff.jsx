@@ -0,0 +1,116 @@
+import { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { sideBySide } from '../utils/diff';
+import './YamlDiff.css';
+
+/**
+ * Collapse runs of unchanged rows further than `context` rows from a change
+ */
+function withContext(rows, context) {
+  const changed = rows.map(row => row.left?.type !== 'equal' || row.right?.type !== 'equal');
+  const visible = rows.map((_, index) =>
+    changed.slice(Math.max(0, index - context), index + context + 1).some(Boolean)
+  );
+
+  const result = [];
+  for (let index = 0; index < rows.length; index++) {
+    if (visible[index]) {
+      result.push(rows[index]);
+      continue;
+    }
+    const start = index;
+    while (index + 1 < rows.length && !visible[index + 1]) index++;
+    result.push({ collapsed: index - start + 1, key: `collapsed-${start}` });
+  }
+  return result;
+}
+
+function DiffCell({ cell }) {
+  if (!cell) {
+    return (
+      <>
+        <td className="yaml-diff-number" />
+        <td className="yaml-diff-line empty" />
+      </>
+    );
+  }
+  return (
+    <>
+      <td className="yaml-diff-number">{cell.number}</td>
+      <td className={`yaml-diff-line ${cell.type}`}>{cell.text}</td>
+    </>
+  );
+}
+
+DiffCell.propTypes = {
+  cell: PropTypes.shape({
+    number: PropTypes.number,
+    text: PropTypes.string,
+    type: PropTypes.oneOf(['equal', 'remove', 'add'])
+  })
+};
+
+/**
+ * Side-by-side diff of two YAML (or any line-based) documents
+ */
+export default function YamlDiff({ before, after, beforeLabel = 'Before', afterLabel = 'After', context = 3 }) {
+  const [showAll, setShowAll] = useState(false);
+  const rows = useMemo(() => sideBySide(before, after), [before, after]);
+  const identical = rows.every(row => row.left?.type === 'equal');
+  const displayed = showAll ? rows : withContext(rows, context);
+
+  if (identical) {
+    return <p className="yaml-diff-empty">No differences</p>;
+  }
+
+  return (
+    <div className="yaml-diff">
+      <div className="yaml-diff-toolbar">
+        <label>
+          <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+          Show unchanged lines
+        </label>
+      </div>
+      <div className="yaml-diff-scroll">
+        <table className="yaml-diff-table">
+          <colgroup>
+            <col className="yaml-diff-number-col" />
+            <col />
+            <col className="yaml-diff-number-col" />
+            <col />
+          </colgroup>
+          <thead>
+            <tr>
+              <th colSpan={2}>{beforeLabel}</th>
+              <th colSpan={2}>{afterLabel}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {displayed.map((row, index) => row.collapsed ? (
+              <tr key={row.key} className="yaml-diff-collapsed">
+                <td colSpan={4}>
+                  <button type="button" onClick={() => setShowAll(true)}>
+                    {row.collapsed} unchanged line{row.collapsed === 1 ? '' : 's'}
+                  </button>
+                </td>
+              </tr>
+            ) : (
+              <tr key={index}>
+                <DiffCell cell={row.left} />
+                <DiffCell cell={row.right} />
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+YamlDiff.propTypes = {
+  before: PropTypes.string.isRequired,
+  after: PropTypes.string.isRequired,
+  beforeLabel: PropTypes.string,
+  afterLabel: PropTypes.string,
+  context: PropTypes.number
+};
@@ -0,0 +1,289 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { api } from '../services/api';
+import './Alerts.css';
+
+const STATES = [
+  { value: '', label: 'Firing and pending' },
+  { value: 'firing', label: 'Firing' },
+  { value: 'pending', label: 'Pending' }
+];
+
+const DURATIONS = [
+  { value: '1h', label: '1 hour' },
+  { value: '2h', label: '2 hours' },
+  { value: '8h', label: '8 hours' },
+  { value: '1d', label: '1 day' },
+  { value: '7d', label: '7 days' }
+];
+
+const EMPTY_SILENCE_FORM = { duration: '2h', comment: '' };
+
+const formatSince = (timestamp) => {
+  const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+  if (minutes < 60) return `${Math.max(minutes, 0)}m`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h`;
+  return `${Math.floor(minutes / (24 * 60))}d`;
+};
+
+const formatMatcher = (matcher) => {
+  const operator = `${matcher.isEqual === false ? '!' : '='}${matcher.isRegex ? '~' : ''}`;
+  return `${matcher.name}${operator}"${matcher.value}"`;
+};
+
+// A silence made from an alert matches exactly that alert's label set
+const matchersFor = (alert) => Object.entries(alert.labels)
+  .map(([name, value]) => ({ name, value, isRegex: false, isEqual: true }));
+
+export default function Alerts() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const state = searchParams.get('state') || '';
+  const app = searchParams.get('app') || '';
+
+  const [alerts, setAlerts] = useState([]);
+  const [silences, setSilences] = useState([]);
+  const [silencesError, setSilencesError] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [silencing, setSilencing] = useState(null);
+  const [silenceForm, setSilenceForm] = useState(EMPTY_SILENCE_FORM);
+  const [actionMessage, setActionMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await api.getAlerts({ state, app });
+      setAlerts(data?.alerts || []);
+      setError(null);
+
+      if (data?.silences?.available) {
+        const silenceData = await api.getSilences('active');
+        setSilences(silenceData?.silences || []);
+        setSilencesError(null);
+      } else {
+        setSilences([]);
+        setSilencesError(data?.silences?.error || 'Alertmanager is unavailable');
+      }
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching alerts:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [state, app]);
+
+  useEffect(() => {
+    fetchAlerts();
+  }, [fetchAlerts]);
+
+  const updateParam = (field) => (e) => {
+    const next = new URLSearchParams(searchParams);
+    if (e.target.value) {
+      next.set(field, e.target.value);
+    } else {
+      next.delete(field);
+    }
+    setSearchParams(next);
+  };
+
+  const alertKey = (alert) => `${alert.name}-${JSON.stringify(alert.labels)}`;
+
+  const openSilenceForm = (alert) => {
+    setSilencing(alertKey(alert));
+    setSilenceForm({ ...EMPTY_SILENCE_FORM, comment: alert.summary || '' });
+  };
+
+  const handleCreateSilence = async (e, alert) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await api.createSilence({
+        matchers: matchersFor(alert),
+        duration: silenceForm.duration,
+        comment: silenceForm.comment
+      });
+      setActionMessage({ type: 'success', text: `Silenced ${alert.name} for ${silenceForm.duration}` });
+      setSilencing(null);
+      await fetchAlerts();
+    } catch (err) {
+      setActionMessage({ type: 'error', text: `Failed to silence ${alert.name}: ${err.message}` });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExpire = async (silence) => {
+    setBusy(true);
+    try {
+      await api.expireSilence(silence.id);
+      setActionMessage({ type: 'success', text: 'Silence expired' });
+      await fetchAlerts();
+    } catch (err) {
+      setActionMessage({ type: 'error', text: `Failed to expire silence: ${err.message}` });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const firingCount = alerts.filter(alert => alert.state === 'firing' && !alert.silenced).length;
+
+  return (
+    <div className="alerts-page">
+      <div className="page-header">
+        <h1>Alerts</h1>
+        <p className="page-subtitle">
+          {loading ? 'Loading alerts...' : `${firingCount} firing, ${alerts.length} total`}
+        </p>
+      </div>
+
+      <div className="alerts-filters">
+        <select value={state} onChange={updateParam('state')} aria-label="State">
+          {STATES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+        </select>
+        <input
+          key={app}
+          type="text"
+          placeholder="Application id"
+          defaultValue={app}
+          onBlur={updateParam('app')}
+          onKeyDown={(e) => e.key === 'Enter' && updateParam('app')(e)}
+          aria-label="Application"
+        />
+        <button type="button" className="alerts-button" onClick={fetchAlerts} disabled={loading}>
+          ↻ Refresh
+        </button>
+      </div>
+
+      {actionMessage && (
+        <div className={`alerts-message ${actionMessage.type}`}>
+          {actionMessage.text}
+          <button type="button" onClick={() => setActionMessage(null)} aria-label="Dismiss">×</button>
+        </div>
+      )}
+
+      {loading && (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <p>Loading alerts...</p>
+        </div>
+      )}
+
+      {!loading && error && <div className="error-container">Error: {error}</div>}
+
+      {!loading && !error && alerts.length === 0 && (
+        <div className="empty-state">
+          <p>No alerts match these filters</p>
+        </div>
+      )}
+
+      {!loading && !error && alerts.length > 0 && (
+        <div className="alerts-table-wrapper">
+          <table className="alerts-table">
+            <thead>
+              <tr>
+                <th>State</th>
+                <th>Alert</th>
+                <th>Application</th>
+                <th>Severity</th>
+                <th>Active for</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {alerts.map((alert) => (
+                <tr key={alertKey(alert)} className={alert.silenced ? 'silenced' : ''}>
+                  <td>
+                    <span className={`alert-state ${alert.silenced ? 'silenced' : alert.state}`}>
+                      {alert.silenced ? 'silenced' : alert.state}
+                    </span>
+                  </td>
+                  <td>
+                    <div className="alert-name">{alert.name}</div>
+                    {alert.summary && <div className="alert-summary">{alert.summary}</div>}
+                    {silencing === alertKey(alert) && (
+                      <form className="silence-form" onSubmit={(e) => handleCreateSilence(e, alert)}>
+                        <div className="silence-matchers">
+                          {matchersFor(alert).map(m => <code key={m.name}>{formatMatcher(m)}</code>)}
+                        </div>
+                        <select
+                          value={silenceForm.duration}
+                          onChange={(e) => setSilenceForm({ ...silenceForm, duration: e.target.value })}
+                          aria-label="Duration"
+                        >
+                          {DURATIONS.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+                        </select>
+                        <input
+                          type="text"
+                          placeholder="Reason"
+                          value={silenceForm.comment}
+                          onChange={(e) => setSilenceForm({ ...silenceForm, comment: e.target.value })}
+                          maxLength={500}
+                          required
+                          aria-label="Reason"
+                        />
+                        <button type="submit" className="alerts-button primary" disabled={busy}>Silence</button>
+                        <button type="button" className="alerts-button" onClick={() => setSilencing(null)}>
+                          Cancel
+                        </button>
+                      </form>
+                    )}
+                  </td>
+                  <td>{alert.application ? alert.application.name : '—'}</td>
+                  <td className={`alert-severity ${alert.severity || ''}`}>{alert.severity || '—'}</td>
+                  <td className="alert-since" title={new Date(alert.activeAt).toLocaleString()}>
+                    {formatSince(alert.activeAt)}
+                  </td>
+                  <td>
+                    {!alert.silenced && silencing !== alertKey(alert) && !silencesError && (
+                      <button type="button" className="alerts-button" onClick={() => openSilenceForm(alert)}>
+                        Silence
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {!loading && !error && (
+        <section className="silences-section">
+          <h2>Active silences</h2>
+          {silencesError && <div className="alerts-message error">Silences unavailable: {silencesError}</div>}
+          {!silencesError && silences.length === 0 && (
+            <div className="empty-state">
+              <p>No active silences</p>
+            </div>
+          )}
+          {silences.length > 0 && (
+            <ul className="silence-list">
+              {silences.map((silence) => (
+                <li key={silence.id} className="silence-item">
+                  <div className="silence-details">
+                    <div className="silence-matchers">
+                      {silence.matchers.map(m => <code key={`${m.name}-${m.value}`}>{formatMatcher(m)}</code>)}
+                    </div>
+                    <div className="silence-meta">
+                      {silence.createdBy} · until {new Date(silence.endsAt).toLocaleString()}
+                      {silence.comment && ` · ${silence.comment}`}
+                    </div>
+                  </div>
+                  <button
+                    type="button"
+                    className="alerts-button"
+                    onClick={() => handleExpire(silence)}
+                    disabled={busy}
+                  >
+                    Expire
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+    </div>
+  );
+}
@@ -1,38 +1,35 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import { api } from '../services/api';
+import { formatWorkflowName } from '../utils/format';
+import RateLimitWarning from '../components/RateLimitWarning';
+import TrendChart from '../components/TrendChart';
 import './Analytics.css';
 
+// Longer periods are bucketed by week to keep the charts readable
+const PERIODS = [
+  { days: 7, bucket: 'day', label: 'Last 7 days' },
+  { days: 30, bucket: 'day', label: 'Last 30 days' },
+  { days: 90, bucket: 'week', label: 'Last 90 days' }
+];
+
+const deploymentRuns = runs => runs.filter(run => run.deployment);
+const recoveredRuns = runs => runs.filter(run => run.recovery !== null);
+
 function Analytics() {
   const [metrics, setMetrics] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [period, setPeriod] = useState(PERIODS[1]);
 
-  useEffect(() => {
-    fetchMetrics();
-  }, []);
-
-  // Format workflow name - extract friendly name from path if needed
-  const formatWorkflowName = (name) => {
-    // If name looks like a file path (.github/workflows/...), extract friendly name
-    if (name.includes('.github/workflows/') || name.includes('.yml') || name.includes('.yaml')) {
-      // Extract filename without extension
-      const filename = name.split('/').pop().replace(/\.(yml|yaml)$/, '');
-      // Convert kebab-case or snake_case to Title Case
-      const formatted = filename
-        .split(/[-_]/)
-        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-        .join(' ');
-
-      // Special case for brand names
-      return formatted.replace(/\bFirebook\b/g, 'FireBook');
-    }
-    return name;
-  };
-
-  const fetchMetrics = async () => {
+  const fetchMetrics = useCallback(async () => {
     try {
       setLoading(true);
-      const data = await api.getAnalyticsMetrics();
+      const data = await api.getAnalyticsMetrics({
+        days: period.days,
+        bucket: period.bucket,
+        includeRuns: true
+      });
       setMetrics(data);
       setError(null);
     } catch (err) {
@@ -41,9 +38,18 @@ function Analytics() {
     } finally {
       setLoading(false);
     }
+  }, [period]);
+
+  useEffect(() => {
+    fetchMetrics();
+  }, [fetchMetrics]);
+
+  const handlePeriodChange = (e) => {
+    setPeriod(PERIODS.find(p => String(p.days) === e.target.value));
   };
 
-  if (loading) {
+  // Keep showing the current metrics while another period loads
+  if (loading && !metrics) {
     return (
       <div className="analytics-container">
         <h1>DevOps Analytics</h1>
@@ -81,13 +87,17 @@ function Analytics() {
       <div className="analytics-header">
         <h1>DevOps Analytics</h1>
         <div className="period-info">
-          <span>Period: {metrics.period}</span>
-          <button onClick={fetchMetrics} className="refresh-button">
-            ↻ Refresh
+          <select value={period.days} onChange={handlePeriodChange} aria-label="Period" disabled={loading}>
+            {PERIODS.map(p => <option key={p.days} value={p.days}>{p.label}</option>)}
+          </select>
+          <button onClick={fetchMetrics} className="refresh-button" disabled={loading}>
+            {loading ? 'Loading…' : '↻ Refresh'}
           </button>
         </div>
       </div>
 
+      <RateLimitWarning />
+
       <div className="metrics-grid">
         {/* Pipeline Success Rate */}
         <div className="metric-card primary">
@@ -140,7 +150,10 @@ function Analytics() {
               {metrics.leadTimeForChanges}h
             </div>
             <div className="metric-details">
-              Time from commit to deployment
+              Median time from commit to ArgoCD deployment
+              {metrics.leadTime && ` (${metrics.leadTime.aggregate.commits} commits, p90 ${metrics.leadTime.aggregate.p90}h)`}
+              {metrics.leadTime?.aggregate.truncatedDeployments > 0 &&
+                `; ${metrics.leadTime.aggregate.truncatedDeployments} deployments spanned more commits than GitHub lists, so their commits are partly counted`}
             </div>
           </div>
         </div>
@@ -174,13 +187,94 @@ function Analytics() {
         </div>
       </div>
 
+      {/* Trends */}
+      {metrics.series?.length > 0 && (
+        <div className="workflow-breakdown">
+          <h2>Trends</h2>
+          <div className="trends-grid">
+            <TrendChart
+              title="Deployment Frequency"
+              series={metrics.series}
+              valueKey="deploymentFrequency"
+              unit="/day"
+              color="var(--accent-blue)"
+              selectRuns={deploymentRuns}
+            />
+            <TrendChart
+              title="Change Failure Rate"
+              series={metrics.series}
+              valueKey="changeFailureRate"
+              unit="%"
+              color="var(--status-degraded)"
+              selectRuns={deploymentRuns}
+            />
+            <TrendChart
+              title="Pipeline Duration"
+              series={metrics.series}
+              valueKey="avgDuration"
+              unit="h"
+              color="var(--status-healthy)"
+              describeRun={run => `${run.name} (${run.repo}) – ${run.duration ?? '—'}h`}
+            />
+            <TrendChart
+              title="MTTR"
+              series={metrics.series}
+              valueKey="mttr"
+              unit="h"
+              color="var(--status-progressing)"
+              selectRuns={recoveredRuns}
+              describeRun={run => `${run.name} (${run.repo}) – recovered in ${run.recovery}h`}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Lead Time by Application */}
+      {metrics.leadTime?.applications.some(app => app.deployments > 0) && (
+        <div className="workflow-breakdown">
+          <h2>Lead Time by Application</h2>
+          <div className="workflow-grid">
+            {metrics.leadTime.applications
+              .filter(app => app.deployments > 0)
+              .map(app => (
+                <div key={app.id} className="workflow-card">
+                  <h4>{app.name}</h4>
+                  <div className="workflow-stats">
+                    <div className="stat">
+                      <span className="stat-label">Median:</span>
+                      <span className="stat-value">{app.median}h</span>
+                    </div>
+                    <div className="stat">
+                      <span className="stat-label">p90:</span>
+                      <span className="stat-value">{app.p90}h</span>
+                    </div>
+                    <div className="stat">
+                      <span className="stat-label">Deployments:</span>
+                      <span className="stat-value">{app.deployments}</span>
+                    </div>
+                    <div className="stat">
+                      <span className="stat-label">Commits:</span>
+                      <span className="stat-value">{app.commits}</span>
+                    </div>
+                  </div>
+                </div>
+              ))}
+          </div>
+        </div>
+      )}
+
       {/* Workflow Breakdown */}
       {metrics.workflowStats && Object.keys(metrics.workflowStats).length > 0 && (
         <div className="workflow-breakdown">
           <h2>Workflow Breakdown</h2>
           <div className="workflow-grid">
             {Object.entries(metrics.workflowStats).map(([name, stats]) => (
-              <div key={name} className="workflow-card">
+              <Link
+                key={name}
+                to={`/analytics/workflows/${encodeURIComponent(name)}`}
+                className="workflow-card workflow-card-link"
+                title="View duration percentiles, queue time and slowest runs"
+              >
                 <h4>{formatWorkflowName(name)}</h4>
                 <div className="workflow-stats">
                   <div className="stat">
@@ -202,7 +296,7 @@ function Analytics() {
                     </span>
                   </div>
                 </div>
-              </div>
+              </Link>
             ))}
           </div>
         </div>
@@ -0,0 +1,726 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import DiffDialog from '../components/DiffDialog';
+import HelmDiffDialog from '../components/HelmDiffDialog';
+import OperationStatus from '../components/OperationStatus';
+import ResourceTree from '../components/ResourceTree';
+import SyncDialog from '../components/SyncDialog';
+import TrendChart from '../components/TrendChart';
+import { api } from '../services/api';
+import { formatBytes, formatWorkflowName, shortSha } from '../utils/format';
+import './ApplicationDetail.css';
+
+const TABS = [
+  { value: 'overview', label: 'Overview' },
+  { value: 'helm', label: 'Helm' },
+  { value: 'argocd', label: 'ArgoCD' },
+  { value: 'resources', label: 'Resources' },
+  { value: 'metrics', label: 'Metrics' },
+  { value: 'runs', label: 'Pipeline Runs' }
+];
+
+const RANGES = [
+  { value: '1h', label: 'Last hour' },
+  { value: '24h', label: 'Last 24 hours' },
+  { value: '7d', label: 'Last 7 days' }
+];
+
+const RECENT_RUNS = 20;
+
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : '—');
+const formatClock = (iso) => new Date(iso).toLocaleString(undefined, {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+/**
+ * Load data for a tab when it is first shown
+ * @returns {{data, loading, error, reload}}
+ */
+function useTabData(load) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      setLoading(true);
+      setData(await load());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [load]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { data, loading, error, reload };
+}
+
+function TabState({ loading, error, empty, children }) {
+  if (loading) {
+    return (
+      <div className="detail-loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+  if (error) return <div className="detail-error">Error: {error}</div>;
+  if (empty) return <div className="empty-state"><p>{empty}</p></div>;
+  return children;
+}
+
+TabState.propTypes = {
+  loading: PropTypes.bool.isRequired,
+  error: PropTypes.string,
+  empty: PropTypes.string,
+  children: PropTypes.node
+};
+
+function Field({ label, children }) {
+  return (
+    <div className="detail-field">
+      <span className="detail-label">{label}</span>
+      <span className="detail-value">{children}</span>
+    </div>
+  );
+}
+
+Field.propTypes = {
+  label: PropTypes.string.isRequired,
+  children: PropTypes.node
+};
+
+function OverviewTab({ status }) {
+  const { argocd, helm, metrics, alerts, latestRun } = status;
+
+  return (
+    <div className="detail-grid">
+      <section className="detail-card">
+        <h2>ArgoCD</h2>
+        {argocd ? (
+          <>
+            <Field label="Health">{argocd.health || '—'}</Field>
+            <Field label="Sync">{argocd.sync || '—'}</Field>
+            <Field label="Revision"><code>{shortSha(argocd.revision)}</code></Field>
+            <Field label="Last operation">{argocd.operationPhase || '—'}</Field>
+            <Field label="Reconciled">{formatTime(argocd.reconciledAt)}</Field>
+            <Field label="Images">
+              {argocd.images.length > 0
+                ? argocd.images.map(image => <code key={image} className="detail-image">{image}</code>)
+                : '—'}
+            </Field>
+          </>
+        ) : <p className="detail-muted">ArgoCD status unavailable</p>}
+      </section>
+
+      <section className="detail-card">
+        <h2>Helm</h2>
+        {helm ? (
+          <>
+            <Field label="Release">{helm.release}</Field>
+            <Field label="Status">{helm.status}</Field>
+            <Field label="Revision">{helm.revision}</Field>
+            <Field label="Chart">{helm.chart}</Field>
+            <Field label="App version">{helm.appVersion || '—'}</Field>
+            <Field label="Updated">{formatTime(helm.updated)}</Field>
+          </>
+        ) : <p className="detail-muted">No Helm release found</p>}
+      </section>
+
+      <section className="detail-card">
+        <h2>Usage</h2>
+        {metrics ? (
+          <>
+            <Field label="CPU">{metrics.cpuCores !== null ? `${metrics.cpuCores.toFixed(3)} cores` : '—'}</Field>
+            <Field label="Memory">{formatBytes(metrics.memoryBytes)}</Field>
+          </>
+        ) : <p className="detail-muted">Metrics unavailable</p>}
+        {alerts && (
+          <Field label="Alerts">
+            <Link to={`/alerts?app=${status.id}`}>
+              {alerts.firing} firing, {alerts.pending} pending, {alerts.silenced} silenced
+            </Link>
+          </Field>
+        )}
+      </section>
+
+      <section className="detail-card">
+        <h2>Latest Pipeline Run</h2>
+        {latestRun ? (
+          <>
+            <Field label="Workflow">{formatWorkflowName(latestRun.name)}</Field>
+            <Field label="Result">{latestRun.conclusion || latestRun.status}</Field>
+            <Field label="Branch">{latestRun.headBranch}</Field>
+            <Field label="Commit"><code>{shortSha(latestRun.headSha)}</code></Field>
+            <Field label="Started">
+              <a href={latestRun.htmlUrl} target="_blank" rel="noopener noreferrer">
+                {formatTime(latestRun.createdAt)}
+              </a>
+            </Field>
+          </>
+        ) : <p className="detail-muted">No runs found</p>}
+      </section>
+    </div>
+  );
+}
+
+OverviewTab.propTypes = {
+  status: PropTypes.object.isRequired
+};
+
+function HelmTab({ namespace, release, currentRevision = null, onCompare }) {
+  const [selected, setSelected] = useState(null);
+  const [allValues, setAllValues] = useState(false);
+
+  const loadHistory = useCallback(
+    async () => (await api.getHelmHistory(namespace, release)).slice().reverse(),
+    [namespace, release]
+  );
+  const loadValues = useCallback(
+    () => api.getHelmValues(namespace, release, { revision: selected, all: allValues }),
+    [namespace, release, selected, allValues]
+  );
+  const history = useTabData(loadHistory);
+  const values = useTabData(loadValues);
+
+  return (
+    <div className="detail-stack">
+      <section className="detail-card">
+        <h2>Release History</h2>
+        <TabState loading={history.loading} error={history.error} empty={history.data?.length === 0 ? 'No revisions' : null}>
+          <div className="detail-table-wrapper">
+            <table className="detail-table">
+              <thead>
+                <tr>
+                  <th>Revision</th>
+                  <th>Updated</th>
+                  <th>Status</th>
+                  <th>Chart</th>
+                  <th>App version</th>
+                  <th>Description</th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.data?.map(entry => (
+                  <tr
+                    key={entry.revision}
+                    className={`selectable ${(selected ?? history.data[0].revision) === entry.revision ? 'selected' : ''}`}
+                    onClick={() => setSelected(entry.revision)}
+                  >
+                    <td className="detail-mono">{entry.revision}</td>
+                    <td className="detail-mono">{formatTime(entry.updated)}</td>
+                    <td>{entry.status}</td>
+                    <td>{entry.chart}</td>
+                    <td>{entry.app_version || '—'}</td>
+                    <td>{entry.description}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </TabState>
+      </section>
+
+      <section className="detail-card">
+        <div className="detail-card-header">
+          <h2>Values{selected ? ` (revision ${selected})` : ''}</h2>
+          <div className="detail-card-actions">
+            {currentRevision && selected && selected !== currentRevision && (
+              <button type="button" className="detail-button small" onClick={() => onCompare(selected)}>
+                Compare with current
+              </button>
+            )}
+            <label className="detail-toggle">
+              <input type="checkbox" checked={allValues} onChange={(e) => setAllValues(e.target.checked)} />
+              Include chart defaults
+            </label>
+          </div>
+        </div>
+        <TabState loading={values.loading} error={values.error}>
+          <pre className="detail-code">{JSON.stringify(values.data, null, 2)}</pre>
+        </TabState>
+      </section>
+    </div>
+  );
+}
+
+HelmTab.propTypes = {
+  namespace: PropTypes.string.isRequired,
+  release: PropTypes.string.isRequired,
+  currentRevision: PropTypes.number,
+  onCompare: PropTypes.func.isRequired
+};
+
+function ArgoCDTab({ argocdApp, onRollback, busy }) {
+  const loadHistory = useCallback(
+    async () => (await api.getArgoCDHistory(argocdApp)).slice().reverse(),
+    [argocdApp]
+  );
+  const history = useTabData(loadHistory);
+
+  return (
+    <section className="detail-card">
+      <h2>Sync History</h2>
+      <TabState loading={history.loading} error={history.error} empty={history.data?.length === 0 ? 'No syncs recorded' : null}>
+        <div className="detail-table-wrapper">
+          <table className="detail-table">
+            <thead>
+              <tr>
+                <th>ID</th>
+                <th>Deployed</th>
+                <th>Revision</th>
+                <th>Target</th>
+                <th>Initiated by</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.data?.map((entry, index) => (
+                <tr key={entry.id}>
+                  <td className="detail-mono">{entry.id}</td>
+                  <td className="detail-mono">{formatTime(entry.deployedAt)}</td>
+                  <td><code>{shortSha(entry.revision)}</code></td>
+                  <td>{entry.source?.targetRevision || '—'}</td>
+                  <td>{entry.initiatedBy?.automated ? 'automated' : entry.initiatedBy?.username || '—'}</td>
+                  <td>
+                    {/* The newest entry is what is deployed; pruned entries cannot be restored */}
+                    {index > 0 && entry.retained && (
+                      <button
+                        type="button"
+                        className="detail-button small"
+                        onClick={() => onRollback(entry)}
+                        disabled={busy}
+                      >
+                        Rollback to this
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </TabState>
+    </section>
+  );
+}
+
+ArgoCDTab.propTypes = {
+  argocdApp: PropTypes.string.isRequired,
+  onRollback: PropTypes.func.isRequired,
+  busy: PropTypes.bool
+};
+
+function ResourcesTab({ argocdApp }) {
+  const loadTree = useCallback(() => api.getResourceTree(argocdApp), [argocdApp]);
+  const tree = useTabData(loadTree);
+
+  return (
+    <section className="detail-card">
+      <div className="detail-card-header">
+        <h2>Resources</h2>
+        <button type="button" className="detail-button" onClick={tree.reload} disabled={tree.loading}>
+          ↻ Refresh
+        </button>
+      </div>
+      <TabState loading={tree.loading} error={tree.error}>
+        <ResourceTree nodes={tree.data?.nodes || []} />
+      </TabState>
+    </section>
+  );
+}
+
+ResourcesTab.propTypes = {
+  argocdApp: PropTypes.string.isRequired
+};
+
+/**
+ * Sum per-pod series into one point per timestamp, in chart series form
+ */
+function totalSeries(podSeries = [], scale = 1) {
+  const totals = new Map();
+  for (const { values } of podSeries) {
+    for (const { t, v } of values) {
+      totals.set(t, (totals.get(t) || 0) + v);
+    }
+  }
+  return [...totals.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([t, v]) => ({ start: new Date(t * 1000).toISOString(), value: Number((v * scale).toFixed(3)) }));
+}
+
+function MetricsTab({ namespace, deployment }) {
+  const [range, setRange] = useState('1h');
+  const loadMetrics = useCallback(
+    () => api.getMetrics(namespace, deployment, range),
+    [namespace, deployment, range]
+  );
+  const metrics = useTabData(loadMetrics);
+
+  const pods = new Map();
+  for (const sample of metrics.data?.cpu || []) {
+    pods.set(sample.metric.pod, { cpu: Number(sample.value[1]), memory: null });
+  }
+  for (const sample of metrics.data?.memory || []) {
+    pods.set(sample.metric.pod, { ...(pods.get(sample.metric.pod) || { cpu: null }), memory: Number(sample.value[1]) });
+  }
+
+  return (
+    <div className="detail-stack">
+      <div className="detail-toolbar">
+        <select value={range} onChange={(e) => setRange(e.target.value)} aria-label="Range">
+          {RANGES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+        </select>
+      </div>
+      <TabState loading={metrics.loading} error={metrics.error} empty={pods.size === 0 ? 'No metrics for this deployment' : null}>
+        <div className="detail-grid">
+          <TrendChart
+            title="CPU"
+            series={totalSeries(metrics.data?.series?.cpu)}
+            valueKey="value"
+            unit=" cores"
+            formatLabel={formatClock}
+            showRuns={false}
+          />
+          <TrendChart
+            title="Memory"
+            series={totalSeries(metrics.data?.series?.memory, 1 / (1024 * 1024))}
+            valueKey="value"
+            unit=" MiB"
+            color="var(--status-progressing)"
+            formatLabel={formatClock}
+            showRuns={false}
+          />
+        </div>
+        <section className="detail-card">
+          <h2>Pods</h2>
+          <div className="detail-table-wrapper">
+            <table className="detail-table">
+              <thead>
+                <tr>
+                  <th>Pod</th>
+                  <th>CPU (cores)</th>
+                  <th>Memory</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...pods.entries()].map(([pod, usage]) => (
+                  <tr key={pod}>
+                    <td className="detail-mono">{pod}</td>
+                    <td>{usage.cpu !== null ? usage.cpu.toFixed(3) : '—'}</td>
+                    <td>{formatBytes(usage.memory)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      </TabState>
+    </div>
+  );
+}
+
+MetricsTab.propTypes = {
+  namespace: PropTypes.string.isRequired,
+  deployment: PropTypes.string.isRequired
+};
+
+function RunsTab({ github }) {
+  const loadRuns = useCallback(
+    async () => (await api.getRecentRuns(`${github.owner}/${github.repo}`, RECENT_RUNS)).workflow_runs,
+    [github.owner, github.repo]
+  );
+  const runs = useTabData(loadRuns);
+
+  return (
+    <section className="detail-card">
+      <h2>Recent Runs of {github.owner}/{github.repo}</h2>
+      <TabState loading={runs.loading} error={runs.error} empty={runs.data?.length === 0 ? 'No runs found' : null}>
+        <div className="detail-table-wrapper">
+          <table className="detail-table">
+            <thead>
+              <tr>
+                <th>Workflow</th>
+                <th>Result</th>
+                <th>Branch</th>
+                <th>Commit</th>
+                <th>Started</th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.data?.map(run => (
+                <tr key={run.id}>
+                  <td>
+                    <a href={run.html_url} target="_blank" rel="noopener noreferrer">
+                      {formatWorkflowName(run.name)}
+                    </a>
+                  </td>
+                  <td>
+                    <span className={`detail-run ${run.conclusion || run.status}`}>
+                      {run.conclusion || run.status}
+                    </span>
+                  </td>
+                  <td>{run.head_branch}</td>
+                  <td><code>{shortSha(run.head_sha)}</code></td>
+                  <td className="detail-mono">{formatTime(run.created_at)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </TabState>
+    </section>
+  );
+}
+
+RunsTab.propTypes = {
+  github: PropTypes.shape({
+    owner: PropTypes.string.isRequired,
+    repo: PropTypes.string.isRequired
+  }).isRequired
+};
+
+export default function ApplicationDetail() {
+  const { id } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tab = searchParams.get('tab') || 'overview';
+
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [actionMessage, setActionMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [syncOpen, setSyncOpen] = useState(false);
+  const [diffOpen, setDiffOpen] = useState(false);
+  // Helm revision compared with the current one, offered as rollback target
+  const [helmDiffRevision, setHelmDiffRevision] = useState(null);
+  // Set when this page starts an ArgoCD operation; a new key restarts tracking
+  const [operationKey, setOperationKey] = useState(null);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      setLoading(true);
+      setStatus(await api.getApplicationStatus(id));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const selectTab = (value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value === 'overview') {
+      next.delete('tab');
+    } else {
+      next.set('tab', value);
+    }
+    setSearchParams(next);
+  };
+
+  const runAction = async (label, action) => {
+    setBusy(true);
+    try {
+      await action();
+      setActionMessage({ type: 'success', text: `${label} started` });
+      await fetchStatus();
+    } catch (err) {
+      setActionMessage({ type: 'error', text: `${label} failed: ${err.message}` });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+
+  // Confirmed from the revision diff, which shows what the rollback reverts
+  const handleHelmRollback = (revision) => {
+    setHelmDiffRevision(null);
+    runAction('Rollback', () => api.rollbackHelmRelease(status.namespace, status.helm.release, revision));
+  };
+
+  // Automated sync would undo the rollback, so the API refuses until the user agrees to pause it
+  const handleArgoCDRollback = (entry) => {
+    if (!window.confirm(`Roll back ${status.argocdApp} to history entry ${entry.id} (${shortSha(entry.revision)})?`)) return;
+    runAction('Rollback', async () => {
+      try {
+        await api.rollbackArgoCDApplication(status.argocdApp, entry.id);
+      } catch (err) {
+        if (err.details?.reason !== 'auto_sync_enabled') throw err;
+        if (!window.confirm(`${err.message}.\n\nPause auto-sync and roll back? Auto-sync stays off until it is resumed.`)) {
+          throw err;
+        }
+        await api.rollbackArgoCDApplication(status.argocdApp, entry.id, { pauseAutoSync: true });
+      }
+      setOperationKey(Date.now());
+    });
+  };
+
+  const handleResumeAutoSync = () => {
+    if (!window.confirm(`Resume auto-sync of ${status.argocdApp}? ArgoCD will sync back to the tracked revision, undoing the rollback.`)) return;
+    runAction('Auto-sync resume', async () => {
+      await api.resumeArgoCDAutoSync(status.argocdApp);
+      setOperationKey(Date.now());
+    });
+  };
+
+  if (loading && !status) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading application...</p>
+      </div>
+    );
+  }
+
+  if (error && !status) {
+    return (
+      <div className="application-detail">
+        <Link to="/applications" className="back-link">← Back to Applications</Link>
+        <div className="error-container">Error: {error}</div>
+      </div>
+    );
+  }
+
+  const helmRelease = status.helm?.release || status.argocdApp;
+
+  return (
+    <div className="application-detail">
+      <Link to="/applications" className="back-link">← Back to Applications</Link>
+
+      <div className="detail-header">
+        <div>
+          <h1>{status.name}</h1>
+          <p className="page-subtitle">{status.description}</p>
+          <div className="detail-badges">
+            <span className="detail-badge">{status.namespace}</span>
+            {status.argocd?.health && (
+              <span className={`detail-badge health-${status.argocd.health.toLowerCase()}`}>
+                {status.argocd.health}
+              </span>
+            )}
+            {status.argocd?.sync && <span className="detail-badge">{status.argocd.sync}</span>}
+            {status.argocd?.autoSyncPaused && (
+              <span className="detail-badge paused" title="Paused by a rollback">Auto-sync paused</span>
+            )}
+            {status.alerts?.firing > 0 && (
+              <span className="detail-badge alerting">{status.alerts.firing} firing</span>
+            )}
+          </div>
+        </div>
+
+        <div className="detail-actions">
+          <button type="button" className="detail-button primary" onClick={() => setSyncOpen(true)} disabled={busy}>
+            ↻ Sync
+          </button>
+          {status.argocd?.autoSyncPaused && (
+            <button type="button" className="detail-button" onClick={handleResumeAutoSync} disabled={busy}>
+              Resume auto-sync
+            </button>
+          )}
+          <button type="button" className="detail-button" onClick={() => setDiffOpen(true)}>
+            Diff
+          </button>
+          <button
+            type="button"
+            className="detail-button"
+            onClick={() => setHelmDiffRevision(status.helm.revision - 1)}
+            disabled={busy || !status.helm || status.helm.revision < 2}
+          >
+            Roll back Helm
+          </button>
+          <Link to={`/alerts?app=${status.id}`} className="detail-button">Alerts</Link>
+          <a
+            href={`https://github.com/${status.github.owner}/${status.github.repo}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="detail-button"
+          >
+            GitHub →
+          </a>
+        </div>
+      </div>
+
+      {actionMessage && (
+        <div className={`detail-message ${actionMessage.type}`}>
+          {actionMessage.text}
+          <button type="button" onClick={() => setActionMessage(null)} aria-label="Dismiss">×</button>
+        </div>
+      )}
+
+      {operationKey && (
+        <OperationStatus
+          key={operationKey}
+          argocdApp={status.argocdApp}
+          operationPhase={status.argocd?.operationPhase}
+          onDismiss={() => setOperationKey(null)}
+        />
+      )}
+
+      <div className="detail-tabs" role="tablist">
+        {TABS.map(t => (
+          <button
+            key={t.value}
+            type="button"
+            role="tab"
+            aria-selected={tab === t.value}
+            className={`detail-tab ${tab === t.value ? 'active' : ''}`}
+            onClick={() => selectTab(t.value)}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="detail-panel" role="tabpanel">
+        {tab === 'overview' && <OverviewTab status={status} />}
+        {tab === 'helm' && (
+          <HelmTab
+            namespace={status.namespace}
+            release={helmRelease}
+            currentRevision={status.helm?.revision}
+            onCompare={setHelmDiffRevision}
+          />
+        )}
+        {tab === 'argocd' && <ArgoCDTab argocdApp={status.argocdApp} onRollback={handleArgoCDRollback} busy={busy} />}
+        {tab === 'resources' && <ResourcesTab argocdApp={status.argocdApp} />}
+        {tab === 'metrics' && <MetricsTab namespace={status.namespace} deployment={status.argocdApp} />}
+        {tab === 'runs' && <RunsTab github={status.github} />}
+      </div>
+
+      {syncOpen && (
+        <SyncDialog
+          app={status}
+          onClose={() => setSyncOpen(false)}
+          onSynced={() => {
+            setActionMessage({ type: 'success', text: 'Sync started' });
+            setOperationKey(Date.now());
+            fetchStatus();
+          }}
+        />
+      )}
+
+      {diffOpen && <DiffDialog app={status} onClose={() => setDiffOpen(false)} />}
+
+      {helmDiffRevision && (
+        <HelmDiffDialog
+          namespace={status.namespace}
+          release={status.helm.release}
+          from={status.helm.revision}
+          to={helmDiffRevision}
+          onClose={() => setHelmDiffRevision(null)}
+          onRollback={busy ? null : () => handleHelmRollback(helmDiffRevision)}
+        />
+      )}
+    </div>
+  );
+}
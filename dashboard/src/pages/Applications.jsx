@@ -1,6 +1,10 @@
 import { useState, useEffect } from 'react';
 import ApplicationCard from '../components/ApplicationCard';
+import ClusterOverview from '../components/ClusterOverview';
+import DiffDialog from '../components/DiffDialog';
+import SyncDialog from '../components/SyncDialog';
 import { api } from '../services/api';
+import { subscribe, EVENT_TYPES } from '../services/events';
 import './Applications.css';
 
 export default function Applications() {
@@ -8,20 +12,20 @@ export default function Applications() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [syncMessage, setSyncMessage] = useState(null);
+  const [syncTarget, setSyncTarget] = useState(null);
+  const [diffTarget, setDiffTarget] = useState(null);
+  // Operation panels shown on cards, by ArgoCD app; a new key restarts tracking
+  const [trackedOperations, setTrackedOperations] = useState({});
 
   useEffect(() => {
     async function loadApplications() {
       try {
         setLoading(true);
 
-        // Fetch all data in parallel
-        let apps, argoCDApps, helmReleases;
+        // Statuses are merged server-side from ArgoCD, Helm, Prometheus and GitHub
+        let statusData;
         try {
-          [apps, argoCDApps, helmReleases] = await Promise.all([
-            api.getApplications(),
-            api.getArgoCDApplications(),
-            api.getHelmReleases()
-          ]);
+          statusData = await api.getApplicationStatuses();
         } catch (fetchError) {
           // Check if we got HTML instead of JSON (routing misconfiguration)
           if (fetchError.message?.includes('Unexpected token') ||
@@ -31,38 +35,26 @@ export default function Applications() {
           throw fetchError;
         }
 
-        // Validate apps response
-        if (apps === null || apps === undefined) {
+        // Validate status response
+        if (!Array.isArray(statusData?.applications)) {
           throw new Error('Failed to load applications data from API');
         }
 
-        // Merge status data
-        const releasesList = Array.isArray(helmReleases) ? helmReleases : [];
-        const argoList = Array.isArray(argoCDApps?.items) ? argoCDApps.items : (Array.isArray(argoCDApps) ? argoCDApps : []);
-
-        const appsList = Array.isArray(apps) ? apps : [];
-        const appsWithStatus = appsList.map(app => {
-          // Find matching ArgoCD app
-          const argoCDApp = argoList.find(
-            item => item.metadata?.name === app.argocdApp
-          );
-
-          // Find matching Helm release
-          const helmRelease = releasesList.find(
-            release => release.name === app.helmChart && release.namespace === app.namespace
-          );
-
-          return {
-            ...app,
-            argoCDStatus: argoCDApp?.status?.health?.status || null,
-            argoCDSyncStatus: argoCDApp?.status?.sync?.status || null,
-            helmStatus: helmRelease?.status || null,
-            helmRevision: helmRelease?.revision || null,
-            lastUpdated: argoCDApp?.status?.reconciledAt || helmRelease?.updated || null
-          };
-        });
+        const appsWithStatus = statusData.applications.map(app => ({
+          ...app,
+          argoCDStatus: app.argocd?.health || null,
+          argoCDSyncStatus: app.argocd?.sync || null,
+          argoCDOperationPhase: app.argocd?.operationPhase || null,
+          helmStatus: app.helm?.status || null,
+          helmRevision: app.helm?.revision || null
+        }));
 
         setApplications(appsWithStatus);
+        setTrackedOperations(Object.fromEntries(
+          appsWithStatus
+            .filter(app => app.argoCDOperationPhase === 'Running')
+            .map(app => [app.argocdApp, Date.now()])
+        ));
       } catch (err) {
         setError(err.message);
       } finally {
@@ -70,28 +62,51 @@ export default function Applications() {
       }
     }
     loadApplications();
-    const interval = setInterval(loadApplications, 15000); // Update every 15 seconds
-    return () => clearInterval(interval);
   }, []);
 
-  const handleSync = async (app) => {
-    try {
-      setSyncMessage({ type: 'info', text: `Syncing ${app.name}...` });
-
-      await api.syncArgoCDApplication(app.argocdApp);
-
-      setSyncMessage({ type: 'success', text: `Successfully synced ${app.name}` });
+  // Apply live ArgoCD, Helm and alert changes pushed by the API
+  useEffect(() => {
+    return subscribe({
+      [EVENT_TYPES.ARGOCD_APPLICATION]: (argoApp) => {
+        setApplications(apps => apps.map(app => (
+          app.argocdApp === argoApp.name
+            ? {
+              ...app,
+              argoCDStatus: argoApp.health,
+              argoCDSyncStatus: argoApp.sync,
+              argoCDOperationPhase: argoApp.operationPhase
+            }
+            : app
+        )));
+        // Operations started elsewhere (auto-sync, the ArgoCD UI) are tracked too
+        if (argoApp.operationPhase === 'Running') {
+          setTrackedOperations(tracked => (
+            tracked[argoApp.name] ? tracked : { ...tracked, [argoApp.name]: Date.now() }
+          ));
+        }
+      },
+      [EVENT_TYPES.APPLICATION_ALERTS]: ({ app: id, ...summary }) => {
+        setApplications(apps => apps.map(app => (app.id === id ? { ...app, alerts: summary } : app)));
+      },
+      [EVENT_TYPES.HELM_RELEASE]: (release) => {
+        setApplications(apps => apps.map(app => (
+          app.helm?.release === release.name && app.namespace === release.namespace
+            ? {
+              ...app,
+              helmStatus: release.status,
+              helmRevision: Number(release.revision),
+              lastUpdated: app.lastUpdated || release.updated
+            }
+            : app
+        )));
+      }
+    });
+  }, []);
 
-      // Reload applications after 2 seconds to show updated status
-      setTimeout(() => {
-        window.location.reload();
-      }, 2000);
-    } catch (err) {
-      setSyncMessage({
-        type: 'error',
-        text: `Failed to sync ${app.name}: ${err.message}`
-      });
-    }
+  // Progress is shown on the card until the operation finishes
+  const handleSynced = () => {
+    setSyncMessage({ type: 'success', text: `Sync started for ${syncTarget.name}` });
+    setTrackedOperations(tracked => ({ ...tracked, [syncTarget.argocdApp]: Date.now() }));
 
     // Clear message after 5 seconds
     setTimeout(() => {
@@ -99,6 +114,13 @@ export default function Applications() {
     }, 5000);
   };
 
+  const dismissOperation = (argocdApp) => {
+    setTrackedOperations(tracked => {
+      const { [argocdApp]: _dismissed, ...rest } = tracked;
+      return rest;
+    });
+  };
+
   if (loading) {
     return (
       <div className="loading-container">
@@ -127,11 +149,26 @@ export default function Applications() {
         </p>
       </div>
 
+      <ClusterOverview />
+
       <div className="applications-grid">
         {applications.map((app) => (
-          <ApplicationCard key={app.id} app={app} onSync={handleSync} />
+          <ApplicationCard
+            key={app.id}
+            app={app}
+            onSync={setSyncTarget}
+            onDiff={setDiffTarget}
+            operationKey={trackedOperations[app.argocdApp] || null}
+            onDismissOperation={() => dismissOperation(app.argocdApp)}
+          />
         ))}
       </div>
+
+      {syncTarget && (
+        <SyncDialog app={syncTarget} onClose={() => setSyncTarget(null)} onSynced={handleSynced} />
+      )}
+
+      {diffTarget && <DiffDialog app={diffTarget} onClose={() => setDiffTarget(null)} />}
     </div>
   );
 }
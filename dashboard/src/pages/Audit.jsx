@@ -0,0 +1,161 @@
+import { useState, useEffect } from 'react';
+import { api } from '../services/api';
+import './Audit.css';
+
+const ACTIONS = [
+  { value: '', label: 'All actions' },
+  { value: 'argocd.sync', label: 'ArgoCD sync' },
+  { value: 'argocd.rollback', label: 'ArgoCD rollback' },
+  { value: 'argocd.terminate', label: 'ArgoCD operation terminated' },
+  { value: 'argocd.resume-auto-sync', label: 'ArgoCD auto-sync resumed' },
+  { value: 'helm.rollback', label: 'Helm rollback' },
+  { value: 'github.workflow_dispatch', label: 'Workflow dispatch' },
+  { value: 'alertmanager.silence_create', label: 'Silence created' },
+  { value: 'alertmanager.silence_expire', label: 'Silence expired' }
+];
+
+const OUTCOMES = [
+  { value: '', label: 'All outcomes' },
+  { value: 'success', label: 'Success' },
+  { value: 'failure', label: 'Failure' },
+  { value: 'denied', label: 'Denied' }
+];
+
+const EMPTY_FILTERS = { action: '', outcome: '', app: '', actor: '', since: '' };
+
+export default function Audit() {
+  const [entries, setEntries] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function loadAuditLog() {
+      try {
+        setLoading(true);
+        const data = await api.getAuditLog({
+          ...appliedFilters,
+          since: appliedFilters.since ? new Date(appliedFilters.since).toISOString() : ''
+        });
+        setEntries(data?.entries || []);
+        setError(null);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+    loadAuditLog();
+  }, [appliedFilters]);
+
+  const handleChange = (field) => (e) => {
+    setFilters({ ...filters, [field]: e.target.value });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setAppliedFilters(filters);
+  };
+
+  const handleReset = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  const formatTarget = (target = {}) => {
+    const name = target.app || target.release || target.repo || target.silence || '—';
+    return target.namespace ? `${name} (${target.namespace})` : name;
+  };
+
+  return (
+    <div className="audit-page">
+      <div className="page-header">
+        <h1>Audit Log</h1>
+        <p className="page-subtitle">
+          Every sync, rollback and workflow dispatch, newest first
+        </p>
+      </div>
+
+      <form className="audit-filters" onSubmit={handleSubmit}>
+        <select value={filters.action} onChange={handleChange('action')} aria-label="Action">
+          {ACTIONS.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
+        </select>
+        <select value={filters.outcome} onChange={handleChange('outcome')} aria-label="Outcome">
+          {OUTCOMES.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+        <input
+          type="text"
+          placeholder="Application"
+          value={filters.app}
+          onChange={handleChange('app')}
+          aria-label="Application"
+        />
+        <input
+          type="text"
+          placeholder="Actor"
+          value={filters.actor}
+          onChange={handleChange('actor')}
+          aria-label="Actor"
+        />
+        <input
+          type="datetime-local"
+          value={filters.since}
+          onChange={handleChange('since')}
+          aria-label="Since"
+        />
+        <button type="submit" className="audit-button primary">Filter</button>
+        <button type="button" className="audit-button" onClick={handleReset}>Reset</button>
+      </form>
+
+      {loading && (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <p>Loading audit log...</p>
+        </div>
+      )}
+
+      {!loading && error && <div className="error-container">Error: {error}</div>}
+
+      {!loading && !error && entries.length === 0 && (
+        <div className="empty-state">
+          <p>No audit entries match these filters</p>
+        </div>
+      )}
+
+      {!loading && !error && entries.length > 0 && (
+        <div className="audit-table-wrapper">
+          <table className="audit-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Actor</th>
+                <th>Action</th>
+                <th>Target</th>
+                <th>Revision</th>
+                <th>Outcome</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry.id}>
+                  <td className="audit-time">{new Date(entry.timestamp).toLocaleString()}</td>
+                  <td>{entry.actor?.name || 'unknown'}</td>
+                  <td><code>{entry.action}</code></td>
+                  <td>{formatTarget(entry.target)}</td>
+                  <td className="audit-revision">{entry.revision ?? '—'}</td>
+                  <td>
+                    <span className={`audit-outcome ${entry.outcome}`} title={entry.error || ''}>
+                      {entry.outcome}
+                    </span>
+                    {entry.error && <div className="audit-error">{entry.error}</div>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { api } from '../services/api';
+import './Login.css';
+
+/**
+ * Sign-in with an API bearer token (an OIDC access token or a locally signed JWT)
+ * The token is checked against /api/auth/me before it is kept
+ */
+export default function Login({ onSignedIn, message = null }) {
+  const [token, setToken] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    api.setAuthToken(token.trim());
+    try {
+      onSignedIn(await api.getCurrentUser());
+    } catch (err) {
+      api.setAuthToken(null);
+      setError(err.statusCode === 401 ? `Token rejected: ${err.message}` : err.message);
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <div className="login-page">
+      <form className="login-card" onSubmit={handleSubmit}>
+        <h1>Sign in</h1>
+        <p className="login-hint">
+          Paste an API token issued by your identity provider. It is kept in this browser until you sign out
+          or it expires.
+        </p>
+        {message && !error && <div className="login-message">{message}</div>}
+        {error && <div className="login-error">{error}</div>}
+        <label htmlFor="login-token">Bearer token</label>
+        <textarea
+          id="login-token"
+          value={token}
+          onChange={(e) => setToken(e.target.value)}
+          rows={4}
+          spellCheck={false}
+          autoComplete="off"
+          required
+        />
+        <button type="submit" className="dialog-button primary" disabled={submitting || !token.trim()}>
+          {submitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+Login.propTypes = {
+  onSignedIn: PropTypes.func.isRequired,
+  message: PropTypes.string
+};
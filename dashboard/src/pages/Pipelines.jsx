@@ -1,7 +1,9 @@
 import { useState, useEffect } from 'react';
 import { api } from '../services/api';
+import { subscribe, EVENT_TYPES } from '../services/events';
 import WorkflowCard from '../components/WorkflowCard';
 import PipelineTimeline from '../components/PipelineTimeline';
+import RateLimitWarning from '../components/RateLimitWarning';
 import './Pipelines.css';
 
 export default function Pipelines() {
@@ -31,8 +33,17 @@ export default function Pipelines() {
     }
 
     loadPipelineData();
-    const interval = setInterval(loadPipelineData, 30000); // Update every 30 seconds
-    return () => clearInterval(interval);
+  }, []);
+
+  // Insert or update runs pushed by the API, keeping the 10 most recent
+  useEffect(() => {
+    return subscribe({
+      [EVENT_TYPES.GITHUB_RUN]: (run) => {
+        setRecentRuns(runs => [run, ...runs.filter(r => r.id !== run.id)]
+          .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+          .slice(0, 10));
+      }
+    });
   }, []);
 
   if (loading) {
@@ -61,6 +72,8 @@ export default function Pipelines() {
         </p>
       </div>
 
+      <RateLimitWarning />
+
       {/* Stats Overview */}
       <div className="pipeline-stats">
         <div className="stat-card">
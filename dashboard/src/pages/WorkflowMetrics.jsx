@@ -0,0 +1,206 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { api } from '../services/api';
+import { formatWorkflowName } from '../utils/format';
+import './Analytics.css';
+import './WorkflowMetrics.css';
+
+const PERIODS = [
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' },
+  { value: '90', label: 'Last 90 days' }
+];
+
+const formatMinutes = (minutes) => {
+  if (minutes === null || minutes === undefined) return '—';
+  return minutes >= 60 ? `${(minutes / 60).toFixed(1)}h` : `${minutes.toFixed(1)}m`;
+};
+
+function WorkflowMetrics() {
+  const { workflowName } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const days = searchParams.get('days') || '30';
+  const repo = searchParams.get('repo') || '';
+
+  const [metrics, setMetrics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchMetrics = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await api.getWorkflowMetrics(workflowName, { days, repo, bucket: days === '90' ? 'week' : 'day' });
+      setMetrics(data);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching workflow metrics:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [workflowName, days, repo]);
+
+  useEffect(() => {
+    fetchMetrics();
+  }, [fetchMetrics]);
+
+  const updateParam = (field) => (e) => {
+    const next = new URLSearchParams(searchParams);
+    if (e.target.value) {
+      next.set(field, e.target.value);
+    } else {
+      next.delete(field);
+    }
+    setSearchParams(next);
+  };
+
+  const title = formatWorkflowName(workflowName);
+
+  return (
+    <div className="analytics-container">
+      <Link to="/analytics" className="back-link">← Back to Analytics</Link>
+
+      <div className="analytics-header">
+        <h1>{title}</h1>
+        <div className="period-info">
+          <select value={days} onChange={updateParam('days')} aria-label="Period">
+            {PERIODS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+          </select>
+          {(metrics?.repositories.length > 1 || repo) && (
+            <select value={repo} onChange={updateParam('repo')} aria-label="Repository">
+              <option value="">All repositories</option>
+              {[...new Set([...(metrics?.repositories || []), ...(repo ? [repo] : [])])].map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          )}
+          <button onClick={fetchMetrics} className="refresh-button">
+            ↻ Refresh
+          </button>
+        </div>
+      </div>
+
+      {loading && <div className="loading">Loading workflow metrics...</div>}
+
+      {!loading && error && (
+        <div className="error">
+          <h3>Error loading workflow metrics</h3>
+          <p>{error}</p>
+          <button onClick={fetchMetrics} className="retry-button">
+            Retry
+          </button>
+        </div>
+      )}
+
+      {!loading && !error && metrics?.totalRuns === 0 && (
+        <div className="no-data">{metrics.message}</div>
+      )}
+
+      {!loading && !error && metrics?.totalRuns > 0 && (
+        <>
+          <div className="metrics-grid">
+            <div className="metric-card primary">
+              <div className="metric-icon">✓</div>
+              <div className="metric-content">
+                <h3>Success Rate</h3>
+                <div className="metric-value">{metrics.successRate}%</div>
+                <div className="metric-details">
+                  {metrics.successfulRuns} successful / {metrics.failedRuns} failed / {metrics.totalRuns} total runs
+                </div>
+              </div>
+            </div>
+
+            <div className="metric-card">
+              <div className="metric-icon">⏱</div>
+              <div className="metric-content">
+                <h3>Duration (p50)</h3>
+                <div className="metric-value">{formatMinutes(metrics.duration.p50)}</div>
+                <div className="metric-details">
+                  p90: {formatMinutes(metrics.duration.p90)} | p95: {formatMinutes(metrics.duration.p95)} | Max: {formatMinutes(metrics.duration.max)}
+                </div>
+              </div>
+            </div>
+
+            <div className="metric-card">
+              <div className="metric-icon">⏳</div>
+              <div className="metric-content">
+                <h3>Queue Time (p50)</h3>
+                <div className="metric-value">{formatMinutes(metrics.queueTime.p50)}</div>
+                <div className="metric-details">
+                  From run created to runner start | p90: {formatMinutes(metrics.queueTime.p90)} | Max: {formatMinutes(metrics.queueTime.max)}
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <div className="workflow-breakdown">
+            <h2>Success Rate Over Time</h2>
+            <div className="success-timeline">
+              {metrics.series.map(point => (
+                <div
+                  key={point.start}
+                  className="success-timeline-bucket"
+                  title={`${new Date(point.start).toLocaleDateString()}: ${point.runs} runs, ${point.successRate}% successful`}
+                >
+                  <div className="success-timeline-track">
+                    {point.runs > 0 && (
+                      <div
+                        className={`success-timeline-bar ${point.successRate < 80 ? 'low' : ''}`}
+                        style={{ height: `${Math.max(point.successRate, 2)}%` }}
+                      />
+                    )}
+                  </div>
+                  <span className="success-timeline-count">{point.runs}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="workflow-breakdown">
+            <h2>Slowest Runs</h2>
+            <div className="runs-table-wrapper">
+              <table className="runs-table">
+                <thead>
+                  <tr>
+                    <th>Run</th>
+                    <th>Repository</th>
+                    <th>Branch</th>
+                    <th>Started</th>
+                    <th>Queue</th>
+                    <th>Duration</th>
+                    <th>Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {metrics.slowestRuns.map(run => (
+                    <tr key={run.id}>
+                      <td>
+                        <a href={run.url} target="_blank" rel="noopener noreferrer">#{run.runNumber}</a>
+                      </td>
+                      <td>{run.repo}</td>
+                      <td className="runs-mono">{run.branch}</td>
+                      <td className="runs-mono">{new Date(run.createdAt).toLocaleString()}</td>
+                      <td className="runs-mono">{formatMinutes(run.queueMinutes)}</td>
+                      <td className="runs-mono">{formatMinutes(run.durationMinutes)}</td>
+                      <td>
+                        <span className={`run-conclusion ${run.conclusion || run.status}`}>
+                          {run.conclusion || run.status}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="last-updated">
+            {metrics.repositories.join(', ')} | Last updated: {new Date(metrics.lastUpdated).toLocaleString()}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default WorkflowMetrics;
@@ -7,7 +7,40 @@ import {
   logError
 } from '../utils/errors';
 
-const API_BASE = import.meta.env.VITE_API_URL || '/devops-api';
+// Signals returned by /api/prometheus/cluster/overview, with their units
+const CLUSTER_SIGNAL_UNITS = {
+  totalNodes: 'nodes',
+  readyNodes: 'nodes',
+  diskPressureNodes: 'nodes',
+  filesystemUsage: 'percent',
+  totalPods: 'pods',
+  pendingPods: 'pods',
+  podRestarts: 'restarts/h',
+  cpuUsage: 'cores',
+  memoryUsage: 'bytes'
+};
+
+export const API_BASE = import.meta.env.VITE_API_URL || '/devops-api';
+const AUTH_TOKEN_KEY = 'podrick:authToken';
+
+/**
+ * Get the bearer token for API requests, as entered on the sign-in page
+ */
+export function getAuthToken() {
+  return localStorage.getItem(AUTH_TOKEN_KEY);
+}
+
+const authListeners = new Set();
+
+/**
+ * Listen for sign-in and sign-out, including tokens the API has rejected
+ * @param {Function} listener - Called with the new token, or null when signed out
+ * @returns {Function} Unsubscribe function
+ */
+export function onAuthChange(listener) {
+  authListeners.add(listener);
+  return () => authListeners.delete(listener);
+}
 
 /**
  * Simple cache with TTL support
@@ -54,9 +87,11 @@ const cache = new Cache();
 // Cache TTL configurations (in milliseconds)
 const CACHE_TTL = {
   APPLICATIONS: 5 * 60 * 1000,     // 5 minutes - static data
+  APPLICATION_STATUS: 15 * 1000,   // 15 seconds - live status, refreshed by events
   HELM_RELEASES: 2 * 60 * 1000,    // 2 minutes - semi-static
   GITHUB_WORKFLOWS: 5 * 60 * 1000, // 5 minutes - static
   GITHUB_RUNS: 30 * 1000,          // 30 seconds - frequently updated
+  GITHUB_RATE_LIMIT: 60 * 1000,    // 1 minute - quota changes slowly
   PROMETHEUS: 15 * 1000,           // 15 seconds - real-time metrics
 };
 
@@ -64,17 +99,25 @@ const CACHE_TTL = {
  * Make API request with proper error handling
  */
 async function makeRequest(url, options = {}) {
+  const token = getAuthToken();
+
   try {
     const response = await fetch(url, {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
         ...options.headers
-      },
-      ...options
+      }
     });
 
     return await handleResponse(response);
   } catch (error) {
+    // A rejected token is expired or revoked; drop it so the user signs in again
+    if (token && token === getAuthToken() && error instanceof APIError && error.statusCode === 401) {
+      api.setAuthToken(null);
+    }
+
     // Network error or fetch failed
     if (error.name === 'TypeError' && error.message.includes('fetch')) {
       throw new APIError('Unable to connect to API server', 0, {
@@ -147,6 +190,18 @@ export const api = {
     return makeRequest(`${API_BASE}/api/applications/${id}`);
   },
 
+  async getApplicationStatuses() {
+    return makeCachedRequest(
+      'applications:status',
+      CACHE_TTL.APPLICATION_STATUS,
+      () => makeRequest(`${API_BASE}/api/applications/status`)
+    );
+  },
+
+  async getApplicationStatus(id) {
+    return makeRequest(`${API_BASE}/api/applications/${id}/status`);
+  },
+
   // ArgoCD (optional service - returns Result)
   async getArgoCDApplications() {
     return makeCachedRequest(
@@ -166,11 +221,38 @@ export const api = {
     return makeRequest(`${API_BASE}/api/argocd/applications/${name}`);
   },
 
-  async syncArgoCDApplication(name) {
-    // Clear cache after sync action
-    cache.clear('argocd:');
+  async getArgoCDHistory(name) {
+    return makeRequest(`${API_BASE}/api/argocd/applications/${name}/history`);
+  },
+
+  // Nodes with their own health and sync state: { application, nodes }
+  async getResourceTree(name) {
+    return makeRequest(`${API_BASE}/api/argocd/applications/${name}/resource-tree`);
+  },
+
+  async getArgoCDDiff(name) {
+    return makeRequest(`${API_BASE}/api/argocd/applications/${name}/diff`);
+  },
+
+  // filters: { group, kind, namespace, name }
+  async getManagedResources(name, filters = {}) {
+    const params = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    const query = params.toString();
+    return makeRequest(`${API_BASE}/api/argocd/applications/${name}/managed-resources${query ? `?${query}` : ''}`);
+  },
+
+  // options: { prune, dryRun, revision, force, syncOptions, resources: [{ group, kind, namespace, name }] }
+  // A dry run resolves to its result: { dryRun, phase, message, resources }
+  async syncArgoCDApplication(name, options = {}) {
+    if (!options.dryRun) {
+      // Clear cache after sync action
+      cache.clear('argocd:');
+    }
     return makeRequest(`${API_BASE}/api/argocd/applications/${name}/sync`, {
-      method: 'POST'
+      method: 'POST',
+      body: JSON.stringify(options)
     });
   },
 
@@ -193,6 +275,53 @@ export const api = {
     return makeRequest(`${API_BASE}/api/helm/releases/${namespace}/${name}`);
   },
 
+  async getHelmHistory(namespace, name) {
+    return makeRequest(`${API_BASE}/api/helm/releases/${namespace}/${name}/history`);
+  },
+
+  // all: true returns the computed values (chart defaults merged with user values)
+  async getHelmValues(namespace, name, { revision = null, all = false } = {}) {
+    const params = new URLSearchParams();
+    if (revision) params.append('revision', revision);
+    if (all) params.append('all', 'true');
+    const query = params.toString();
+    return makeRequest(`${API_BASE}/api/helm/releases/${namespace}/${name}/values${query ? `?${query}` : ''}`);
+  },
+
+  // Compares revision `from` with `to` (the latest revision when omitted)
+  async getHelmDiff(namespace, name, from, to = null) {
+    const params = new URLSearchParams({ from });
+    if (to) params.append('to', to);
+    return makeRequest(`${API_BASE}/api/helm/releases/${namespace}/${name}/diff?${params}`);
+  },
+
+  async getArgoCDOperation(name) {
+    return makeRequest(`${API_BASE}/api/argocd/applications/${name}/operation`);
+  },
+
+  async terminateArgoCDOperation(name) {
+    return makeRequest(`${API_BASE}/api/argocd/applications/${name}/operation`, {
+      method: 'DELETE'
+    });
+  },
+
+  // options: { prune, pauseAutoSync }; answers 409 while automated sync is enabled unless pauseAutoSync is set
+  async rollbackArgoCDApplication(name, id, options = {}) {
+    cache.clear('argocd:');
+    return makeRequest(`${API_BASE}/api/argocd/applications/${name}/rollback`, {
+      method: 'POST',
+      body: JSON.stringify({ id, ...options })
+    });
+  },
+
+  // Restores the automated sync policy a rollback paused; ArgoCD then syncs to the tracked revision
+  async resumeArgoCDAutoSync(name) {
+    cache.clear('argocd:');
+    return makeRequest(`${API_BASE}/api/argocd/applications/${name}/resume-auto-sync`, {
+      method: 'POST'
+    });
+  },
+
   async rollbackHelmRelease(namespace, name, revision = null) {
     // Clear cache after rollback action
     cache.clear('helm:');
@@ -217,22 +346,58 @@ export const api = {
     );
   },
 
-  async getRecentRuns() {
+  // repo limits the runs to one monitored repository
+  async getRecentRuns(repo = null, limit = null) {
+    const params = new URLSearchParams();
+    if (repo) params.append('repo', repo);
+    if (limit) params.append('limit', limit);
+    const query = params.toString();
+
     return makeCachedRequest(
-      'github:runs:recent',
+      `github:runs:recent:${query}`,
       CACHE_TTL.GITHUB_RUNS,
       async () => {
         const result = await makeOptionalRequest(
           'GitHub',
-          `${API_BASE}/api/github/runs/recent`
+          `${API_BASE}/api/github/runs/recent${query ? `?${query}` : ''}`
         );
         return result.unwrapOr({ workflow_runs: [] });
       }
     );
   },
 
-  async getAnalyticsMetrics() {
-    return makeRequest(`${API_BASE}/api/analytics/metrics`);
+  async getGitHubRateLimit() {
+    return makeCachedRequest(
+      'github:rate-limit',
+      CACHE_TTL.GITHUB_RATE_LIMIT,
+      async () => {
+        const result = await makeOptionalRequest(
+          'GitHub',
+          `${API_BASE}/api/github/rate-limit`
+        );
+        return result.unwrapOr({ tokens: [], low: false });
+      }
+    );
+  },
+
+  // Options: days or from/to, repo, app, bucket ('day' | 'week')
+  async getAnalyticsMetrics(options = {}) {
+    const params = new URLSearchParams(
+      Object.entries(options).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    const query = params.toString();
+    return makeRequest(`${API_BASE}/api/analytics/metrics${query ? `?${query}` : ''}`);
+  },
+
+  // Options: days, repo, bucket ('day' | 'week')
+  async getWorkflowMetrics(workflowName, options = {}) {
+    const params = new URLSearchParams(
+      Object.entries(options).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    const query = params.toString();
+    return makeRequest(
+      `${API_BASE}/api/analytics/workflows/${encodeURIComponent(workflowName)}/metrics${query ? `?${query}` : ''}`
+    );
   },
 
   async triggerWorkflow(workflowId, ref = 'main', inputs = {}) {
@@ -264,8 +429,9 @@ export const api = {
     );
   },
 
-  async getMetrics(namespace, deployment) {
-    const cacheKey = `prometheus:metrics:${namespace}:${deployment}`;
+  // range: '1h' | '24h' | '7d' adds per-pod series ({ cpu, memory }: [{ pod, values: [{ t, v }] }])
+  async getMetrics(namespace, deployment, range = null) {
+    const cacheKey = `prometheus:metrics:${namespace}:${deployment}:${range || 'now'}`;
 
     return makeCachedRequest(
       cacheKey,
@@ -273,32 +439,88 @@ export const api = {
       async () => {
         const result = await makeOptionalRequest(
           'Prometheus',
-          `${API_BASE}/api/prometheus/metrics/${namespace}/${deployment}`
+          `${API_BASE}/api/prometheus/metrics/${namespace}/${deployment}${range ? `?range=${range}` : ''}`
         );
         return result.unwrapOr({ cpu: [], memory: [] });
       }
     );
   },
 
-  async getClusterOverview() {
+  // range: '1h' | '24h' | '7d' adds a sparkline series ([{ t, v }]) to every signal
+  async getClusterOverview(range = null) {
     return makeCachedRequest(
-      'prometheus:cluster:overview',
+      `prometheus:cluster:overview:${range || 'now'}`,
       CACHE_TTL.PROMETHEUS,
       async () => {
         const result = await makeOptionalRequest(
           'Prometheus',
-          `${API_BASE}/api/prometheus/cluster/overview`
+          `${API_BASE}/api/prometheus/cluster/overview${range ? `?range=${range}` : ''}`
         );
+        // Same signals as the API, with unknown values while Prometheus is down
         return result.unwrapOr({
-          totalNodes: '0',
-          totalPods: '0',
-          cpuUsage: '0',
-          memoryUsage: '0'
+          ...Object.fromEntries(
+            Object.entries(CLUSTER_SIGNAL_UNITS).map(([name, unit]) => [name, { value: null, unit }])
+          ),
+          range,
+          step: null,
+          timestamp: null,
+          unavailable: true
         });
       }
     );
   },
 
+  // Alerts (filters: { state: 'firing' | 'pending', app })
+  async getAlerts(filters = {}) {
+    const params = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    return makeRequest(`${API_BASE}/api/prometheus/alerts?${params}`);
+  },
+
+  async getSilences(state = 'active') {
+    return makeRequest(`${API_BASE}/api/alertmanager/silences${state ? `?state=${state}` : ''}`);
+  },
+
+  // silence: { matchers: [{ name, value, isRegex?, isEqual? }], comment, duration? | endsAt? }
+  async createSilence(silence) {
+    cache.clear('applications:status');
+    return makeRequest(`${API_BASE}/api/alertmanager/silences`, {
+      method: 'POST',
+      body: JSON.stringify(silence)
+    });
+  },
+
+  async expireSilence(id) {
+    cache.clear('applications:status');
+    return makeRequest(`${API_BASE}/api/alertmanager/silences/${id}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // Audit log
+  async getAuditLog(filters = {}) {
+    const params = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    return makeRequest(`${API_BASE}/api/audit?${params}`);
+  },
+
+  // Authentication
+  async getCurrentUser() {
+    return makeRequest(`${API_BASE}/api/auth/me`);
+  },
+
+  setAuthToken(token) {
+    if (token) {
+      localStorage.setItem(AUTH_TOKEN_KEY, token);
+    } else {
+      localStorage.removeItem(AUTH_TOKEN_KEY);
+    }
+    cache.clear();
+    authListeners.forEach(listener => listener(token || null));
+  },
+
   // Cache management
   clearCache(prefix = null) {
     cache.clear(prefix);
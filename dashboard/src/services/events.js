@@ -0,0 +1,90 @@
+import { api, API_BASE, getAuthToken, onAuthChange } from './api';
+
+/**
+ * Live status events from the API (Server-Sent Events)
+ * A single EventSource is shared by every subscriber and closed when the last one leaves
+ */
+
+export const EVENT_TYPES = {
+  ARGOCD_APPLICATION: 'argocd.application',
+  HELM_RELEASE: 'helm.release',
+  GITHUB_RUN: 'github.run',
+  APPLICATION_ALERTS: 'alerts.application'
+};
+
+// Cached API responses that an event makes stale
+const CACHE_PREFIXES = {
+  [EVENT_TYPES.ARGOCD_APPLICATION]: ['argocd:', 'applications:status'],
+  [EVENT_TYPES.HELM_RELEASE]: ['helm:', 'applications:status'],
+  [EVENT_TYPES.GITHUB_RUN]: ['github:runs'],
+  [EVENT_TYPES.APPLICATION_ALERTS]: ['applications:status']
+};
+
+const listeners = new Map(Object.values(EVENT_TYPES).map(type => [type, new Set()]));
+let source = null;
+
+function dispatch(type, event) {
+  let data;
+  try {
+    data = JSON.parse(event.data);
+  } catch {
+    console.warn(`[Events] Ignoring malformed ${type} event`);
+    return;
+  }
+
+  CACHE_PREFIXES[type].forEach(prefix => api.clearCache(prefix));
+  listeners.get(type).forEach(listener => listener(data));
+}
+
+function open() {
+  const token = getAuthToken();
+  const params = token ? `?${new URLSearchParams({ access_token: token })}` : '';
+  source = new EventSource(`${API_BASE}/api/events${params}`);
+
+  Object.values(EVENT_TYPES).forEach((type) => {
+    source.addEventListener(type, (event) => dispatch(type, event));
+  });
+
+  // EventSource reconnects on its own; the server replays current state on reconnect
+  source.onerror = () => {
+    console.warn('[Events] Connection lost, reconnecting...');
+  };
+}
+
+function closeIfUnused() {
+  const hasListeners = [...listeners.values()].some(set => set.size > 0);
+  if (!hasListeners && source) {
+    source.close();
+    source = null;
+  }
+}
+
+// The token is part of the stream URL, so reopen the stream with the new one
+onAuthChange((token) => {
+  if (!source) return;
+  source.close();
+  source = null;
+  if (token) open();
+});
+
+/**
+ * Subscribe to events
+ * @param {Object} handlers - Map of event type to handler, e.g. { 'github.run': (run) => {} }
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(handlers) {
+  Object.entries(handlers).forEach(([type, handler]) => {
+    listeners.get(type)?.add(handler);
+  });
+
+  if (!source) {
+    open();
+  }
+
+  return () => {
+    Object.entries(handlers).forEach(([type, handler]) => {
+      listeners.get(type)?.delete(handler);
+    });
+    closeIfUnused();
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * Line diff helpers for side-by-side views
+ */
+
+// Above this many line pairs the LCS table gets too large; the texts are shown unaligned
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * Line operations turning `before` into `after`, based on the longest common subsequence
+ * @returns {Array<{type: 'equal'|'remove'|'add', text: string}>}
+ */
+export function diffLines(before, after) {
+  const a = before ? before.replace(/\n$/, '').split('\n') : [];
+  const b = after ? after.replace(/\n$/, '').split('\n') : [];
+
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    return [
+      ...a.map(text => ({ type: 'remove', text })),
+      ...b.map(text => ({ type: 'add', text }))
+    ];
+  }
+
+  // lengths[i * (m + 1) + j] = LCS length of a[i..] and b[j..]
+  const n = a.length;
+  const m = b.length;
+  const lengths = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * (m + 1) + j] = a[i] === b[j]
+        ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      operations.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+      operations.push({ type: 'remove', text: a[i++] });
+    } else {
+      operations.push({ type: 'add', text: b[j++] });
+    }
+  }
+  while (i < n) operations.push({ type: 'remove', text: a[i++] });
+  while (j < m) operations.push({ type: 'add', text: b[j++] });
+  return operations;
+}
+
+/**
+ * Rows of a side-by-side diff; removals and additions in the same hunk share rows
+ * @returns {Array<{left: Object|null, right: Object|null}>} Cells are { number, text, type }
+ */
+export function sideBySide(before, after) {
+  const rows = [];
+  let leftNumber = 0;
+  let rightNumber = 0;
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      rows.push({ left: removed[k] || null, right: added[k] || null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const operation of diffLines(before, after)) {
+    if (operation.type === 'remove') {
+      removed.push({ number: ++leftNumber, text: operation.text, type: 'remove' });
+    } else if (operation.type === 'add') {
+      added.push({ number: ++rightNumber, text: operation.text, type: 'add' });
+    } else {
+      flush();
+      rows.push({
+        left: { number: ++leftNumber, text: operation.text, type: 'equal' },
+        right: { number: ++rightNumber, text: operation.text, type: 'equal' }
+      });
+    }
+  }
+  flush();
+  return rows;
+}
@@ -157,8 +157,9 @@ export async function handleResponse(response) {
       // Response may not be JSON
     }
 
+    // Structured API errors carry the class name in `error` and the detail in `message`
     throw new APIError(
-      errorData.error || errorData.message || response.statusText,
+      errorData.message || errorData.error || response.statusText,
       response.status,
       errorData.details || {}
     );
@@ -0,0 +1,45 @@
+/**
+ * Display formatting helpers shared by pages
+ */
+
+/**
+ * Format workflow name - extract friendly name from path if needed
+ */
+export function formatWorkflowName(name) {
+  // If name looks like a file path (.github/workflows/...), extract friendly name
+  if (name.includes('.github/workflows/') || name.includes('.yml') || name.includes('.yaml')) {
+    // Extract filename without extension
+    const filename = name.split('/').pop().replace(/\.(yml|yaml)$/, '');
+    // Convert kebab-case or snake_case to Title Case
+    const formatted = filename
+      .split(/[-_]/)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+
+    // Special case for brand names
+    return formatted.replace(/\bFirebook\b/g, 'FireBook');
+  }
+  return name;
+}
+
+/**
+ * Format a byte count with a binary unit (e.g. 1.5 GiB)
+ */
+export function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return '—';
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Shorten a git commit SHA for display
+ */
+export function shortSha(sha) {
+  return sha ? sha.substring(0, 7) : '—';
+}